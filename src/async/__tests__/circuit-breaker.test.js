@@ -0,0 +1,209 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import { CircuitBreaker, CircuitState } from "@wlvyr/common/async";
+
+describe("CircuitBreaker", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const openBreaker = (options = {}) => {
+    const breaker = new CircuitBreaker({
+      minimumCalls: 2,
+      coolDownMs: 1000,
+      ...options,
+    });
+    breaker.recordFailure();
+    breaker.recordFailure();
+    return breaker;
+  };
+
+  it("should throw on invalid options", () => {
+    expect(() => new CircuitBreaker({ failureRateThreshold: 0 })).toThrow();
+    expect(() => new CircuitBreaker({ failureRateThreshold: 1.5 })).toThrow();
+    expect(() => new CircuitBreaker({ minimumCalls: 0 })).toThrow();
+    expect(() => new CircuitBreaker({ minimumCalls: 30, windowSize: 20 })).toThrow();
+    expect(() => new CircuitBreaker({ halfOpenMaxCalls: 0 })).toThrow();
+  });
+
+  it("should start closed and permit calls", () => {
+    const breaker = new CircuitBreaker();
+
+    expect(breaker.state).toBe(CircuitState.Closed);
+    expect(breaker.isCallPermitted()).toBe(true);
+    expect(breaker.tryAcquirePermission()).toBe(true);
+  });
+
+  it("should not open before minimumCalls are recorded", () => {
+    const breaker = new CircuitBreaker({ minimumCalls: 3 });
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe(CircuitState.Closed);
+  });
+
+  it("should open once the failure rate reaches the threshold", () => {
+    const breaker = new CircuitBreaker({
+      minimumCalls: 4,
+      failureRateThreshold: 0.5,
+    });
+
+    breaker.recordSuccess();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CircuitState.Closed);
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CircuitState.Open);
+    expect(breaker.isCallPermitted()).toBe(false);
+    expect(breaker.tryAcquirePermission()).toBe(false);
+  });
+
+  it("should only consider the most recent windowSize calls", () => {
+    const breaker = new CircuitBreaker({
+      minimumCalls: 2,
+      windowSize: 2,
+      failureRateThreshold: 1,
+    });
+
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CircuitState.Closed);
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CircuitState.Open);
+  });
+
+  it("should become half-open after the cool-down", () => {
+    const breaker = openBreaker();
+
+    jest.advanceTimersByTime(999);
+    expect(breaker.state).toBe(CircuitState.Open);
+
+    jest.advanceTimersByTime(1);
+    expect(breaker.state).toBe(CircuitState.HalfOpen);
+  });
+
+  it("should permit halfOpenMaxCalls trial calls while half-open", () => {
+    const breaker = openBreaker({ halfOpenMaxCalls: 2 });
+    jest.advanceTimersByTime(1000);
+
+    expect(breaker.tryAcquirePermission()).toBe(true);
+    expect(breaker.tryAcquirePermission()).toBe(true);
+    expect(breaker.tryAcquirePermission()).toBe(false);
+
+    breaker.releasePermission();
+    expect(breaker.isCallPermitted()).toBe(true);
+  });
+
+  it("should close once every trial call succeeds", () => {
+    const breaker = openBreaker({ halfOpenMaxCalls: 2 });
+    jest.advanceTimersByTime(1000);
+
+    breaker.tryAcquirePermission();
+    breaker.tryAcquirePermission();
+    breaker.recordSuccess();
+    expect(breaker.state).toBe(CircuitState.HalfOpen);
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe(CircuitState.Closed);
+  });
+
+  it("should reopen when a trial call fails", () => {
+    const breaker = openBreaker();
+    jest.advanceTimersByTime(1000);
+
+    breaker.tryAcquirePermission();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe(CircuitState.Open);
+    jest.advanceTimersByTime(1000);
+    expect(breaker.state).toBe(CircuitState.HalfOpen);
+  });
+
+  it("should not extend the cool-down with calls recorded while open", () => {
+    const breaker = openBreaker();
+
+    jest.advanceTimersByTime(500);
+    breaker.recordFailure();
+    breaker.recordFailure();
+    jest.advanceTimersByTime(500);
+
+    expect(breaker.state).toBe(CircuitState.HalfOpen);
+  });
+
+  it("should record results by isFailure and release aborted calls", () => {
+    const breaker = new CircuitBreaker({ minimumCalls: 1 });
+
+    breaker.recordResult({ status: 404 });
+    breaker.recordResult({ status: 200 });
+    breaker.recordResult({ status: undefined, aborted: true });
+    expect(breaker.state).toBe(CircuitState.Closed);
+
+    breaker.recordResult({ status: 503 });
+    breaker.recordResult({ status: undefined, aborted: false });
+    expect(breaker.state).toBe(CircuitState.Open);
+  });
+
+  it("should notify state changes until the listener is removed", () => {
+    const listener = jest.fn();
+    const breaker = new CircuitBreaker({ minimumCalls: 1, coolDownMs: 1000 });
+    breaker.addOnStateChange(listener);
+
+    breaker.recordFailure();
+    jest.advanceTimersByTime(1000);
+    breaker.removeOnStateChange(listener);
+    breaker.reset();
+
+    expect(listener.mock.calls).toEqual([
+      [CircuitState.Open, CircuitState.Closed],
+      [CircuitState.HalfOpen, CircuitState.Open],
+    ]);
+  });
+
+  describe("executeAsync", () => {
+    it("should run the call and record its result", async () => {
+      const breaker = new CircuitBreaker({ minimumCalls: 1 });
+
+      await expect(
+        breaker.executeAsync(async () => ({ status: 500 }), jest.fn())
+      ).resolves.toEqual({ status: 500 });
+
+      expect(breaker.state).toBe(CircuitState.Open);
+    });
+
+    it("should return the rejected result without calling while open", async () => {
+      const breaker = openBreaker();
+      const call = jest.fn();
+
+      await expect(
+        breaker.executeAsync(call, () => "rejected")
+      ).resolves.toBe("rejected");
+      expect(call).not.toHaveBeenCalled();
+    });
+
+    it("should record a thrown error as a failure and rethrow", async () => {
+      const breaker = new CircuitBreaker({ minimumCalls: 1 });
+      const error = new Error("unreachable");
+
+      await expect(
+        breaker.executeAsync(async () => {
+          throw error;
+        }, jest.fn())
+      ).rejects.toBe(error);
+      expect(breaker.state).toBe(CircuitState.Open);
+    });
+  });
+
+  it("should be usable as a consume condition", () => {
+    const breaker = openBreaker();
+
+    expect(breaker.consumeCondition()).toBe(false);
+  });
+});
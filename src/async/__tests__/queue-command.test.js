@@ -1,5 +1,5 @@
 import { jest, describe, it, expect, afterEach } from "@jest/globals";
-import { QueueCommand, QueueInfo, QueueStatus } from "@wlvyr/common/async";
+import { QueueCommand, QueueInfo, QueuePriority, QueueStatus } from "@wlvyr/common/async";
 import { UserCommand } from "@wlvyr/common";
 import { ErrorMessages } from "@wlvyr/common/error";
 
@@ -18,6 +18,17 @@ describe("QueueCommand", () => {
 
     expect(queueCommand.command).toBe(userCommand);
     expect(queueCommand.queueInfo).toBeInstanceOf(QueueInfo);
+    expect(queueCommand.queueInfo.priority).toBe(QueuePriority.Normal);
+  });
+
+  it("should take queue priority from the command meta", () => {
+    const userCommand = new UserCommand("TEST_COMMAND", {}, {
+      resourceId: "res-1",
+      priority: QueuePriority.Highest,
+    });
+    const queueCommand = new QueueCommand(userCommand);
+
+    expect(queueCommand.queueInfo.priority).toBe(QueuePriority.Highest);
   });
 
   describe("onStatusUpdate", () => {
@@ -28,7 +39,7 @@ describe("QueueCommand", () => {
       const mockedListener = jest.fn();
       const secondMockedListener = jest.fn();
 
-      const expectedStatus = QueueStatus.Complete;
+      const expectedStatus = QueueStatus.Succeeded;
 
       queueCommand.addOnStatusUpdate(mockedListener);
       queueCommand.addOnStatusUpdate(secondMockedListener);
@@ -47,18 +58,54 @@ describe("QueueCommand", () => {
 
       const mockedListener = jest.fn();
       queueCommand.addOnStatusUpdate(mockedListener);
-      queueCommand.onStatusUpdate(QueueStatus.Complete);
+      queueCommand.onStatusUpdate(QueueStatus.Succeeded);
       expect(mockedListener).toHaveBeenCalled();
 
       mockedListener.mockClear();
 
       queueCommand.removeOnStatusUpdate(mockedListener);
-      queueCommand.onStatusUpdate(QueueStatus.Complete);
+      queueCommand.onStatusUpdate(QueueStatus.Succeeded);
       expect(mockedListener).not.toHaveBeenCalled();
     });
   });
 
+  describe("cancel", () => {
+    test("cancel resolves onComplete with false and Cancelled status", async () => {
+      const queueCommand = new QueueCommand(new UserCommand("TEST_COMMAND"));
+      const listener = jest.fn();
+      queueCommand.addOnStatusUpdate(listener);
+
+      expect(queueCommand.cancel("reason")).toBe(true);
+
+      expect(queueCommand.isCancelled).toBe(true);
+      expect(queueCommand.signal.aborted).toBe(true);
+      expect(queueCommand.signal.reason).toBe("reason");
+      expect(queueCommand.queueInfo.status).toBe(QueueStatus.Cancelled);
+      expect(listener).toHaveBeenCalledWith(QueueStatus.Cancelled);
+      await expect(queueCommand.onComplete()).resolves.toBe(false);
+    });
+
+    test("cancel returns false once cancelled or completed", () => {
+      const cancelledCommand = new QueueCommand(new UserCommand("TEST_COMMAND"));
+      cancelledCommand.cancel();
+      expect(cancelledCommand.cancel()).toBe(false);
+
+      const completedCommand = new QueueCommand(new UserCommand("TEST_COMMAND"));
+      completedCommand.completed(true);
+      expect(completedCommand.cancel()).toBe(false);
+      expect(completedCommand.isCancelled).toBe(false);
+    });
+  });
+
   describe("completed", () => {
+    test("completed before onComplete still resolves onComplete", async () => {
+      const queueCommand = new QueueCommand(new UserCommand("TEST_COMMAND"));
+
+      queueCommand.completed(true);
+
+      await expect(queueCommand.onComplete()).resolves.toBe(true);
+    });
+
     test("invoking completed will resolve onCompleted promise", async () => {
       const userCommand = new UserCommand("TEST_COMMAND");
       const queueCommand = new QueueCommand(userCommand);
@@ -79,4 +126,75 @@ describe("QueueCommand", () => {
       newPromise.then(expectedCompletedStatus);
     });
   });
+
+  describe("toJSON and fromJSON", () => {
+    const roundTrip = (queueCommand) =>
+      QueueCommand.fromJSON(JSON.parse(JSON.stringify(queueCommand)));
+
+    test("restored commands behave like new ones", async () => {
+      const userCommand = new UserCommand("TEST_COMMAND", { name: "a" }, { resourceId: "res1", priority: QueuePriority.High });
+      const queueCommand = new QueueCommand(userCommand);
+      queueCommand.queueInfo.attemptNo = 2;
+
+      const restored = roundTrip(queueCommand);
+
+      expect(restored).toBeInstanceOf(QueueCommand);
+      expect(restored.command).toBeInstanceOf(UserCommand);
+      expect(restored.command.payload).toEqual({ name: "a" });
+      expect(restored.command.meta.ReferenceId).toBe(userCommand.meta.ReferenceId);
+      expect(restored.command.meta.idempotencyKey).toBe(userCommand.meta.idempotencyKey);
+      expect(restored.command.meta.timestamp).toBe(userCommand.meta.timestamp);
+      expect(restored.queueInfo).toBeInstanceOf(QueueInfo);
+      expect(restored.queueInfo.attemptNo).toBe(2);
+      expect(restored.queueInfo.priority).toBe(QueuePriority.High);
+
+      const listener = jest.fn();
+      restored.addOnStatusUpdate(listener);
+      restored.onStatusUpdate(QueueStatus.Processing);
+      expect(listener).toHaveBeenCalledWith(QueueStatus.Processing);
+
+      const onExecute = restored.command.onExecute();
+      restored.command.executed(true);
+      await expect(onExecute).resolves.toBe(true);
+
+      const onComplete = restored.onComplete();
+      restored.completed(true);
+      await expect(onComplete).resolves.toBe(true);
+    });
+
+    test("includes the schema version", () => {
+      const json = new QueueCommand(new UserCommand("TEST_COMMAND")).toJSON();
+
+      expect(json.schemaVersion).toBe(QueueCommand.schemaVersion);
+      expect(json.command.schemaVersion).toBe(UserCommand.schemaVersion);
+    });
+
+    test("an attempt in progress when saved is attempted again", () => {
+      const queueCommand = new QueueCommand(new UserCommand("TEST_COMMAND"));
+      queueCommand.queueInfo.status = QueueStatus.Processing;
+
+      expect(roundTrip(queueCommand).queueInfo.status).toBe(QueueStatus.RetryScheduled);
+    });
+
+    test("restores commands saved before toJSON existed", () => {
+      const userCommand = new UserCommand("TEST_COMMAND", {}, { resourceId: "res1" });
+      const legacy = JSON.parse(
+        JSON.stringify({ command: { ...userCommand, meta: { ...userCommand.meta } }, queueInfo: new QueueInfo() })
+      );
+
+      const restored = QueueCommand.fromJSON(legacy);
+
+      expect(restored.command.meta.ReferenceId).toBe(userCommand.meta.ReferenceId);
+      expect(typeof restored.command.executed).toBe("function");
+    });
+
+    test("throws for a newer schema version", () => {
+      const json = new QueueCommand(new UserCommand("TEST_COMMAND")).toJSON();
+      json.schemaVersion = QueueCommand.schemaVersion + 1;
+
+      expect(() => QueueCommand.fromJSON(json)).toThrow(
+        ErrorMessages.Exceptions.UnsupportedSchemaVersion
+      );
+    });
+  });
 });
\ No newline at end of file
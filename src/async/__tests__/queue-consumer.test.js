@@ -1,4 +1,22 @@
-import { QueueConsumer, QueueCommand, QueueStatus } from "@wlvyr/common/async";
+import {
+  AttempNoRetryCondition,
+  CircuitBreaker,
+  CircuitState,
+  ConsumerState,
+  HttpStatusRetryCondition,
+  ConsumerWaitReason,
+  QueueMetric,
+  QueueConsumer,
+  QueueCommand,
+  QueuePriority,
+  QueueStatus,
+  RetryPolicyEvaluator,
+  RetryPolicyMode,
+  RetryAfterScope,
+} from "@wlvyr/common/async";
+import { ErrorMessages } from "@wlvyr/common/error";
+import { sanitizefetchException } from "@wlvyr/common/network";
+import { UserCommand } from "@wlvyr/common";
 
 describe("QueueConsumer", () => {
   let consumeFunc;
@@ -29,6 +47,15 @@ describe("QueueConsumer", () => {
       expect(() => new QueueConsumer(undefined)).toThrow();
     });
 
+    test("should not require consumeFunc when batching", () => {
+      expect(
+        () =>
+          new QueueConsumer(undefined, [], undefined, {
+            batch: { consumeBatchFunc: jest.fn() },
+          })
+      ).not.toThrow();
+    });
+
     test("should initialize with default values", () => {
       consumer = new QueueConsumer(consumeFunc);
 
@@ -38,6 +65,17 @@ describe("QueueConsumer", () => {
       expect(consumer.isRunning).toBe(false);
       expect(consumer.queueState).toEqual({ processCount: 0 });
       expect(consumer.queue.size).toBe(0);
+      expect(consumer.maxConcurrency).toBeUndefined();
+      expect(consumer.rateLimiter).toBeUndefined();
+    });
+
+    test("should create a rate limiter from rateLimit option", () => {
+      consumer = new QueueConsumer(consumeFunc, [], undefined, {
+        rateLimit: { tokens: 5, intervalMs: 1000 },
+      });
+
+      expect(consumer.rateLimiter.capacity).toBe(5);
+      expect(consumer.rateLimiter.intervalMs).toBe(1000);
     });
   });
 
@@ -59,25 +97,42 @@ describe("QueueConsumer", () => {
       expect(consumer.queue.has(queueCommand)).toBe(true);
       expect(consumer.queue.size).toBe(1);
     });
+
+    test("should throw for a command in a final status", async () => {
+      const queueCommand = createMockQueueCommand({
+        queueInfo: { status: QueueStatus.Failed },
+      });
+
+      expect(() => consumer.enqueue(queueCommand)).toThrow(
+        ErrorMessages.Exceptions.InvalidStatusTransition
+      );
+      expect(consumer.queue.size).toBe(0);
+
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumeFunc).not.toHaveBeenCalled();
+      expect(consumer.queueState.processCount).toBe(0);
+    });
   });
 
   describe("completedCommandExecution", () => {
-    test("completedCommandExecution sets status to Complete on success", () => {
+    test("completedCommandExecution sets status to Succeeded on success", () => {
       const queueCommand = new QueueCommand({ id: 1 });
-      queueCommand.queueInfo = { status: null };
+      queueCommand.queueInfo = { status: QueueStatus.Processing };
       queueCommand.completed = jest.fn();
       consumer.queueState.processCount = 1; // Simulate command being processed
 
       consumer.completedCommandExecution(queueCommand, true);
 
-      expect(queueCommand.queueInfo.status).toBe(QueueStatus.Complete);
+      expect(queueCommand.queueInfo.status).toBe(QueueStatus.Succeeded);
       expect(queueCommand.completed).toHaveBeenCalledWith(true);
       expect(consumer.queueState.processCount).toBe(0);
     });
 
     test("completedCommandExecution retries on failure", () => {
       const queueCommand = new QueueCommand({ id: 1 });
-      queueCommand.queueInfo = { attemptNo: 0, status: null };
+      queueCommand.queueInfo = { attemptNo: 0, status: QueueStatus.Processing };
       queueCommand.completed = jest.fn();
       consumer.retryPolicyEvaluator = {
         shouldRetry: jest.fn().mockReturnValue(true),
@@ -88,7 +143,7 @@ describe("QueueConsumer", () => {
 
       // If retry policy says yes, the command should be re-enqueued
       expect(consumer.enqueue).toHaveBeenCalledWith(queueCommand);
-      expect(queueCommand.queueInfo.status).not.toBe("Complete"); // Not marked complete yet
+      expect(queueCommand.queueInfo.status).toBe(QueueStatus.RetryScheduled); // Not marked complete yet
       expect(queueCommand.completed).not.toHaveBeenCalled();
 
       expect(consumer.retryPolicyEvaluator.shouldRetry).toHaveBeenCalled();
@@ -123,6 +178,124 @@ describe("QueueConsumer", () => {
       // Should only be called once
       expect(consumeFunc).toHaveBeenCalledTimes(1);
     });
+
+    test("should resume the parked loop when restarted after stop", async () => {
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+
+      consumer.stop();
+      consumer.start();
+      consumer.enqueue(createMockQueueCommand());
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumeFunc).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("stopAsync", () => {
+    test("should end the parked consume loop", async () => {
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+
+      await consumer.stopAsync();
+
+      expect(consumer.isRunning).toBe(false);
+      expect(consumer.resumeResolver).toBeUndefined();
+
+      consumer.enqueue(createMockQueueCommand());
+      await jest.runOnlyPendingTimersAsync();
+      expect(consumeFunc).not.toHaveBeenCalled();
+    });
+
+    test("should resolve when never started", async () => {
+      await expect(consumer.stopAsync()).resolves.toBeUndefined();
+    });
+
+    test("should consume again when started after stopAsync", async () => {
+      consumer.start();
+      await consumer.stopAsync();
+
+      consumer.enqueue(createMockQueueCommand());
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumeFunc).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("drainAsync", () => {
+    const createQueueCommand = (id) =>
+      new QueueCommand({ id, onExecute: mockUnResolvedPromise() });
+
+    test("should wait for in-flight commands and leave queued ones", async () => {
+      consumer = new QueueConsumer(consumeFunc, [], undefined, {
+        maxConcurrency: 1,
+      });
+      const inFlightCommand = createQueueCommand("in-flight");
+      const queuedCommand = createQueueCommand("queued");
+
+      consumer.enqueue(inFlightCommand);
+      consumer.enqueue(queuedCommand);
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+
+      const onDrained = jest.fn();
+      const drain = consumer.drainAsync().then(onDrained);
+      await jest.runOnlyPendingTimersAsync();
+      expect(onDrained).not.toHaveBeenCalled();
+
+      consumer.completedCommandExecution(inFlightCommand, true);
+      await drain;
+
+      expect(onDrained).toHaveBeenCalledWith({
+        timedOut: false,
+        settled: 1,
+        inFlight: 0,
+        pending: 1,
+      });
+      expect(consumeFunc).toHaveBeenCalledTimes(1);
+      expect(queuedCommand.queueInfo.status).toBe(QueueStatus.Initial);
+    });
+
+    test("should not start commands enqueued while draining", async () => {
+      const inFlightCommand = createQueueCommand("in-flight");
+      consumer.enqueue(inFlightCommand);
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+
+      const drain = consumer.drainAsync();
+      consumer.enqueue(createQueueCommand("new"));
+      await jest.runOnlyPendingTimersAsync();
+      consumer.completedCommandExecution(inFlightCommand, true);
+
+      await expect(drain).resolves.toMatchObject({ pending: 1 });
+      expect(consumeFunc).toHaveBeenCalledTimes(1);
+    });
+
+    test("should resolve after timeoutMs with commands still in-flight", async () => {
+      consumer.enqueue(createQueueCommand("in-flight"));
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+
+      const drain = consumer.drainAsync({ timeoutMs: 1000 });
+      await jest.advanceTimersByTimeAsync(1000);
+
+      await expect(drain).resolves.toEqual({
+        timedOut: true,
+        settled: 0,
+        inFlight: 1,
+        pending: 0,
+      });
+    });
+
+    test("should resolve immediately when nothing is in-flight", async () => {
+      await expect(consumer.drainAsync()).resolves.toEqual({
+        timedOut: false,
+        settled: 0,
+        inFlight: 0,
+        pending: 0,
+      });
+    });
   });
 
   describe("remove", () => {
@@ -184,7 +357,10 @@ describe("QueueConsumer", () => {
 
       // Allow processing to occur
       await jest.runOnlyPendingTimersAsync();
-      expect(consumeFunc).toHaveBeenCalledWith(mockCommand.command);
+      expect(consumeFunc).toHaveBeenCalledWith(
+        mockCommand.command,
+        expect.any(AbortSignal)
+      );
       expect(mockCommand.queueInfo.status).toBe(QueueStatus.Processing);
     });
 
@@ -210,13 +386,19 @@ describe("QueueConsumer", () => {
 
       // Process first command
       await jest.runOnlyPendingTimersAsync();
-      expect(consumeFunc).toHaveBeenCalledWith(command1.command);
+      expect(consumeFunc).toHaveBeenCalledWith(
+        command1.command,
+        expect.any(AbortSignal)
+      );
 
       // Complete first command not needed to allow second to process
       //consumer.completedCommandExecution(command1, true);
       await jest.runOnlyPendingTimersAsync();
 
-      expect(consumeFunc).toHaveBeenCalledWith(command2.command);
+      expect(consumeFunc).toHaveBeenCalledWith(
+        command2.command,
+        expect.any(AbortSignal)
+      );
     });
   });
 
@@ -285,140 +467,1702 @@ describe("QueueConsumer", () => {
     });
   });
 
-  describe("retry behavior", () => {
-    it("should retry failed command when policy allows", () => {
+  describe("status lifecycle", () => {
+    it("should emit every status change including retries", async () => {
       consumer.retryPolicyEvaluator = {
-        shouldRetry: jest.fn().mockReturnValue(true),
+        shouldRetry: jest.fn().mockReturnValueOnce(true).mockReturnValue(false),
       };
 
       const mockCommand = createMockQueueCommand();
-      consumer.queueState.processCount = 1; // Simulate command being processed
+      consumer.enqueue(mockCommand);
+      consumer.start();
 
+      await jest.runOnlyPendingTimersAsync();
+      consumer.completedCommandExecution(mockCommand, false);
+      await jest.runOnlyPendingTimersAsync();
       consumer.completedCommandExecution(mockCommand, false);
 
-      expect(consumer.retryPolicyEvaluator.shouldRetry).toHaveBeenCalled();
-      expect(mockCommand.queueInfo.status).toBe(QueueStatus.Initial);
-      expect(mockCommand.queueInfo.attemptNo).toBe(1);
-      expect(consumer.queue.has(mockCommand)).toBe(true);
-      expect(consumer.queueState.processCount).toBe(0);
+      expect(mockCommand.onStatusUpdate.mock.calls.map(([status]) => status)).toEqual([
+        QueueStatus.Processing,
+        QueueStatus.RetryScheduled,
+        QueueStatus.Processing,
+        QueueStatus.Failed,
+      ]);
     });
 
-    it("should mark as complete when retry policy denies retry", () => {
-      consumer.retryPolicyEvaluator = {
-        shouldRetry: jest.fn().mockReturnValue(false),
-      };
+    it("should throw on an invalid status transition", () => {
+      const mockCommand = createMockQueueCommand({
+        queueInfo: { status: QueueStatus.Succeeded },
+      });
 
-      const mockCommand = createMockQueueCommand();
-      consumer.queueState.processCount = 1; // Simulate command being processed
+      expect(() => consumer.completedCommandExecution(mockCommand, true)).toThrow(
+        ErrorMessages.Exceptions.InvalidStatusTransition
+      );
+      expect(mockCommand.onStatusUpdate).not.toHaveBeenCalled();
+    });
+  });
 
-      consumer.completedCommandExecution(mockCommand, false);
+  describe("cancellation", () => {
+    const createQueueCommand = (onExecute = mockUnResolvedPromise()) =>
+      new QueueCommand({ id: "cmd", onExecute });
 
-      expect(mockCommand.queueInfo.status).toBe(QueueStatus.Complete);
-      expect(mockCommand.onStatusUpdate).toHaveBeenCalledWith(
-        QueueStatus.Complete
+    it("should remove a pending command when cancelled", async () => {
+      consumer = new QueueConsumer(consumeFunc, [() => false]);
+      const queueCommand = createQueueCommand();
+      const onComplete = queueCommand.onComplete();
+
+      consumer.enqueue(queueCommand);
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(queueCommand.cancel("user")).toBe(true);
+
+      expect(consumer.queue.has(queueCommand)).toBe(false);
+      expect(queueCommand.queueInfo.status).toBe(QueueStatus.Cancelled);
+      await expect(onComplete).resolves.toBe(false);
+      expect(consumeFunc).not.toHaveBeenCalled();
+    });
+
+    it("should abort an in-flight command when cancelled", async () => {
+      let resolveExecute;
+      const queueCommand = createQueueCommand(
+        () => new Promise((resolve) => (resolveExecute = resolve))
       );
-      expect(mockCommand.completed).toHaveBeenCalledWith(false);
+      const statusListener = jest.fn();
+      queueCommand.addOnStatusUpdate(statusListener);
+
+      consumer.enqueue(queueCommand);
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+
+      const signal = consumeFunc.mock.calls[0][1];
+      expect(signal.aborted).toBe(false);
+      expect(consumer.queueState.processCount).toBe(1);
+
+      queueCommand.cancel("user");
+
+      expect(signal.aborted).toBe(true);
+      expect(signal.reason).toBe("user");
       expect(consumer.queueState.processCount).toBe(0);
+      expect(statusListener).toHaveBeenLastCalledWith(QueueStatus.Cancelled);
+      await expect(queueCommand.onComplete()).resolves.toBe(false);
+
+      // late result of the aborted attempt is ignored
+      resolveExecute(true);
+      await jest.runOnlyPendingTimersAsync();
+      expect(queueCommand.queueInfo.status).toBe(QueueStatus.Cancelled);
     });
 
-    it("should increment attempt number on retry", () => {
-      consumer.retryPolicyEvaluator = {
-        shouldRetry: jest.fn().mockReturnValue(false),
-      };
+    it("should not enqueue a cancelled command", () => {
+      const queueCommand = createQueueCommand();
+      queueCommand.cancel();
 
-      const mockCommand = createMockQueueCommand();
-      const originalAttemptNo = mockCommand.queueInfo.attemptNo;
+      consumer.enqueue(queueCommand);
 
-      consumer.completedCommandExecution(mockCommand, false);
+      expect(consumer.queue.has(queueCommand)).toBe(false);
+    });
 
-      expect(mockCommand.queueInfo.attemptNo).toBe(originalAttemptNo + 1);
+    it("should ignore completedCommandExecution for a cancelled command", () => {
+      const queueCommand = createQueueCommand();
+      consumer.enqueue(queueCommand);
+      queueCommand.cancel();
+
+      expect(() =>
+        consumer.completedCommandExecution(queueCommand, true)
+      ).not.toThrow();
+      expect(queueCommand.queueInfo.status).toBe(QueueStatus.Cancelled);
     });
+  });
 
-    it("should handle no retry policy gracefully", () => {
-      const mockCommand = createMockQueueCommand();
-      consumer.queueState.processCount = 1;
+  describe("pause and resume", () => {
+    test("should not start commands while paused", async () => {
+      consumer.pause("offline");
+      consumer.enqueue(createMockQueueCommand());
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
 
-      consumer.completedCommandExecution(mockCommand, false);
+      expect(consumeFunc).not.toHaveBeenCalled();
 
-      expect(mockCommand.queueInfo.status).toBe(QueueStatus.Complete);
-      expect(mockCommand.completed).toHaveBeenCalledWith(false);
+      consumer.resume("offline");
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumeFunc).toHaveBeenCalledTimes(1);
+    });
+
+    test("should stay paused until every reason is resumed", async () => {
+      consumer.pause("offline");
+      consumer.pause("auth");
+      consumer.enqueue(createMockQueueCommand());
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+
+      consumer.resume("offline");
+      await jest.runOnlyPendingTimersAsync();
+      expect(consumeFunc).not.toHaveBeenCalled();
+      expect(consumer.getState()).toMatchObject({
+        state: ConsumerState.Paused,
+        pauseReasons: ["auth"],
+      });
+
+      consumer.resume("auth");
+      await jest.runOnlyPendingTimersAsync();
+      expect(consumeFunc).toHaveBeenCalledTimes(1);
+    });
+
+    test("should ignore resuming a reason it is not paused for", async () => {
+      consumer.pause();
+      consumer.resume("offline");
+
+      expect(consumer.getState().pauseReasons).toEqual(["user"]);
     });
   });
 
-  describe("consume conditions", () => {
-    it("should respect processCount condition", async () => {
-      const maxConcurrentProcesses = 2;
-      const processCountCondition = ({ processCount }) =>
-        processCount < maxConcurrentProcesses;
+  describe("state", () => {
+    test("should be stopped before start", () => {
+      expect(consumer.getState()).toEqual({
+        state: ConsumerState.Stopped,
+        pauseReasons: [],
+        waitReason: undefined,
+        blockedConditionIndex: undefined,
+      });
+    });
 
-      consumer = new QueueConsumer(consumeFunc, [processCountCondition]);
+    test("should notify state changes until the listener is removed", async () => {
+      const listener = jest.fn();
+      consumer.addOnStateChange(listener);
 
-      // Add 3 commands
-      const commands = [
-        createMockQueueCommand({
-          command: { id: "cmd1", onExecute: mockUnResolvedPromise() },
-        }),
-        createMockQueueCommand({
-          command: { id: "cmd2", onExecute: mockUnResolvedPromise() },
-        }),
-        createMockQueueCommand({
-          command: { id: "cmd3", onExecute: mockUnResolvedPromise() },
-        }),
-      ];
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+      consumer.pause("auth");
+      consumer.removeOnStateChange(listener);
+      consumer.stop();
 
-      commands.forEach((cmd) => consumer.enqueue(cmd));
+      expect(listener.mock.calls.map(([{ state }]) => state)).toEqual([
+        ConsumerState.Running,
+        ConsumerState.Waiting,
+        ConsumerState.Paused,
+      ]);
+      expect(listener).toHaveBeenLastCalledWith(
+        expect.objectContaining({ pauseReasons: ["auth"] })
+      );
+    });
+
+    test("should report an empty queue", async () => {
       consumer.start();
+      await jest.runOnlyPendingTimersAsync();
 
-      // Process first batch
+      expect(consumer.getState()).toMatchObject({
+        state: ConsumerState.Waiting,
+        waitReason: ConsumerWaitReason.EmptyQueue,
+      });
+    });
+
+    test("should report which consume condition blocked", async () => {
+      let isOnline = true;
+      consumer = new QueueConsumer(consumeFunc, [() => true, () => isOnline]);
+      consumer.start();
       await jest.runOnlyPendingTimersAsync();
 
-      // Should have processed 2 commands
-      expect(consumeFunc).toHaveBeenCalledTimes(2);
-      expect(consumer.queueState.processCount).toBe(2);
+      isOnline = false;
+      consumer.enqueue(createMockQueueCommand());
 
-      // Complete one command
-      consumer.completedCommandExecution(commands[0], true);
+      expect(consumer.getState()).toMatchObject({
+        state: ConsumerState.Waiting,
+        waitReason: ConsumerWaitReason.Condition,
+        blockedConditionIndex: 1,
+      });
+    });
+
+    test("should report no capacity", async () => {
+      consumer = new QueueConsumer(consumeFunc, [], undefined, {
+        maxConcurrency: 1,
+      });
+      consumer.enqueue(
+        createMockQueueCommand({
+          command: { id: "1", onExecute: mockUnResolvedPromise() },
+        })
+      );
+      consumer.enqueue(
+        createMockQueueCommand({
+          command: { id: "2", onExecute: mockUnResolvedPromise() },
+        })
+      );
+      consumer.start();
       await jest.runOnlyPendingTimersAsync();
 
-      // Should process the third command
-      expect(consumeFunc).toHaveBeenCalledTimes(3);
+      expect(consumer.getState()).toMatchObject({
+        state: ConsumerState.Waiting,
+        waitReason: ConsumerWaitReason.NoCapacity,
+      });
+    });
+
+    test("should be draining until in-flight commands end", async () => {
+      const queueCommand = new QueueCommand({
+        id: "cmd",
+        onExecute: mockUnResolvedPromise(),
+      });
+      consumer.enqueue(queueCommand);
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+
+      const drain = consumer.drainAsync();
+      await jest.runOnlyPendingTimersAsync();
+      expect(consumer.getState().state).toBe(ConsumerState.Draining);
+
+      consumer.completedCommandExecution(queueCommand, true);
+      await drain;
+      expect(consumer.getState().state).toBe(ConsumerState.Stopped);
     });
   });
-});
 
-const mockUnResolvedPromise = () =>
-  jest.fn(() => ({
-    then: jest.fn(),
-    catch: jest.fn(),
-  }));
+  describe("batching", () => {
+    let consumeBatchFunc;
 
-const mockResolvedPromise = () =>
-  jest.fn(() => ({
-    then: jest.fn((callback) => {
-      callback(true); // Call the callback with the desired value (success: true | false)
-      return { catch: jest.fn() }; // Return a mock for chaining
-    }),
-    catch: jest.fn(),
-  }));
+    const createQueueCommand = (id, resourceId = id) =>
+      new QueueCommand(new UserCommand("type", {}, { resourceId }));
 
-// Mock helper function to create test queue commands
-const createMockQueueCommand = (overrides = {}) => {
-  const mockUserCommand = {
-    id: "test-command-1",
-    executed: jest.fn(),
-    onExecute: mockUnResolvedPromise(),
-    ...overrides,
-  };
+    const createBatchConsumer = (batch = {}, retryPolicyEvaluator = undefined) =>
+      new QueueConsumer(undefined, [], retryPolicyEvaluator, {
+        batch: { consumeBatchFunc, ...batch },
+      });
 
-  return {
-    command: mockUserCommand,
-    queueInfo: {
-      status: QueueStatus.Initial,
-      attemptNo: 0,
-      ...overrides.queueInfo,
-    },
+    beforeEach(() => {
+      consumeBatchFunc = jest.fn();
+    });
+
+    test("should hand ready commands to consumeBatchFunc in batches of maxSize", async () => {
+      consumer = createBatchConsumer({ maxSize: 2 });
+      const queueCommands = ["1", "2", "3"].map((id) => createQueueCommand(id));
+      queueCommands.forEach(consumer.enqueue);
+
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+      // the retried batch is flushed on its own timer.
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumeBatchFunc).toHaveBeenCalledTimes(2);
+      expect(consumeBatchFunc).toHaveBeenNthCalledWith(
+        1,
+        [queueCommands[0].command, queueCommands[1].command],
+        [expect.any(AbortSignal), expect.any(AbortSignal)]
+      );
+      expect(consumeBatchFunc).toHaveBeenNthCalledWith(
+        2,
+        [queueCommands[2].command],
+        [expect.any(AbortSignal)]
+      );
+    });
+
+    test("should wait up to maxWaitMs for more commands", async () => {
+      consumer = createBatchConsumer({ maxSize: 3, maxWaitMs: 1000 });
+      const first = createQueueCommand("1");
+      const second = createQueueCommand("2");
+
+      consumer.enqueue(first);
+      consumer.start();
+      await jest.advanceTimersByTimeAsync(500);
+      consumer.enqueue(second);
+      await jest.advanceTimersByTimeAsync(499);
+
+      expect(consumeBatchFunc).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(1);
+
+      expect(consumeBatchFunc).toHaveBeenCalledWith(
+        [first.command, second.command],
+        expect.any(Array)
+      );
+    });
+
+    test("should complete each command with its returned result", async () => {
+      consumer = createBatchConsumer(
+        {},
+        new RetryPolicyEvaluator([new AttempNoRetryCondition(0)])
+      );
+      consumeBatchFunc.mockResolvedValue([true, false]);
+      const succeeded = createQueueCommand("1");
+      const failed = createQueueCommand("2");
+      consumer.enqueue(succeeded);
+      consumer.enqueue(failed);
+
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(succeeded.queueInfo.status).toBe(QueueStatus.Succeeded);
+      expect(failed.queueInfo.status).toBe(QueueStatus.Failed);
+      await expect(succeeded.onComplete()).resolves.toBe(true);
+      await expect(failed.onComplete()).resolves.toBe(false);
+      expect(consumer.queueState.processCount).toBe(0);
+    });
+
+    test("should complete commands executed by consumeBatchFunc", async () => {
+      consumer = createBatchConsumer();
+      consumeBatchFunc.mockImplementation((commands) =>
+        commands.forEach((command) => command.executed(true))
+      );
+      const queueCommand = createQueueCommand("1");
+      consumer.enqueue(queueCommand);
+
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(queueCommand.queueInfo.status).toBe(QueueStatus.Succeeded);
+    });
+
+    test("should retry each command of a failed batch", async () => {
+      consumer = createBatchConsumer(
+        {},
+        new RetryPolicyEvaluator([new AttempNoRetryCondition(2)])
+      );
+      const error = new Error("bulk request failed");
+      consumeBatchFunc.mockRejectedValueOnce(error);
+      const queueCommands = ["1", "2"].map((id) => createQueueCommand(id));
+      queueCommands.forEach(consumer.enqueue);
+
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+      // the retried batch is flushed on its own timer.
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumeBatchFunc).toHaveBeenCalledTimes(2);
+      queueCommands.forEach((queueCommand) => {
+        expect(queueCommand.queueInfo.attemptNo).toBe(1);
+        expect(queueCommand.queueInfo.lastError).toBe(error);
+      });
+    });
+
+    test("should leave out commands cancelled while waiting for the batch", async () => {
+      consumer = createBatchConsumer({ maxWaitMs: 1000 });
+      const cancelled = createQueueCommand("1");
+      const kept = createQueueCommand("2");
+      consumer.enqueue(cancelled);
+      consumer.enqueue(kept);
+
+      consumer.start();
+      await jest.advanceTimersByTimeAsync(0);
+      cancelled.cancel();
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(consumeBatchFunc).toHaveBeenCalledWith(
+        [kept.command],
+        [expect.any(AbortSignal)]
+      );
+    });
+
+    test("should count each command toward maxConcurrency", async () => {
+      consumer = createBatchConsumer({ maxSize: 5 });
+      consumer.maxConcurrency = 2;
+      ["1", "2", "3"].forEach((id) => consumer.enqueue(createQueueCommand(id)));
+
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumeBatchFunc).toHaveBeenCalledTimes(1);
+      expect(consumeBatchFunc.mock.calls[0][0]).toHaveLength(2);
+      expect(consumer.queueState.processCount).toBe(2);
+    });
+  });
+
+  describe("metrics", () => {
+    const createQueueCommand = (id) =>
+      new QueueCommand(new UserCommand("type", {}, { resourceId: id }));
+
+    test("should count command outcomes", async () => {
+      consumer = new QueueConsumer(
+        consumeFunc,
+        [],
+        new RetryPolicyEvaluator([new AttempNoRetryCondition(2)])
+      );
+      const succeeded = createQueueCommand("1");
+      const failed = createQueueCommand("2");
+      const cancelled = createQueueCommand("3");
+      consumeFunc.mockImplementation((command) => {
+        if (command === succeeded.command) command.executed(true);
+        if (command === failed.command) command.executed(false);
+      });
+
+      consumer.enqueue(succeeded);
+      consumer.enqueue(failed);
+      consumer.enqueue(cancelled);
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+      cancelled.cancel();
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumer.getMetrics().counters).toEqual({
+        [QueueMetric.Enqueued]: 3,
+        [QueueMetric.Started]: 4,
+        [QueueMetric.Succeeded]: 1,
+        [QueueMetric.Retried]: 1,
+        [QueueMetric.Failed]: 1,
+        [QueueMetric.Cancelled]: 1,
+      });
+    });
+
+    test("should observe time in queue and execution duration", async () => {
+      const queueCommand = createQueueCommand("1");
+      await jest.advanceTimersByTimeAsync(300);
+
+      consumer.enqueue(queueCommand);
+      consumer.start();
+      await jest.advanceTimersByTimeAsync(200);
+      queueCommand.command.executed(true);
+      await jest.advanceTimersByTimeAsync(0);
+
+      const { histograms } = consumer.getMetrics();
+      expect(histograms[QueueMetric.TimeInQueueMs]).toMatchObject({
+        count: 1,
+        sum: 300,
+      });
+      expect(histograms[QueueMetric.ExecutionDurationMs]).toMatchObject({
+        count: 1,
+        sum: 200,
+      });
+    });
+
+    test("should forward metrics to the metrics sink", async () => {
+      const metricsSink = { increment: jest.fn(), observe: jest.fn() };
+      consumer = new QueueConsumer(consumeFunc, [], undefined, {
+        metricsSink,
+      });
+      const queueCommand = createQueueCommand("1");
+
+      consumer.enqueue(queueCommand);
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+      consumer.completedCommandExecution(queueCommand, true);
+
+      expect(metricsSink.increment.mock.calls).toEqual([
+        [QueueMetric.Enqueued],
+        [QueueMetric.Started],
+        [QueueMetric.Succeeded],
+      ]);
+      expect(metricsSink.observe).toHaveBeenCalledWith(
+        QueueMetric.TimeInQueueMs,
+        expect.any(Number)
+      );
+      expect(metricsSink.observe).toHaveBeenCalledWith(
+        QueueMetric.ExecutionDurationMs,
+        expect.any(Number)
+      );
+    });
+  });
+
+  describe("timeout", () => {
+    const createQueueCommand = (meta = undefined) =>
+      new QueueCommand({ id: "cmd", meta, onExecute: mockUnResolvedPromise() });
+
+    it("should fail and abort an attempt that exceeds timeoutMs", async () => {
+      consumer = new QueueConsumer(consumeFunc, [], undefined, {
+        timeoutMs: 1000,
+      });
+      const queueCommand = createQueueCommand();
+
+      consumer.enqueue(queueCommand);
+      consumer.start();
+      await jest.advanceTimersByTimeAsync(0);
+
+      const signal = consumeFunc.mock.calls[0][1];
+      await jest.advanceTimersByTimeAsync(999);
+      expect(signal.aborted).toBe(false);
+
+      await jest.advanceTimersByTimeAsync(1);
+
+      expect(signal.aborted).toBe(true);
+      expect(queueCommand.queueInfo.status).toBe(QueueStatus.Failed);
+      expect(queueCommand.queueInfo.lastError.message).toBe(
+        ErrorMessages.Exceptions.Timeout
+      );
+      expect(queueCommand.queueInfo.history[0].success).toBe(false);
+      expect(consumer.queueState.processCount).toBe(0);
+      await expect(queueCommand.onComplete()).resolves.toBe(false);
+    });
+
+    it("should retry a timed out attempt when policy allows", async () => {
+      consumer = new QueueConsumer(
+        consumeFunc,
+        [],
+        new RetryPolicyEvaluator([new AttempNoRetryCondition(2)]),
+        { timeoutMs: 1000 }
+      );
+      const queueCommand = createQueueCommand();
+
+      consumer.enqueue(queueCommand);
+      consumer.start();
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(queueCommand.queueInfo.attemptNo).toBe(1);
+      expect(consumeFunc).toHaveBeenCalledTimes(2);
+      expect(queueCommand.queueInfo.status).toBe(QueueStatus.Processing);
+    });
+
+    it("should prefer meta.timeoutMs over the consumer default", async () => {
+      consumer = new QueueConsumer(consumeFunc, [], undefined, {
+        timeoutMs: 1000,
+      });
+      const queueCommand = createQueueCommand({ timeoutMs: 5000 });
+
+      consumer.enqueue(queueCommand);
+      consumer.start();
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(queueCommand.queueInfo.status).toBe(QueueStatus.Processing);
+
+      await jest.advanceTimersByTimeAsync(4000);
+      expect(queueCommand.queueInfo.status).toBe(QueueStatus.Failed);
+    });
+
+    it("should not time out an attempt that completed in time", async () => {
+      consumer = new QueueConsumer(consumeFunc, [], undefined, {
+        timeoutMs: 1000,
+      });
+      const queueCommand = createQueueCommand();
+
+      consumer.enqueue(queueCommand);
+      consumer.start();
+      await jest.advanceTimersByTimeAsync(0);
+      const signal = consumeFunc.mock.calls[0][1];
+
+      consumer.completedCommandExecution(queueCommand, true);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(signal.aborted).toBe(false);
+      expect(queueCommand.queueInfo.status).toBe(QueueStatus.Succeeded);
+    });
+  });
+
+  describe("retry behavior", () => {
+    it("should retry failed command when policy allows", () => {
+      consumer.retryPolicyEvaluator = {
+        shouldRetry: jest.fn().mockReturnValue(true),
+      };
+
+      const mockCommand = createProcessingCommand();
+      consumer.queueState.processCount = 1; // Simulate command being processed
+
+      consumer.completedCommandExecution(mockCommand, false);
+
+      expect(consumer.retryPolicyEvaluator.shouldRetry).toHaveBeenCalled();
+      expect(mockCommand.queueInfo.status).toBe(QueueStatus.RetryScheduled);
+      expect(mockCommand.onStatusUpdate).toHaveBeenCalledWith(
+        QueueStatus.RetryScheduled
+      );
+      expect(mockCommand.queueInfo.attemptNo).toBe(1);
+      expect(consumer.queue.has(mockCommand)).toBe(true);
+      expect(consumer.queueState.processCount).toBe(0);
+    });
+
+    it("should mark as failed when retry policy denies retry", () => {
+      consumer.retryPolicyEvaluator = {
+        shouldRetry: jest.fn().mockReturnValue(false),
+      };
+
+      const mockCommand = createProcessingCommand();
+      consumer.queueState.processCount = 1; // Simulate command being processed
+
+      consumer.completedCommandExecution(mockCommand, false);
+
+      expect(mockCommand.queueInfo.status).toBe(QueueStatus.Failed);
+      expect(mockCommand.onStatusUpdate).toHaveBeenCalledWith(
+        QueueStatus.Failed
+      );
+      expect(mockCommand.completed).toHaveBeenCalledWith(false);
+      expect(consumer.queueState.processCount).toBe(0);
+    });
+
+    it("should increment attempt number on retry", () => {
+      consumer.retryPolicyEvaluator = {
+        shouldRetry: jest.fn().mockReturnValue(false),
+      };
+
+      const mockCommand = createProcessingCommand();
+      const originalAttemptNo = mockCommand.queueInfo.attemptNo;
+
+      consumer.completedCommandExecution(mockCommand, false);
+
+      expect(mockCommand.queueInfo.attemptNo).toBe(originalAttemptNo + 1);
+    });
+
+    it("should handle no retry policy gracefully", () => {
+      const mockCommand = createProcessingCommand();
+      consumer.queueState.processCount = 1;
+
+      consumer.completedCommandExecution(mockCommand, false);
+
+      expect(mockCommand.queueInfo.status).toBe(QueueStatus.Failed);
+      expect(mockCommand.completed).toHaveBeenCalledWith(false);
+    });
+  });
+
+  describe("failure reason", () => {
+    test("should record the detail and HTTP status given to executed", async () => {
+      const queueCommand = new QueueCommand(new UserCommand("type"));
+      const response = { status: 503, ok: false };
+      consumeFunc.mockImplementation((command) =>
+        command.executed(false, response)
+      );
+
+      consumer.enqueue(queueCommand);
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(queueCommand.queueInfo.failureReason).toEqual({
+        error: undefined,
+        detail: response,
+        status: 503,
+      });
+    });
+
+    test("should record the thrown error", async () => {
+      const error = Object.assign(new Error("conflict"), { status: 409 });
+      consumeFunc.mockImplementation(() => {
+        throw error;
+      });
+      const mockCommand = createMockQueueCommand();
+
+      consumer.enqueue(mockCommand);
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(mockCommand.queueInfo.failureReason).toEqual({
+        error,
+        detail: undefined,
+        status: 409,
+      });
+    });
+
+    test("should record the detail given to completedCommandExecution", () => {
+      const mockCommand = createProcessingCommand();
+
+      consumer.completedCommandExecution(mockCommand, false, { status: 429 });
+
+      expect(mockCommand.queueInfo.failureReason.status).toBe(429);
+    });
+
+    test("should not record the status of a sanitized fetch exception", () => {
+      const mockCommand = createProcessingCommand();
+      const networkError = sanitizefetchException(new TypeError("Failed to fetch"));
+
+      consumer.completedCommandExecution(mockCommand, false, networkError);
+
+      expect(mockCommand.queueInfo.failureReason.detail).toBe(networkError);
+      expect(mockCommand.queueInfo.failureReason.status).toBeUndefined();
+    });
+
+    test("should record a TimeoutError on timeout", async () => {
+      consumer = new QueueConsumer(consumeFunc, [], undefined, {
+        timeoutMs: 1000,
+      });
+      const queueCommand = new QueueCommand(new UserCommand("type"));
+
+      consumer.enqueue(queueCommand);
+      consumer.start();
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(queueCommand.queueInfo.failureReason.error.name).toBe(
+        "TimeoutError"
+      );
+    });
+
+    test("should let retry conditions retry by HTTP status", async () => {
+      consumer = new QueueConsumer(
+        consumeFunc,
+        [],
+        new RetryPolicyEvaluator(
+          [new AttempNoRetryCondition(3), new HttpStatusRetryCondition()],
+          RetryPolicyMode.All
+        )
+      );
+      const retried = new QueueCommand(new UserCommand("type", {}, { resourceId: "1" }));
+      const failed = new QueueCommand(new UserCommand("type", {}, { resourceId: "2" }));
+      consumeFunc.mockImplementation((command) =>
+        command.executed(false, {
+          status: command === retried.command ? 503 : 400,
+        })
+      );
+
+      consumer.enqueue(retried);
+      consumer.enqueue(failed);
+      consumer.start();
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(failed.queueInfo.attemptNo).toBe(1);
+      expect(failed.queueInfo.status).toBe(QueueStatus.Failed);
+      expect(retried.queueInfo.attemptNo).toBe(3);
+      expect(retried.queueInfo.status).toBe(QueueStatus.Failed);
+    });
+  });
+
+  describe("Retry-After", () => {
+    const createQueueCommand = (resourceId) =>
+      new QueueCommand(new UserCommand("type", {}, { resourceId }));
+
+    const retryAfterResponse = (retryAfter) => ({
+      status: 503,
+      ok: false,
+      headers: new Headers({ "Retry-After": retryAfter }),
+    });
+
+    const alwaysRetry = () =>
+      new RetryPolicyEvaluator([
+        { shouldRetry: () => true, getRetryDelay: () => 100 },
+      ]);
+
+    test("should park the command until the Retry-After delay", async () => {
+      consumer = new QueueConsumer(consumeFunc, [], alwaysRetry());
+      const queueCommand = createQueueCommand("1");
+      consumeFunc.mockImplementationOnce((command) =>
+        command.executed(false, retryAfterResponse("5"))
+      );
+      const now = Date.now();
+
+      consumer.enqueue(queueCommand);
+      consumer.start();
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(queueCommand.queueInfo.failureReason.retryAfterMs).toBe(5000);
+      expect(queueCommand.queueInfo.retryDelayMs).toBe(5000);
+      expect(queueCommand.queueInfo.nextAttemptAt).toBe(now + 5000);
+
+      await jest.advanceTimersByTimeAsync(4999);
+      expect(consumeFunc).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(consumeFunc).toHaveBeenCalledTimes(2);
+    });
+
+    test("should keep a longer retry policy delay", async () => {
+      consumer = new QueueConsumer(
+        consumeFunc,
+        [],
+        new RetryPolicyEvaluator([
+          { shouldRetry: () => true, getRetryDelay: () => 10000 },
+        ])
+      );
+      const queueCommand = createQueueCommand("1");
+      consumeFunc.mockImplementationOnce((command) =>
+        command.executed(false, retryAfterResponse("5"))
+      );
+
+      consumer.enqueue(queueCommand);
+      consumer.start();
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(queueCommand.queueInfo.retryDelayMs).toBe(10000);
+    });
+
+    test("should hold back commands with the same ordering key", async () => {
+      consumer = new QueueConsumer(consumeFunc, [], alwaysRetry());
+      const failing = createQueueCommand("1");
+      const sameKey = createQueueCommand("1");
+      const otherKey = createQueueCommand("2");
+      consumeFunc.mockImplementationOnce((command) =>
+        command.executed(false, retryAfterResponse("5"))
+      );
+
+      consumer.enqueue(failing);
+      consumer.enqueue(sameKey);
+      consumer.enqueue(otherKey);
+      consumer.start();
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(consumeFunc).toHaveBeenCalledTimes(2);
+      expect(consumeFunc).toHaveBeenLastCalledWith(
+        otherKey.command,
+        expect.any(AbortSignal)
+      );
+    });
+
+    test("should hold back every command with the Consumer scope", async () => {
+      consumer = new QueueConsumer(consumeFunc, [], alwaysRetry(), {
+        retryAfterScope: RetryAfterScope.Consumer,
+      });
+      const failing = createQueueCommand("1");
+      const otherKey = createQueueCommand("2");
+      consumeFunc.mockImplementationOnce((command) =>
+        command.executed(false, {
+          status: 429,
+          headers: { "Retry-After": "2" },
+        })
+      );
+
+      consumer.enqueue(failing);
+      consumer.start();
+      await jest.advanceTimersByTimeAsync(0);
+      consumer.enqueue(otherKey);
+      await jest.advanceTimersByTimeAsync(1999);
+
+      expect(consumeFunc).toHaveBeenCalledTimes(1);
+      expect(consumer.getState().waitReason).toBe(ConsumerWaitReason.RetryAfter);
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(consumeFunc).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe("circuit breaker", () => {
+    const createQueueCommand = (resourceId) =>
+      new QueueCommand(new UserCommand("type", {}, { resourceId }));
+
+    test("should hold back commands while open and resume once half-open", async () => {
+      const circuitBreaker = new CircuitBreaker({
+        minimumCalls: 1,
+        coolDownMs: 1000,
+      });
+      consumer = new QueueConsumer(consumeFunc, [], undefined, {
+        circuitBreaker,
+      });
+      consumeFunc.mockImplementationOnce((command) =>
+        command.executed(false, { status: 503 })
+      );
+
+      consumer.enqueue(createQueueCommand("1"));
+      consumer.start();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(circuitBreaker.state).toBe(CircuitState.Open);
+
+      consumer.enqueue(createQueueCommand("2"));
+      await jest.advanceTimersByTimeAsync(999);
+      expect(consumeFunc).toHaveBeenCalledTimes(1);
+      expect(consumer.getState().waitReason).toBe(
+        ConsumerWaitReason.CircuitOpen
+      );
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(consumeFunc).toHaveBeenCalledTimes(2);
+    });
+
+    test("should close on a successful trial command", async () => {
+      const circuitBreaker = new CircuitBreaker({
+        minimumCalls: 1,
+        coolDownMs: 1000,
+        halfOpenMaxCalls: 1,
+      });
+      consumer = new QueueConsumer(consumeFunc, [], undefined, {
+        circuitBreaker,
+      });
+      circuitBreaker.recordFailure();
+      const trial = createQueueCommand("1");
+      const next = createQueueCommand("2");
+
+      consumer.enqueue(trial);
+      consumer.enqueue(next);
+      consumer.start();
+      await jest.advanceTimersByTimeAsync(1000);
+
+      // one trial at a time while half-open.
+      expect(consumeFunc).toHaveBeenCalledTimes(1);
+
+      trial.command.executed(true);
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(circuitBreaker.state).toBe(CircuitState.Closed);
+      expect(consumeFunc).toHaveBeenCalledTimes(2);
+    });
+
+    test("should not count a 4xx failure against the service", async () => {
+      const circuitBreaker = new CircuitBreaker({ minimumCalls: 1 });
+      consumer = new QueueConsumer(consumeFunc, [], undefined, {
+        circuitBreaker,
+      });
+      consumeFunc.mockImplementation((command) =>
+        command.executed(false, { status: 422 })
+      );
+
+      consumer.enqueue(createQueueCommand("1"));
+      consumer.start();
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(circuitBreaker.state).toBe(CircuitState.Closed);
+    });
+  });
+
+  describe("attempt history", () => {
+    it("should record each attempt and the last error", async () => {
+      consumer.retryPolicyEvaluator = {
+        shouldRetry: jest.fn().mockReturnValue(false),
+      };
+      const error = new Error("Processing failed");
+      consumeFunc.mockImplementation(() => {
+        throw error;
+      });
+
+      const mockCommand = createMockQueueCommand();
+      consumer.enqueue(mockCommand);
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(mockCommand.queueInfo.lastError).toBe(error);
+      expect(mockCommand.queueInfo.history).toEqual([
+        {
+          startedAt: expect.any(Number),
+          finishedAt: expect.any(Number),
+          success: false,
+          error,
+        },
+      ]);
+    });
+
+    it("should record a successful attempt", async () => {
+      const mockCommand = createMockQueueCommand();
+      consumer.enqueue(mockCommand);
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+      consumer.completedCommandExecution(mockCommand, true);
+
+      expect(mockCommand.queueInfo.history).toHaveLength(1);
+      expect(mockCommand.queueInfo.history[0].success).toBe(true);
+      expect(mockCommand.queueInfo.history[0].error).toBeUndefined();
+    });
+  });
+
+  describe("retry delay", () => {
+    it("should park a retried command until its next attempt time", () => {
+      consumer.retryPolicyEvaluator = {
+        shouldRetry: jest.fn().mockReturnValue(true),
+        getRetryDelay: jest.fn().mockReturnValue(1000),
+      };
+
+      const mockCommand = createProcessingCommand();
+      consumer.queueState.processCount = 1;
+      const now = Date.now();
+
+      consumer.completedCommandExecution(mockCommand, false);
+
+      expect(mockCommand.queueInfo.retryDelayMs).toBe(1000);
+      expect(mockCommand.queueInfo.nextAttemptAt).toBeGreaterThanOrEqual(now + 1000);
+      expect(consumer.queue.has(mockCommand)).toBe(true);
+    });
+
+    it("should not attempt a parked command before its next attempt time", async () => {
+      const mockCommand = createMockQueueCommand({
+        queueInfo: { nextAttemptAt: Date.now() + 1000 },
+      });
+
+      consumer.enqueue(mockCommand);
+      consumer.start();
+
+      await jest.advanceTimersByTimeAsync(999);
+      expect(consumeFunc).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(consumeFunc).toHaveBeenCalledWith(
+        mockCommand.command,
+        expect.any(AbortSignal)
+      );
+    });
+
+    it("should attempt ready commands while others are parked", async () => {
+      const parkedCommand = createMockQueueCommand({
+        command: { id: "parked", onExecute: mockUnResolvedPromise() },
+        queueInfo: { nextAttemptAt: Date.now() + 1000 },
+      });
+      const readyCommand = createMockQueueCommand({
+        command: { id: "ready", onExecute: mockUnResolvedPromise() },
+      });
+
+      consumer.enqueue(parkedCommand);
+      consumer.enqueue(readyCommand);
+      consumer.start();
+
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(consumeFunc).toHaveBeenCalledTimes(1);
+      expect(consumeFunc).toHaveBeenCalledWith(
+        readyCommand.command,
+        expect.any(AbortSignal)
+      );
+      expect(consumer.queue.has(parkedCommand)).toBe(true);
+    });
+
+    it("should reset the user command execution before each attempt", async () => {
+      const mockCommand = createMockQueueCommand();
+      mockCommand.command.resetExecution = jest.fn();
+
+      consumer.enqueue(mockCommand);
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(mockCommand.command.resetExecution).toHaveBeenCalled();
+    });
+  });
+
+  describe("schedule and expiry", () => {
+    it("should defer a command until its notBefore time", async () => {
+      const mockCommand = createMockQueueCommand({
+        meta: { notBefore: Date.now() + 1000 },
+      });
+
+      consumer.enqueue(mockCommand);
+      consumer.start();
+
+      expect(mockCommand.queueInfo.status).toBe(QueueStatus.Deferred);
+
+      await jest.advanceTimersByTimeAsync(999);
+      expect(consumeFunc).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(consumeFunc).toHaveBeenCalledWith(
+        mockCommand.command,
+        expect.any(AbortSignal)
+      );
+      expect(mockCommand.queueInfo.status).toBe(QueueStatus.Processing);
+    });
+
+    it("should not hold back other commands, even with the same ordering key", async () => {
+      const scheduledCommand = createMockQueueCommand({
+        meta: { resourceId: "r1", notBefore: Date.now() + 1000 },
+      });
+      const readyCommand = createMockQueueCommand({
+        command: {
+          id: "ready",
+          meta: { resourceId: "r1" },
+          onExecute: mockUnResolvedPromise(),
+        },
+      });
+
+      consumer.enqueue(scheduledCommand);
+      consumer.enqueue(readyCommand);
+      consumer.start();
+
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(consumeFunc).toHaveBeenCalledTimes(1);
+      expect(consumeFunc).toHaveBeenCalledWith(
+        readyCommand.command,
+        expect.any(AbortSignal)
+      );
+      expect(consumer.queue.has(scheduledCommand)).toBe(true);
+    });
+
+    it("should drop a queued command once it expires", async () => {
+      const mockCommand = createMockQueueCommand({
+        meta: { notBefore: Date.now() + 2000, expiresAt: Date.now() + 1000 },
+      });
+
+      consumer.enqueue(mockCommand);
+      consumer.start();
+
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(consumer.queue.has(mockCommand)).toBe(false);
+      expect(mockCommand.queueInfo.status).toBe(QueueStatus.Expired);
+      expect(mockCommand.completed).toHaveBeenCalledWith(false);
+      expect(consumer.getMetrics().counters[QueueMetric.Expired]).toBe(1);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(consumeFunc).not.toHaveBeenCalled();
+    });
+
+    it("should drop a command that expired before it was enqueued", () => {
+      const mockCommand = createMockQueueCommand({
+        meta: { expiresAt: Date.now() - 1 },
+      });
+
+      consumer.enqueue(mockCommand);
+
+      expect(consumer.queue.has(mockCommand)).toBe(false);
+      expect(mockCommand.queueInfo.status).toBe(QueueStatus.Expired);
+      expect(mockCommand.completed).toHaveBeenCalledWith(false);
+    });
+
+    it("should not expire a command after its attempt started", async () => {
+      const mockCommand = createMockQueueCommand({
+        meta: { expiresAt: Date.now() + 1000 },
+      });
+
+      consumer.enqueue(mockCommand);
+      consumer.start();
+
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(mockCommand.queueInfo.status).toBe(QueueStatus.Processing);
+      expect(mockCommand.completed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("dependencies", () => {
+    const createCommand = (resourceId, dependsOn = undefined) =>
+      new QueueCommand(new UserCommand("create", {}, { resourceId, dependsOn }));
+
+    it("should hold a dependent until its prerequisite succeeds", async () => {
+      const parent = createCommand("parent");
+      const child = createCommand("child", [parent.command.meta.ReferenceId]);
+
+      consumer.enqueue(parent);
+      consumer.enqueue(child);
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumeFunc).toHaveBeenCalledTimes(1);
+      expect(consumeFunc).toHaveBeenCalledWith(parent.command, expect.any(AbortSignal));
+      expect(consumer.getState().waitReason).toBe(ConsumerWaitReason.NoneReady);
+
+      parent.command.executed(true);
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumeFunc).toHaveBeenCalledTimes(2);
+      expect(consumeFunc).toHaveBeenLastCalledWith(child.command, expect.any(AbortSignal));
+    });
+
+    it("should hold a dependent while its prerequisite waits for a retry", async () => {
+      consumer.retryPolicyEvaluator = {
+        shouldRetry: jest.fn().mockReturnValue(true),
+        getRetryDelay: jest.fn().mockReturnValue(1000),
+      };
+
+      const parent = createCommand("parent");
+      const child = createCommand("child", [parent.command.meta.ReferenceId]);
+
+      consumer.enqueue(parent);
+      consumer.enqueue(child);
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+      parent.command.executed(false);
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(parent.queueInfo.status).toBe(QueueStatus.RetryScheduled);
+      expect(consumeFunc).toHaveBeenCalledTimes(1);
+    });
+
+    it("should not wait on prerequisites the consumer does not hold", async () => {
+      const child = createCommand("child", ["unknown-reference"]);
+
+      consumer.enqueue(child);
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumeFunc).toHaveBeenCalledWith(child.command, expect.any(AbortSignal));
+    });
+
+    it("should cancel dependents, and theirs, when a prerequisite fails", async () => {
+      const parent = createCommand("parent");
+      const child = createCommand("child", [parent.command.meta.ReferenceId]);
+      const grandchild = createCommand("grandchild", [child.command.meta.ReferenceId]);
+      const other = createCommand("other");
+
+      consumer.enqueue(parent);
+      consumer.enqueue(child);
+      consumer.enqueue(grandchild);
+      consumer.enqueue(other);
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+      parent.command.executed(false);
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(parent.queueInfo.status).toBe(QueueStatus.Failed);
+      expect(child.queueInfo.status).toBe(QueueStatus.Cancelled);
+      expect(grandchild.queueInfo.status).toBe(QueueStatus.Cancelled);
+      expect(child.signal.reason.message).toContain(ErrorMessages.Exceptions.DependencyFailed);
+      await expect(grandchild.onComplete()).resolves.toBe(false);
+      expect(consumer.queue.has(other)).toBe(false);
+      expect(consumeFunc).not.toHaveBeenCalledWith(child.command, expect.anything());
+    });
+
+    it("should cancel dependents when a prerequisite is cancelled", () => {
+      const parent = createCommand("parent");
+      const child = createCommand("child", [parent.command.meta.ReferenceId]);
+
+      consumer.enqueue(parent);
+      consumer.enqueue(child);
+      parent.cancel();
+
+      expect(child.queueInfo.status).toBe(QueueStatus.Cancelled);
+      expect(consumer.queue.size).toBe(0);
+    });
+
+    it("should cancel a dependent enqueued after its prerequisite failed", async () => {
+      const parent = createCommand("parent");
+      const child = createCommand("child", [parent.command.meta.ReferenceId]);
+
+      consumer.enqueue(parent);
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+      parent.command.executed(false);
+      await jest.runOnlyPendingTimersAsync();
+
+      consumer.enqueue(child);
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(parent.queueInfo.status).toBe(QueueStatus.Failed);
+      expect(child.queueInfo.status).toBe(QueueStatus.Cancelled);
+      expect(child.signal.reason.message).toContain(ErrorMessages.Exceptions.DependencyFailed);
+      expect(consumer.queue.size).toBe(0);
+      expect(consumeFunc).not.toHaveBeenCalledWith(child.command, expect.anything());
+    });
+
+    it("should cancel a dependent enqueued after its prerequisite was cancelled or expired", () => {
+      const cancelled = createCommand("cancelled");
+      const expired = new QueueCommand(new UserCommand("create", {}, { resourceId: "expired", expiresAt: Date.now() }));
+      const cancelledChild = createCommand("child1", [cancelled.command.meta.ReferenceId]);
+      const expiredChild = createCommand("child2", [expired.command.meta.ReferenceId]);
+
+      consumer.enqueue(cancelled);
+      cancelled.cancel();
+      consumer.enqueue(expired);
+
+      consumer.enqueue(cancelledChild);
+      consumer.enqueue(expiredChild);
+
+      expect(expired.queueInfo.status).toBe(QueueStatus.Expired);
+      expect(cancelledChild.queueInfo.status).toBe(QueueStatus.Cancelled);
+      expect(expiredChild.queueInfo.status).toBe(QueueStatus.Cancelled);
+    });
+
+    it("should run a dependent once its failed prerequisite is enqueued again and succeeds", async () => {
+      const parent = createCommand("parent");
+      const child = createCommand("child", [parent.command.meta.ReferenceId]);
+
+      consumer.enqueue(parent);
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+      parent.command.executed(false);
+      await jest.runOnlyPendingTimersAsync();
+
+      // e.g. a requeued dead letter, restored as a new command with the same ReferenceId.
+      const requeued = new QueueCommand(parent.command);
+      parent.command.resetExecution();
+      consumer.enqueue(requeued);
+      consumer.enqueue(child);
+      await jest.runOnlyPendingTimersAsync();
+
+      requeued.command.executed(true);
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(child.queueInfo.status).toBe(QueueStatus.Processing);
+    });
+
+    it("should keep held dependents waiting until their failed prerequisite is enqueued again", async () => {
+      const parent = createCommand("parent");
+      const child = createCommand("child", [parent.command.meta.ReferenceId]);
+      const referenceId = parent.command.meta.ReferenceId;
+
+      parent.addOnStatusUpdate((status) => {
+        if (status === QueueStatus.Failed) {
+          consumer.holdDependents(referenceId);
+        }
+      });
+      consumer.enqueue(parent);
+      consumer.enqueue(child);
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+      parent.command.executed(false);
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(parent.queueInfo.status).toBe(QueueStatus.Failed);
+      expect(child.queueInfo.status).toBe(QueueStatus.Initial);
+      expect(consumeFunc).toHaveBeenCalledTimes(1);
+
+      // e.g. the failure resolved into a command with the same ReferenceId.
+      const resolved = new QueueCommand(parent.command);
+      parent.command.resetExecution();
+      consumer.enqueue(resolved);
+      await jest.runOnlyPendingTimersAsync();
+
+      resolved.command.executed(true);
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumeFunc).toHaveBeenLastCalledWith(child.command, expect.any(AbortSignal));
+    });
+
+    it("should cancel held dependents with cancelDependents", async () => {
+      const parent = createCommand("parent");
+      const child = createCommand("child", [parent.command.meta.ReferenceId]);
+      const referenceId = parent.command.meta.ReferenceId;
+
+      consumer.enqueue(parent);
+      consumer.enqueue(child);
+      consumer.holdDependents(referenceId);
+      parent.cancel();
+
+      expect(child.queueInfo.status).toBe(QueueStatus.Initial);
+
+      consumer.cancelDependents(referenceId);
+
+      expect(child.queueInfo.status).toBe(QueueStatus.Cancelled);
+      expect(child.signal.reason.message).toContain(ErrorMessages.Exceptions.DependencyFailed);
+    });
+
+    it("should only remember the most recent unsuccessful prerequisites for dependents enqueued later", () => {
+      for (let i = 0; i <= 1000; i++) {
+        consumer.cancelDependents(`unsuccessful-${i}`);
+      }
+
+      const forgottenChild = createCommand("child1", ["unsuccessful-0"]);
+      const rememberedChild = createCommand("child2", ["unsuccessful-1000"]);
+      consumer.enqueue(forgottenChild);
+      consumer.enqueue(rememberedChild);
+
+      expect(forgottenChild.queueInfo.status).toBe(QueueStatus.Initial);
+      expect(rememberedChild.queueInfo.status).toBe(QueueStatus.Cancelled);
+    });
+
+    it("should throw on a dependency cycle", () => {
+      const first = createCommand("first");
+      const second = createCommand("second", [first.command.meta.ReferenceId]);
+      first.command.meta.dependsOn = [second.command.meta.ReferenceId];
+
+      consumer.enqueue(second);
+
+      expect(() => consumer.enqueue(first)).toThrow(ErrorMessages.Exceptions.DependencyCycle);
+      expect(consumer.queue.has(first)).toBe(false);
+    });
+
+    it("should throw on a command depending on itself", () => {
+      const command = createCommand("self");
+      command.command.meta.dependsOn = [command.command.meta.ReferenceId];
+
+      expect(() => consumer.enqueue(command)).toThrow(ErrorMessages.Exceptions.DependencyCycle);
+    });
+
+    it("should check a command for a dependency cycle without enqueuing it", () => {
+      const first = createCommand("first");
+      const second = createCommand("second", [first.command.meta.ReferenceId]);
+      first.command.meta.dependsOn = [second.command.meta.ReferenceId];
+
+      consumer.enqueue(second);
+
+      expect(() => consumer.ensureCanEnqueue(first)).toThrow(ErrorMessages.Exceptions.DependencyCycle);
+      expect(() => consumer.ensureCanEnqueue(createCommand("third"))).not.toThrow();
+      expect(consumer.queue.size).toBe(1);
+    });
+  });
+
+  describe("concurrency and rate limit", () => {
+    const createCommands = (count) =>
+      Array.from({ length: count }, (_, i) =>
+        createMockQueueCommand({
+          command: { id: `cmd${i}`, onExecute: mockUnResolvedPromise() },
+        })
+      );
+
+    it("should not exceed maxConcurrency and resume when capacity frees up", async () => {
+      consumer = new QueueConsumer(consumeFunc, [], undefined, {
+        maxConcurrency: 2,
+      });
+
+      const commands = createCommands(3);
+      commands.forEach((cmd) => consumer.enqueue(cmd));
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumeFunc).toHaveBeenCalledTimes(2);
+      expect(consumer.queueState.processCount).toBe(2);
+
+      consumer.completedCommandExecution(commands[0], true);
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumeFunc).toHaveBeenCalledTimes(3);
+    });
+
+    it("should start at most rateLimit.tokens commands per interval", async () => {
+      consumer = new QueueConsumer(consumeFunc, [], undefined, {
+        rateLimit: { tokens: 2, intervalMs: 1000 },
+      });
+
+      createCommands(5).forEach((cmd) => consumer.enqueue(cmd));
+      consumer.start();
+
+      await jest.advanceTimersByTimeAsync(0);
+      expect(consumeFunc).toHaveBeenCalledTimes(2);
+
+      // one token refills every 500ms
+      await jest.advanceTimersByTimeAsync(499);
+      expect(consumeFunc).toHaveBeenCalledTimes(2);
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(consumeFunc).toHaveBeenCalledTimes(3);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(consumeFunc).toHaveBeenCalledTimes(5);
+    });
+  });
+
+  describe("priority", () => {
+    const createCommand = (id, priority, dateCreated = Date.now()) =>
+      createMockQueueCommand({
+        command: { id, onExecute: mockUnResolvedPromise() },
+        queueInfo: { priority, dateCreated },
+      });
+
+    it("should dequeue the highest priority first, FIFO within a priority", async () => {
+      const low = createCommand("low", QueuePriority.Low);
+      const high1 = createCommand("high1", QueuePriority.High);
+      const normal = createCommand("normal", undefined);
+      const high2 = createCommand("high2", QueuePriority.High);
+
+      [low, high1, normal, high2].forEach((cmd) => consumer.enqueue(cmd));
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumeFunc.mock.calls.map(([command]) => command.id)).toEqual([
+        "high1",
+        "high2",
+        "normal",
+        "low",
+      ]);
+    });
+
+    it("should keep a retried command's place within its priority", () => {
+      consumer.retryPolicyEvaluator = {
+        shouldRetry: jest.fn().mockReturnValue(true),
+      };
+
+      const first = createCommand("first", QueuePriority.Normal);
+      const second = createCommand("second", QueuePriority.Normal);
+
+      consumer.enqueue(first);
+      consumer.enqueue(second);
+      consumer.remove(first);
+      first.queueInfo.status = QueueStatus.Processing;
+      consumer.queueState.processCount = 1;
+
+      consumer.completedCommandExecution(first, false);
+      consumer.start();
+
+      expect(consumeFunc.mock.calls[0][0].id).toBe("first");
+    });
+
+    it("should age waiting commands so they cannot starve", async () => {
+      consumer = new QueueConsumer(consumeFunc, [], undefined, {
+        priorityAgingMs: 1000,
+      });
+
+      const now = Date.now();
+      // waited 6s, Lowest + 6 = 7
+      const old = createCommand("old", QueuePriority.Lowest, now - 6000);
+      const fresh = createCommand("fresh", QueuePriority.Normal, now);
+
+      consumer.enqueue(fresh);
+      consumer.enqueue(old);
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumeFunc.mock.calls[0][0].id).toBe("old");
+    });
+  });
+
+  describe("ordering keys", () => {
+    const createCommand = (id, resourceId) =>
+      createMockQueueCommand({
+        command: { id, meta: { resourceId }, onExecute: mockUnResolvedPromise() },
+      });
+
+    const consumedIds = () => consumeFunc.mock.calls.map(([command]) => command.id);
+
+    it("should run commands on the same resource one at a time in enqueue order", async () => {
+      const put = createCommand("put", "res1");
+      const del = createCommand("delete", "res1");
+      const other = createCommand("other", "res2");
+
+      [put, del, other].forEach((cmd) => consumer.enqueue(cmd));
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+      expect(consumedIds()).toEqual(["put", "other"]);
+
+      consumer.completedCommandExecution(put, true);
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumedIds()).toEqual(["put", "other", "delete"]);
+    });
+
+    it("should keep a retried command ahead of later commands with the same key", async () => {
+      consumer.retryPolicyEvaluator = {
+        shouldRetry: jest.fn().mockReturnValue(true),
+        getRetryDelay: jest.fn().mockReturnValue(1000),
+      };
+
+      const put = createCommand("put", "res1");
+      const del = createCommand("delete", "res1");
+
+      consumer.enqueue(put);
+      consumer.enqueue(del);
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+      consumer.completedCommandExecution(put, false);
+
+      await jest.advanceTimersByTimeAsync(999);
+      expect(consumedIds()).toEqual(["put"]);
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(consumedIds()).toEqual(["put", "put"]);
+    });
+
+    it("should not serialize commands without a key", async () => {
+      const first = createMockQueueCommand({
+        command: { id: "first", onExecute: mockUnResolvedPromise() },
+      });
+      const second = createMockQueueCommand({
+        command: { id: "second", onExecute: mockUnResolvedPromise() },
+      });
+
+      consumer.enqueue(first);
+      consumer.enqueue(second);
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumedIds()).toEqual(["first", "second"]);
+    });
+
+    it("should not serialize commands created without a resource, so priority orders them", async () => {
+      consumer = new QueueConsumer(consumeFunc, [], undefined, { maxConcurrency: 1 });
+
+      const createSystemCommand = (id, priority) =>
+        createMockQueueCommand({
+          command: {
+            id,
+            meta: { resourceId: UserCommand.systemResourceId },
+            onExecute: mockUnResolvedPromise(),
+          },
+          queueInfo: { priority },
+        });
+
+      const first = createSystemCommand("first", QueuePriority.Normal);
+      const second = createSystemCommand("second", QueuePriority.Normal);
+      const urgent = createSystemCommand("urgent", QueuePriority.High);
+
+      [first, second, urgent].forEach((cmd) => consumer.enqueue(cmd));
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+      expect(consumedIds()).toEqual(["urgent"]);
+
+      consumer.completedCommandExecution(urgent, true);
+      await jest.runOnlyPendingTimersAsync();
+      expect(consumedIds()).toEqual(["urgent", "first"]);
+    });
+
+    it("should run commands created without a resource in parallel", async () => {
+      consumer = new QueueConsumer(consumeFunc, [], undefined, { maxConcurrency: 4 });
+
+      ["a", "b", "c"].forEach((type) => consumer.enqueue(new QueueCommand(new UserCommand(type))));
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumeFunc.mock.calls.map(([command]) => command.type)).toEqual(["a", "b", "c"]);
+    });
+
+    it("should use the orderingKey option when provided", async () => {
+      consumer = new QueueConsumer(consumeFunc, [], undefined, {
+        orderingKey: (queueCommand) => queueCommand.command.meta.contextId,
+      });
+
+      const first = createMockQueueCommand({
+        command: { id: "first", meta: { resourceId: "res1", contextId: "ctx" }, onExecute: mockUnResolvedPromise() },
+      });
+      const second = createMockQueueCommand({
+        command: { id: "second", meta: { resourceId: "res2", contextId: "ctx" }, onExecute: mockUnResolvedPromise() },
+      });
+
+      consumer.enqueue(first);
+      consumer.enqueue(second);
+      consumer.start();
+
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(consumedIds()).toEqual(["first"]);
+    });
+  });
+
+  describe("consume conditions", () => {
+    it("should respect processCount condition", async () => {
+      const maxConcurrentProcesses = 2;
+      const processCountCondition = ({ processCount }) =>
+        processCount < maxConcurrentProcesses;
+
+      consumer = new QueueConsumer(consumeFunc, [processCountCondition]);
+
+      // Add 3 commands
+      const commands = [
+        createMockQueueCommand({
+          command: { id: "cmd1", onExecute: mockUnResolvedPromise() },
+        }),
+        createMockQueueCommand({
+          command: { id: "cmd2", onExecute: mockUnResolvedPromise() },
+        }),
+        createMockQueueCommand({
+          command: { id: "cmd3", onExecute: mockUnResolvedPromise() },
+        }),
+      ];
+
+      commands.forEach((cmd) => consumer.enqueue(cmd));
+      consumer.start();
+
+      // Process first batch
+      await jest.runOnlyPendingTimersAsync();
+
+      // Should have processed 2 commands
+      expect(consumeFunc).toHaveBeenCalledTimes(2);
+      expect(consumer.queueState.processCount).toBe(2);
+
+      // Complete one command
+      consumer.completedCommandExecution(commands[0], true);
+      await jest.runOnlyPendingTimersAsync();
+
+      // Should process the third command
+      expect(consumeFunc).toHaveBeenCalledTimes(3);
+    });
+  });
+});
+
+const mockUnResolvedPromise = () =>
+  jest.fn(() => ({
+    then: jest.fn(),
+    catch: jest.fn(),
+  }));
+
+const mockResolvedPromise = () =>
+  jest.fn(() => ({
+    then: jest.fn((callback) => {
+      callback(true); // Call the callback with the desired value (success: true | false)
+      return { catch: jest.fn() }; // Return a mock for chaining
+    }),
+    catch: jest.fn(),
+  }));
+
+// Mock helper function to create a queue command already being processed
+const createProcessingCommand = (overrides = {}) =>
+  createMockQueueCommand({
+    ...overrides,
+    queueInfo: { status: QueueStatus.Processing, ...overrides.queueInfo },
+  });
+
+// Mock helper function to create test queue commands
+const createMockQueueCommand = (overrides = {}) => {
+  const mockUserCommand = {
+    id: "test-command-1",
+    executed: jest.fn(),
+    onExecute: mockUnResolvedPromise(),
+    ...overrides,
+  };
+
+  const { queueInfo, ...commandOverrides } = overrides;
+
+  return {
+    command: mockUserCommand,
+    queueInfo: {
+      status: QueueStatus.Initial,
+      attemptNo: 0,
+      ...queueInfo,
+    },
     onStatusUpdate: jest.fn(),
     completed: jest.fn(),
-    ...overrides,
+    ...commandOverrides,
   };
 };
@@ -1,5 +1,5 @@
 import { jest, describe, it, expect, afterEach  } from "@jest/globals";
-import { QueueInfo, QueueStatus} from "@wlvyr/common/async";
+import { QueueInfo, QueuePriority, QueueStatus} from "@wlvyr/common/async";
 
 describe("QueueInfo", () => {
     it("should initialize with default values", () => {
@@ -7,5 +7,55 @@ describe("QueueInfo", () => {
       expect(info.attemptNo).toBe(0);
       expect(typeof info.dateCreated).toBe("number");
       expect(info.status).toBe(QueueStatus.Initial);
+      expect(info.nextAttemptAt).toBeUndefined();
+      expect(info.retryDelayMs).toBe(0);
+      expect(info.priority).toBe(QueuePriority.Normal);
+      expect(info.lastError).toBeUndefined();
+      expect(info.failureReason).toBeUndefined();
+      expect(info.history).toEqual([]);
+    });
+
+    it("should initialize with the given priority", () => {
+      const info = new QueueInfo(QueuePriority.High);
+      expect(info.priority).toBe(QueuePriority.High);
+    });
+
+    it("should serialize errors and drop class instances of failure details", () => {
+      const info = new QueueInfo();
+      const error = new TypeError("failed to fetch");
+      info.lastError = error;
+      info.failureReason = {
+        error,
+        detail: { ok: false, status: 503, headers: new Map() },
+        status: 503,
+        retryAfterMs: undefined,
+      };
+      info.history = [{ startedAt: 1, finishedAt: 2, success: false, error }];
+
+      const json = JSON.parse(JSON.stringify(info));
+
+      expect(json.lastError).toEqual({ name: "TypeError", message: "failed to fetch" });
+      expect(json.failureReason.error).toEqual({ name: "TypeError", message: "failed to fetch" });
+      expect(json.failureReason.detail).toEqual({ ok: false, status: 503 });
+      expect(json.history[0].error).toEqual({ name: "TypeError", message: "failed to fetch" });
+    });
+
+    it("should restore from JSON", () => {
+      const info = new QueueInfo(QueuePriority.High);
+      info.status = QueueStatus.RetryScheduled;
+      info.nextAttemptAt = 1000;
+
+      const restored = QueueInfo.fromJSON(JSON.parse(JSON.stringify(info)));
+
+      expect(restored).toBeInstanceOf(QueueInfo);
+      expect(restored).toEqual(info);
+    });
+
+    it("should restore an interrupted command as RetryScheduled", () => {
+      expect(QueueInfo.fromJSON({ status: QueueStatus.Processing }).status).toBe(QueueStatus.RetryScheduled);
+
+      for (const status of [QueueStatus.Deferred, QueueStatus.Succeeded, QueueStatus.Cancelled]) {
+        expect(QueueInfo.fromJSON({ status }).status).toBe(status);
+      }
     });
 });
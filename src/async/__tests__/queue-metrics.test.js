@@ -0,0 +1,70 @@
+import { describe, it, expect } from "@jest/globals";
+import { IMetricsSink, QueueMetrics } from "@wlvyr/common/async";
+import { ErrorMessages } from "@wlvyr/common/error";
+
+describe("IMetricsSink", () => {
+  it("should throw when not implemented", () => {
+    const sink = new IMetricsSink();
+
+    expect(() => sink.increment("Started")).toThrow(
+      ErrorMessages.Exceptions.NotImplemented
+    );
+    expect(() => sink.observe("ExecutionDurationMs", 1)).toThrow(
+      ErrorMessages.Exceptions.NotImplemented
+    );
+  });
+});
+
+describe("QueueMetrics", () => {
+  it("should count increments", () => {
+    const metrics = new QueueMetrics();
+
+    metrics.increment("Started");
+    metrics.increment("Started", 2);
+
+    expect(metrics.getSnapshot().counters).toEqual({ Started: 3 });
+  });
+
+  it("should record observed values in buckets", () => {
+    const metrics = new QueueMetrics([10, 100]);
+
+    metrics.observe("ExecutionDurationMs", 5);
+    metrics.observe("ExecutionDurationMs", 10);
+    metrics.observe("ExecutionDurationMs", 50);
+    metrics.observe("ExecutionDurationMs", 500);
+
+    expect(metrics.getSnapshot().histograms.ExecutionDurationMs).toEqual({
+      count: 4,
+      sum: 565,
+      min: 5,
+      max: 500,
+      buckets: [
+        { le: 10, count: 2 },
+        { le: 100, count: 1 },
+        { le: Infinity, count: 1 },
+      ],
+    });
+  });
+
+  it("should return a copy", () => {
+    const metrics = new QueueMetrics();
+    metrics.observe("TimeInQueueMs", 1);
+
+    const snapshot = metrics.getSnapshot();
+    snapshot.histograms.TimeInQueueMs.buckets[0].count = 10;
+    metrics.increment("Started");
+
+    expect(metrics.getSnapshot().histograms.TimeInQueueMs.buckets[0].count).toBe(1);
+    expect(snapshot.counters).toEqual({});
+  });
+
+  it("should clear metrics on reset", () => {
+    const metrics = new QueueMetrics();
+    metrics.increment("Started");
+    metrics.observe("TimeInQueueMs", 1);
+
+    metrics.reset();
+
+    expect(metrics.getSnapshot()).toEqual({ counters: {}, histograms: {} });
+  });
+});
@@ -0,0 +1,12 @@
+import { jest, describe, it, expect, afterEach } from "@jest/globals";
+import { QueuePriority } from "@wlvyr/common/async";
+
+describe("QueuePriority", () => {
+    it("should range from 1 lowest to 10 highest", () => {
+      expect(QueuePriority.Lowest).toBe(1);
+      expect(QueuePriority.Low).toBe(3);
+      expect(QueuePriority.Normal).toBe(5);
+      expect(QueuePriority.High).toBe(7);
+      expect(QueuePriority.Highest).toBe(10);
+    });
+  });
@@ -1,10 +1,68 @@
 import { jest, describe, it, expect, afterEach } from "@jest/globals";
-import { QueueStatus } from "@wlvyr/common/async";
+import { QueueStatus, QueueStatusTransitions, isFinalStatus, isValidStatusTransition } from "@wlvyr/common/async";
 
 describe("QueueStatus", () => {
     it("should have correct enum values", () => {
       expect(QueueStatus.Initial).toBe("Initial");
+      expect(QueueStatus.Deferred).toBe("Deferred");
       expect(QueueStatus.Processing).toBe("Processing");
-      expect(QueueStatus.Complete).toBe("Complete");
+      expect(QueueStatus.RetryScheduled).toBe("RetryScheduled");
+      expect(QueueStatus.Succeeded).toBe("Succeeded");
+      expect(QueueStatus.Failed).toBe("Failed");
+      expect(QueueStatus.Cancelled).toBe("Cancelled");
+      expect(QueueStatus.Expired).toBe("Expired");
     });
-  });
\ No newline at end of file
+
+    it("should define transitions for every status", () => {
+      expect(Object.keys(QueueStatusTransitions).sort()).toEqual(
+        Object.values(QueueStatus).sort()
+      );
+    });
+  });
+
+describe("isValidStatusTransition", () => {
+    it("should allow the processing lifecycle", () => {
+      expect(isValidStatusTransition(QueueStatus.Initial, QueueStatus.Processing)).toBe(true);
+      expect(isValidStatusTransition(QueueStatus.Processing, QueueStatus.RetryScheduled)).toBe(true);
+      expect(isValidStatusTransition(QueueStatus.RetryScheduled, QueueStatus.Processing)).toBe(true);
+      expect(isValidStatusTransition(QueueStatus.Processing, QueueStatus.Succeeded)).toBe(true);
+      expect(isValidStatusTransition(QueueStatus.Processing, QueueStatus.Failed)).toBe(true);
+    });
+
+    it("should not allow leaving a final status", () => {
+      for (const finalStatus of [QueueStatus.Succeeded, QueueStatus.Failed, QueueStatus.Cancelled, QueueStatus.Expired]) {
+        for (const status of Object.values(QueueStatus)) {
+          expect(isValidStatusTransition(finalStatus, status)).toBe(false);
+        }
+      }
+    });
+
+    it("should allow expiring a queued command only", () => {
+      expect(isValidStatusTransition(QueueStatus.Initial, QueueStatus.Expired)).toBe(true);
+      expect(isValidStatusTransition(QueueStatus.Deferred, QueueStatus.Expired)).toBe(true);
+      expect(isValidStatusTransition(QueueStatus.RetryScheduled, QueueStatus.Expired)).toBe(true);
+      expect(isValidStatusTransition(QueueStatus.Processing, QueueStatus.Expired)).toBe(false);
+    });
+
+    it("should not allow completing a command that was not processed", () => {
+      expect(isValidStatusTransition(QueueStatus.Initial, QueueStatus.Succeeded)).toBe(false);
+      expect(isValidStatusTransition(QueueStatus.Deferred, QueueStatus.Failed)).toBe(false);
+    });
+
+    it("should treat a missing status as Initial", () => {
+      expect(isValidStatusTransition(undefined, QueueStatus.Processing)).toBe(true);
+      expect(isValidStatusTransition(undefined, QueueStatus.Succeeded)).toBe(false);
+    });
+  });
+
+describe("isFinalStatus", () => {
+    it("should be true for the statuses a command completes with", () => {
+      expect(Object.values(QueueStatus).filter(isFinalStatus)).toEqual([
+        QueueStatus.Succeeded,
+        QueueStatus.Failed,
+        QueueStatus.Cancelled,
+        QueueStatus.Expired,
+      ]);
+      expect(isFinalStatus(undefined)).toBe(false);
+    });
+  });
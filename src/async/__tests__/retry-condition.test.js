@@ -1,12 +1,29 @@
 import { jest, describe, it, expect, afterEach } from "@jest/globals";
-import { IRetryCondition, AttempNoRetryCondition } from "@wlvyr/common/async";
+import {
+  IRetryCondition,
+  AllRetryCondition,
+  AnyRetryCondition,
+  AttempNoRetryCondition,
+  ErrorTypeRetryCondition,
+  ExponentialBackoffRetryCondition,
+  HttpStatusRetryCondition,
+  JitterType,
+  NotRetryCondition,
+  RetryableRetryCondition,
+} from "@wlvyr/common/async";
 import { ErrorMessages } from "@wlvyr/common/error";
+import { sanitizefetchException } from "@wlvyr/common/network";
 
 describe("IRetryCondition", () => {
   test("shouldRetry throws Not implemented error", () => {
     const cond = new IRetryCondition();
     expect(() => cond.shouldRetry({}, {})).toThrow(ErrorMessages.Exceptions.NotImplemented);
   });
+
+  test("getRetryDelay defaults to no delay", () => {
+    const cond = new IRetryCondition();
+    expect(cond.getRetryDelay({}, {})).toBe(0);
+  });
 });
 
 describe("AttempNoRetryCondition", () => {
@@ -20,3 +37,213 @@ describe("AttempNoRetryCondition", () => {
     expect(cond.shouldRetry({}, { attemptNo: 3 })).toBe(false);
   });
 });
+
+describe("HttpStatusRetryCondition", () => {
+  const infoWith = (failureReason) => ({ attemptNo: 1, failureReason });
+
+  test("shouldRetry returns true on 408, 429 and 5xx", () => {
+    const cond = new HttpStatusRetryCondition();
+
+    [408, 429, 500, 503, 599].forEach((status) =>
+      expect(cond.shouldRetry({}, infoWith({ status }))).toBe(true)
+    );
+  });
+
+  test("shouldRetry returns false on other statuses", () => {
+    const cond = new HttpStatusRetryCondition();
+
+    [400, 401, 404, 409, 422, 600].forEach((status) =>
+      expect(cond.shouldRetry({}, infoWith({ status }))).toBe(false)
+    );
+  });
+
+  test("shouldRetry uses the given statuses", () => {
+    const cond = new HttpStatusRetryCondition({
+      statuses: [409],
+      retryServerErrors: false,
+    });
+
+    expect(cond.shouldRetry({}, infoWith({ status: 409 }))).toBe(true);
+    expect(cond.shouldRetry({}, infoWith({ status: 503 }))).toBe(false);
+  });
+
+  test("shouldRetry returns true on a network error", () => {
+    const networkError = { status: undefined, aborted: false, ok: false };
+    const cond = new HttpStatusRetryCondition();
+
+    expect(cond.shouldRetry({}, infoWith({ detail: networkError }))).toBe(true);
+    expect(
+      new HttpStatusRetryCondition({ retryNetworkErrors: false }).shouldRetry(
+        {},
+        infoWith({ detail: networkError })
+      )
+    ).toBe(false);
+  });
+
+  test("shouldRetry returns true on a failed fetch sanitized with a 400", () => {
+    const networkError = sanitizefetchException(new TypeError("Failed to fetch"));
+    const cond = new HttpStatusRetryCondition();
+
+    expect(cond.shouldRetry({}, infoWith({ detail: networkError }))).toBe(true);
+    // as recorded before the status of sanitized fetch exceptions was ignored.
+    expect(cond.shouldRetry({}, infoWith({ detail: networkError, status: 400 }))).toBe(true);
+    expect(
+      new HttpStatusRetryCondition({ retryNetworkErrors: false }).shouldRetry(
+        {},
+        infoWith({ detail: networkError })
+      )
+    ).toBe(false);
+  });
+
+  test("shouldRetry returns false when aborted or without a failure reason", () => {
+    const cond = new HttpStatusRetryCondition();
+    const aborted = { status: undefined, aborted: true, ok: false };
+
+    expect(cond.shouldRetry({}, infoWith({ detail: aborted }))).toBe(false);
+    expect(cond.shouldRetry({}, infoWith({ error: new Error() }))).toBe(false);
+    expect(cond.shouldRetry({}, infoWith(undefined))).toBe(false);
+  });
+});
+
+describe("ErrorTypeRetryCondition", () => {
+  class CustomError extends Error {}
+
+  test("shouldRetry returns true for errors of the given classes or names", () => {
+    const cond = new ErrorTypeRetryCondition([CustomError, "TimeoutError"]);
+    const timeoutError = new Error();
+    timeoutError.name = "TimeoutError";
+
+    expect(cond.shouldRetry({}, { failureReason: { error: new CustomError() } })).toBe(true);
+    expect(cond.shouldRetry({}, { failureReason: { error: timeoutError } })).toBe(true);
+  });
+
+  test("shouldRetry returns false for other errors or no error", () => {
+    const cond = new ErrorTypeRetryCondition([CustomError]);
+
+    expect(cond.shouldRetry({}, { failureReason: { error: new Error() } })).toBe(false);
+    expect(cond.shouldRetry({}, { failureReason: { detail: {} } })).toBe(false);
+    expect(cond.shouldRetry({}, {})).toBe(false);
+  });
+});
+
+describe("RetryableRetryCondition", () => {
+  test("shouldRetry returns true only for details marked retryable", () => {
+    const cond = new RetryableRetryCondition();
+
+    expect(cond.shouldRetry({}, { failureReason: { detail: { retryable: true } } })).toBe(true);
+    expect(cond.shouldRetry({}, { failureReason: { detail: { retryable: false } } })).toBe(false);
+    expect(cond.shouldRetry({}, { failureReason: { error: new Error() } })).toBe(false);
+    expect(cond.shouldRetry({}, {})).toBe(false);
+  });
+});
+
+describe("composite retry conditions", () => {
+  const retrying = (delay = 0) => ({
+    shouldRetry: jest.fn().mockReturnValue(true),
+    getRetryDelay: jest.fn().mockReturnValue(delay),
+  });
+  const notRetrying = (delay = 0) => ({
+    shouldRetry: jest.fn().mockReturnValue(false),
+    getRetryDelay: jest.fn().mockReturnValue(delay),
+  });
+
+  test("AllRetryCondition retries only if every condition retries", () => {
+    expect(new AllRetryCondition([retrying(), retrying()]).shouldRetry({}, {})).toBe(true);
+    expect(new AllRetryCondition([retrying(), notRetrying()]).shouldRetry({}, {})).toBe(false);
+    expect(new AllRetryCondition([]).shouldRetry({}, {})).toBe(false);
+  });
+
+  test("AllRetryCondition delays by the longest delay", () => {
+    const cond = new AllRetryCondition([retrying(100), retrying(500)]);
+    expect(cond.getRetryDelay({}, {})).toBe(500);
+  });
+
+  test("AnyRetryCondition retries if any condition retries", () => {
+    expect(new AnyRetryCondition([notRetrying(), retrying()]).shouldRetry({}, {})).toBe(true);
+    expect(new AnyRetryCondition([notRetrying()]).shouldRetry({}, {})).toBe(false);
+  });
+
+  test("AnyRetryCondition delays by the longest delay of those that retry", () => {
+    const cond = new AnyRetryCondition([retrying(100), notRetrying(500)]);
+    expect(cond.getRetryDelay({}, {})).toBe(100);
+  });
+
+  test("NotRetryCondition negates the condition", () => {
+    expect(new NotRetryCondition(retrying()).shouldRetry({}, {})).toBe(false);
+    expect(new NotRetryCondition(notRetrying()).shouldRetry({}, {})).toBe(true);
+    expect(() => new NotRetryCondition(undefined)).toThrow(
+      ErrorMessages.Exceptions.ArgumentUndefinedException
+    );
+  });
+
+  test("composes retry on transient http failures up to a retry count", () => {
+    const cond = new AllRetryCondition([
+      new AttempNoRetryCondition(3),
+      new HttpStatusRetryCondition(),
+    ]);
+
+    expect(cond.shouldRetry({}, { attemptNo: 1, failureReason: { status: 503 } })).toBe(true);
+    expect(cond.shouldRetry({}, { attemptNo: 1, failureReason: { status: 400 } })).toBe(false);
+    expect(cond.shouldRetry({}, { attemptNo: 3, failureReason: { status: 503 } })).toBe(false);
+  });
+});
+
+describe("ExponentialBackoffRetryCondition", () => {
+  test("shouldRetry returns true while attempts are less than retryCount", () => {
+    const cond = new ExponentialBackoffRetryCondition(3);
+    expect(cond.shouldRetry({}, { attemptNo: 2 })).toBe(true);
+    expect(cond.shouldRetry({}, { attemptNo: 3 })).toBe(false);
+  });
+
+  test("throws on unknown jitter", () => {
+    expect(
+      () => new ExponentialBackoffRetryCondition(3, { jitter: "unknown" })
+    ).toThrow(ErrorMessages.Exceptions.ValueNotvalid);
+  });
+
+  test("without jitter, delay doubles per attempt up to the cap", () => {
+    const cond = new ExponentialBackoffRetryCondition(10, {
+      baseDelayMs: 100,
+      maxDelayMs: 1000,
+      jitter: JitterType.None,
+    });
+
+    expect(cond.getRetryDelay({}, { attemptNo: 1 })).toBe(100);
+    expect(cond.getRetryDelay({}, { attemptNo: 2 })).toBe(200);
+    expect(cond.getRetryDelay({}, { attemptNo: 3 })).toBe(400);
+    expect(cond.getRetryDelay({}, { attemptNo: 5 })).toBe(1000);
+  });
+
+  test("full jitter picks between 0 and the exponential delay", () => {
+    const options = { baseDelayMs: 100, jitter: JitterType.Full };
+
+    const low = new ExponentialBackoffRetryCondition(3, { ...options, random: () => 0 });
+    const high = new ExponentialBackoffRetryCondition(3, { ...options, random: () => 1 });
+
+    expect(low.getRetryDelay({}, { attemptNo: 2 })).toBe(0);
+    expect(high.getRetryDelay({}, { attemptNo: 2 })).toBe(200);
+  });
+
+  test("equal jitter keeps at least half of the exponential delay", () => {
+    const options = { baseDelayMs: 100, jitter: JitterType.Equal };
+
+    const low = new ExponentialBackoffRetryCondition(3, { ...options, random: () => 0 });
+    const high = new ExponentialBackoffRetryCondition(3, { ...options, random: () => 1 });
+
+    expect(low.getRetryDelay({}, { attemptNo: 2 })).toBe(100);
+    expect(high.getRetryDelay({}, { attemptNo: 2 })).toBe(200);
+  });
+
+  test("decorrelated jitter grows from the previous delay up to the cap", () => {
+    const cond = new ExponentialBackoffRetryCondition(10, {
+      baseDelayMs: 100,
+      maxDelayMs: 1000,
+      jitter: JitterType.Decorrelated,
+      random: () => 1,
+    });
+
+    expect(cond.getRetryDelay({}, { attemptNo: 1, retryDelayMs: 0 })).toBe(300);
+    expect(cond.getRetryDelay({}, { attemptNo: 2, retryDelayMs: 300 })).toBe(900);
+    expect(cond.getRetryDelay({}, { attemptNo: 3, retryDelayMs: 900 })).toBe(1000);
+  });
+});
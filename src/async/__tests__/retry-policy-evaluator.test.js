@@ -1,5 +1,9 @@
 import { jest, describe, it, expect, afterEach } from "@jest/globals";
-import { RetryPolicyEvaluator, AttempNoRetryCondition } from "@wlvyr/common/async";
+import {
+  RetryPolicyEvaluator,
+  RetryPolicyMode,
+  AttempNoRetryCondition,
+} from "@wlvyr/common/async";
 
 describe("RetryPolicyEvaluator", () => {
   test("shouldRetry returns true if any condition returns true", () => {
@@ -20,6 +24,46 @@ describe("RetryPolicyEvaluator", () => {
     expect(evaluator.shouldRetry({}, {})).toBe(false);
   });
 
+  test("shouldRetry returns true only if all conditions return true in All mode", () => {
+    const condTrue = { shouldRetry: jest.fn().mockReturnValue(true) };
+    const condFalse = { shouldRetry: jest.fn().mockReturnValue(false) };
+
+    expect(
+      new RetryPolicyEvaluator([condTrue, condTrue], RetryPolicyMode.All).shouldRetry({}, {})
+    ).toBe(true);
+    expect(
+      new RetryPolicyEvaluator([condTrue, condFalse], RetryPolicyMode.All).shouldRetry({}, {})
+    ).toBe(false);
+    expect(new RetryPolicyEvaluator([], RetryPolicyMode.All).shouldRetry({}, {})).toBe(false);
+  });
+
+  test("throws on an invalid mode", () => {
+    expect(() => new RetryPolicyEvaluator([], "Some")).toThrow();
+  });
+
+  test("getRetryDelay returns the longest delay of the conditions that retry", () => {
+    const condShort = { shouldRetry: jest.fn().mockReturnValue(true), getRetryDelay: jest.fn().mockReturnValue(100) };
+    const condLong = { shouldRetry: jest.fn().mockReturnValue(true), getRetryDelay: jest.fn().mockReturnValue(500) };
+    const condNoDelay = { shouldRetry: jest.fn().mockReturnValue(true) };
+    const condNoRetry = { shouldRetry: jest.fn().mockReturnValue(false), getRetryDelay: jest.fn().mockReturnValue(1000) };
+    const evaluator = new RetryPolicyEvaluator([condShort, condNoDelay, condLong, condNoRetry]);
+
+    expect(evaluator.getRetryDelay({}, {})).toBe(500);
+  });
+
+  test("getRetryDelay returns the longest delay of all conditions in All mode", () => {
+    const condShort = { shouldRetry: jest.fn().mockReturnValue(true), getRetryDelay: jest.fn().mockReturnValue(100) };
+    const condLong = { shouldRetry: jest.fn().mockReturnValue(true), getRetryDelay: jest.fn().mockReturnValue(500) };
+    const evaluator = new RetryPolicyEvaluator([condShort, condLong], RetryPolicyMode.All);
+
+    expect(evaluator.getRetryDelay({}, {})).toBe(500);
+  });
+
+  test("getRetryDelay returns 0 without conditions", () => {
+    const evaluator = new RetryPolicyEvaluator();
+    expect(evaluator.getRetryDelay({}, {})).toBe(0);
+  });
+
   test("addCondition adds a condition", () => {
     const evaluator = new RetryPolicyEvaluator();
     const cond = new AttempNoRetryCondition(1);
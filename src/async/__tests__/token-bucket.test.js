@@ -0,0 +1,57 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import { TokenBucket } from "@wlvyr/common/async";
+
+describe("TokenBucket", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should throw on invalid arguments", () => {
+    expect(() => new TokenBucket(0, 1000)).toThrow();
+    expect(() => new TokenBucket(1, 0)).toThrow();
+    expect(() => new TokenBucket(undefined, 1000)).toThrow();
+  });
+
+  it("should start full", () => {
+    const bucket = new TokenBucket(2, 1000);
+
+    expect(bucket.tryTake()).toBe(true);
+    expect(bucket.tryTake()).toBe(true);
+    expect(bucket.tryTake()).toBe(false);
+    expect(bucket.hasToken()).toBe(false);
+  });
+
+  it("should refill continuously over the interval", () => {
+    const bucket = new TokenBucket(2, 1000);
+    bucket.tryTake();
+    bucket.tryTake();
+
+    expect(bucket.msUntilNextToken()).toBe(500);
+
+    jest.advanceTimersByTime(499);
+    expect(bucket.hasToken()).toBe(false);
+
+    jest.advanceTimersByTime(1);
+    expect(bucket.tryTake()).toBe(true);
+    expect(bucket.hasToken()).toBe(false);
+  });
+
+  it("should not refill beyond capacity", () => {
+    const bucket = new TokenBucket(2, 1000);
+
+    jest.advanceTimersByTime(5000);
+
+    expect(bucket.tryTake()).toBe(true);
+    expect(bucket.tryTake()).toBe(true);
+    expect(bucket.tryTake()).toBe(false);
+  });
+
+  it("msUntilNextToken should be 0 when a token is available", () => {
+    const bucket = new TokenBucket(1, 1000);
+    expect(bucket.msUntilNextToken()).toBe(0);
+  });
+});
@@ -0,0 +1,294 @@
+/*---------------------------------------------------------------------------------------------
+ *  Copyright (c) wlvyr. All rights reserved.
+ *  Licensed under the MIT License. See License.txt in the project root for license information.
+ *--------------------------------------------------------------------------------------------*/
+
+import { ErrorMessages } from "@/src/error/error-messages.js";
+import { isFetchException } from "@/src/network/network.util.js";
+
+/**
+ * Enum for circuit breaker states.
+ * @readonly
+ * @enum {string}
+ */
+export const CircuitState = Object.freeze({
+  // calls are permitted, outcomes are recorded.
+  Closed: "Closed",
+  // calls are rejected until the cool-down ends.
+  Open: "Open",
+  // a limited number of trial calls decide whether to close or reopen.
+  HalfOpen: "HalfOpen",
+});
+
+/**
+ * @typedef {Object} CircuitBreakerOptions
+ * @property {number} [failureRateThreshold=0.5] - Opens once the failure rate of the window reaches it, from 0 to 1.
+ * @property {number} [minimumCalls=5] - Calls recorded before the failure rate is evaluated.
+ * @property {number} [windowSize=20] - Number of most recent calls the failure rate is computed over.
+ * @property {number} [coolDownMs=30000] - How long the circuit stays open before allowing trial calls.
+ * @property {number} [halfOpenMaxCalls=1] - Trial calls permitted while half-open, all must succeed to close.
+ * @property {(result: any) => boolean} [isFailure] - Whether a call's result, e.g. a fetch Response or error, means the service failed.
+ * Defaults to sanitized fetch exceptions, results without an HTTP status, 408 and 5xx.
+ */
+
+/**
+ * Whether a call's result means the service failed, e.g. unreachable, timed out or a server error.
+ * A 4xx response means the service is up, a sanitized fetch exception's status is not the server's.
+ * @param {any} result
+ * @returns {boolean}
+ */
+const isServiceFailure = (result) => {
+  if (isFetchException(result)) {
+    return true;
+  }
+
+  const status = result?.status;
+  return typeof status !== "number" || status === 408 || status >= 500;
+};
+
+/**
+ * Stops calls to a failing service until it has had time to recover,
+ * then lets a few trial calls through before closing again.
+ */
+export class CircuitBreaker {
+  /**
+   * Outcomes of the most recent calls while closed, `true` for a failure.
+   * @type {boolean[]}
+   */
+  #window = [];
+
+  #halfOpenCalls = 0;
+
+  #halfOpenSuccesses = 0;
+
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  #coolDownTimer = undefined;
+
+  /** @type {Set<(state: CircuitState, previousState: CircuitState) => void>} */
+  #onStateChangeListeners = new Set();
+
+  /**
+   * @param {CircuitBreakerOptions} [options={}]
+   */
+  constructor({
+    failureRateThreshold = 0.5,
+    minimumCalls = 5,
+    windowSize = 20,
+    coolDownMs = 30000,
+    halfOpenMaxCalls = 1,
+    isFailure = isServiceFailure,
+  } = {}) {
+    if (!(failureRateThreshold > 0 && failureRateThreshold <= 1)) {
+      throw new TypeError(
+        `failureRateThreshold ${ErrorMessages.Exceptions.ValueNotvalid}`
+      );
+    }
+
+    if (!(windowSize >= 1 && minimumCalls >= 1 && minimumCalls <= windowSize)) {
+      throw new TypeError(`minimumCalls ${ErrorMessages.Exceptions.ValueNotvalid}`);
+    }
+
+    if (!(halfOpenMaxCalls >= 1)) {
+      throw new TypeError(
+        `halfOpenMaxCalls ${ErrorMessages.Exceptions.ValueNotvalid}`
+      );
+    }
+
+    this.failureRateThreshold = failureRateThreshold;
+    this.minimumCalls = minimumCalls;
+    this.windowSize = windowSize;
+    this.coolDownMs = coolDownMs;
+    this.halfOpenMaxCalls = halfOpenMaxCalls;
+    this.isFailure = isFailure;
+
+    /** @type {CircuitState} */
+    this.state = CircuitState.Closed;
+  }
+
+  /**
+   * Whether a call would be permitted, without acquiring a permission.
+   * @returns {boolean}
+   */
+  isCallPermitted = () => {
+    switch (this.state) {
+      case CircuitState.Closed:
+        return true;
+      case CircuitState.HalfOpen:
+        return this.#halfOpenCalls < this.halfOpenMaxCalls;
+      default:
+        return false;
+    }
+  };
+
+  /**
+   * Can be used as a QueueConsumer consume condition,
+   * along with `addOnStateChange(queueConsumer.consumeConditionStateUpdatedEvtListenerAction)`.
+   * @returns {boolean}
+   */
+  consumeCondition = () => this.isCallPermitted();
+
+  /**
+   * Acquires a permission for a call, counted as a trial call while half-open.
+   * The call's outcome must then be recorded, or the permission released.
+   * @returns {boolean} `false` if the call is not permitted.
+   */
+  tryAcquirePermission = () => {
+    if (!this.isCallPermitted()) {
+      return false;
+    }
+
+    if (this.state === CircuitState.HalfOpen) {
+      this.#halfOpenCalls++;
+    }
+
+    return true;
+  };
+
+  /**
+   * Releases a permission of a call that ended without an outcome, e.g. aborted.
+   */
+  releasePermission = () => {
+    if (this.state === CircuitState.HalfOpen && this.#halfOpenCalls > 0) {
+      this.#halfOpenCalls--;
+    }
+  };
+
+  /** Records a successful call. */
+  recordSuccess = () => {
+    // a call started before the circuit opened.
+    if (this.state === CircuitState.Open) {
+      return;
+    }
+
+    if (this.state === CircuitState.HalfOpen) {
+      this.#halfOpenSuccesses++;
+
+      if (this.#halfOpenSuccesses >= this.halfOpenMaxCalls) {
+        this.#transitionTo(CircuitState.Closed);
+      }
+      return;
+    }
+
+    this.#recordInWindow(false);
+  };
+
+  /** Records a failed call. */
+  recordFailure = () => {
+    // a call started before the circuit opened, does not extend the cool-down.
+    if (this.state === CircuitState.Open) {
+      return;
+    }
+
+    if (this.state === CircuitState.HalfOpen) {
+      this.#transitionTo(CircuitState.Open);
+      return;
+    }
+
+    this.#recordInWindow(true);
+  };
+
+  /**
+   * Records a call by its result, see `isFailure`.
+   * An aborted result only releases the call's permission.
+   * @param {any} result - e.g. a fetch Response, or sanitized fetch exception.
+   */
+  recordResult = (result) => {
+    if (result?.aborted) {
+      this.releasePermission();
+    } else if (this.isFailure(result)) {
+      this.recordFailure();
+    } else {
+      this.recordSuccess();
+    }
+  };
+
+  /**
+   * Runs the call if permitted and records its result.
+   * @template T
+   * @param {() => Promise<T>} callAsync
+   * @param {() => T} rejectedResult - returned without calling when the call is not permitted.
+   * @returns {Promise<T>}
+   */
+  executeAsync = async (callAsync, rejectedResult) => {
+    if (!this.tryAcquirePermission()) {
+      return rejectedResult();
+    }
+
+    try {
+      const result = await callAsync();
+      this.recordResult(result);
+      return result;
+    } catch (error) {
+      this.recordResult(error);
+      throw error;
+    }
+  };
+
+  /**
+   * Listens to state changes, e.g. to show the service as unavailable while open.
+   * @param {(state: CircuitState, previousState: CircuitState) => void} listener
+   */
+  addOnStateChange = (listener) => {
+    this.#onStateChangeListeners.add(listener);
+  };
+
+  /**
+   * @param {(state: CircuitState, previousState: CircuitState) => void} listener
+   */
+  removeOnStateChange = (listener) => {
+    this.#onStateChangeListeners.delete(listener);
+  };
+
+  /** Closes the circuit and clears recorded calls. */
+  reset = () => {
+    this.#transitionTo(CircuitState.Closed);
+    this.#window = [];
+  };
+
+  /**
+   * @param {boolean} failed
+   */
+  #recordInWindow = (failed) => {
+    this.#window.push(failed);
+    if (this.#window.length > this.windowSize) {
+      this.#window.shift();
+    }
+
+    if (this.#window.length < this.minimumCalls) {
+      return;
+    }
+
+    const failures = this.#window.filter((outcome) => outcome).length;
+    if (failures / this.#window.length >= this.failureRateThreshold) {
+      this.#transitionTo(CircuitState.Open);
+    }
+  };
+
+  /**
+   * @param {CircuitState} state
+   */
+  #transitionTo = (state) => {
+    clearTimeout(this.#coolDownTimer);
+    this.#coolDownTimer = undefined;
+    this.#halfOpenCalls = 0;
+    this.#halfOpenSuccesses = 0;
+
+    if (state === CircuitState.Open) {
+      this.#window = [];
+      this.#coolDownTimer = setTimeout(
+        () => this.#transitionTo(CircuitState.HalfOpen),
+        this.coolDownMs
+      );
+    }
+
+    const previousState = this.state;
+    if (previousState === state) {
+      return;
+    }
+
+    this.state = state;
+    for (const listener of this.#onStateChangeListeners) {
+      listener(state, previousState);
+    }
+  };
+}
@@ -0,0 +1,40 @@
+/*---------------------------------------------------------------------------------------------
+ *  Copyright (c) wlvyr. All rights reserved.
+ *  Licensed under the MIT License. See License.txt in the project root for license information.
+ *--------------------------------------------------------------------------------------------*/
+
+/**
+ * Enum for queue consumer states.
+ * @readonly
+ * @enum {string}
+ */
+export const ConsumerState = Object.freeze({
+  // not started, or stopped.
+  Stopped: "Stopped",
+  Running: "Running",
+  // started, but no command can be started, see ConsumerWaitReason.
+  Waiting: "Waiting",
+  // started, but paused for at least one reason.
+  Paused: "Paused",
+  // stopped, waiting for in-flight commands to end.
+  Draining: "Draining",
+});
+
+/**
+ * Enum for why a waiting queue consumer cannot start a command.
+ * @readonly
+ * @enum {string}
+ */
+export const ConsumerWaitReason = Object.freeze({
+  EmptyQueue: "EmptyQueue",
+  // queued commands are parked or waiting on their ordering key.
+  NoneReady: "NoneReady",
+  // concurrency or rate limit reached.
+  NoCapacity: "NoCapacity",
+  // a consumeConditions entry returned false.
+  Condition: "Condition",
+  // held back by a Retry-After delay, see RetryAfterScope.Consumer.
+  RetryAfter: "RetryAfter",
+  // the circuit breaker is open, or half-open with its trial calls in-flight.
+  CircuitOpen: "CircuitOpen",
+});
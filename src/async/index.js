@@ -3,10 +3,35 @@
  *  Licensed under the MIT License. See License.txt in the project root for license information.
  *--------------------------------------------------------------------------------------------*/
 
+export { CircuitBreaker, CircuitState } from "./circuit-breaker.js";
+export { ConsumerState, ConsumerWaitReason } from "./consumer-state.js";
 export { QueueCommand } from "./queue-command.js";
 export { QueueConsumer } from "./queue-consumer.js";
 export { QueueInfo } from "./queue-info.js";
-export { QueueStatus } from "./queue-status.js";
+export { IMetricsSink, QueueMetric, QueueMetrics } from "./queue-metrics.js";
+export { QueuePriority } from "./queue-priority.js";
+export {
+  QueueStatus,
+  QueueStatusTransitions,
+  isValidStatusTransition,
+  isFinalStatus,
+} from "./queue-status.js";
 
-export { AttempNoRetryCondition, IRetryCondition } from "./retry-condition.js";
-export { RetryPolicyEvaluator } from "./retry-policy-evaluator.js";
+export {
+  AllRetryCondition,
+  AnyRetryCondition,
+  AttempNoRetryCondition,
+  ErrorTypeRetryCondition,
+  ExponentialBackoffRetryCondition,
+  HttpStatusRetryCondition,
+  IRetryCondition,
+  JitterType,
+  NotRetryCondition,
+  RetryableRetryCondition,
+} from "./retry-condition.js";
+export { RetryAfterScope } from "./retry-after-scope.js";
+export {
+  RetryPolicyEvaluator,
+  RetryPolicyMode,
+} from "./retry-policy-evaluator.js";
+export { TokenBucket } from "./token-bucket.js";
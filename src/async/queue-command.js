@@ -4,17 +4,17 @@
  *--------------------------------------------------------------------------------------------*/
 
 import { QueueInfo } from "./queue-info.js";
-import { UserCommand } from "@/src/common/user-command.js";
+import { UserCommand, ensureSchemaVersion } from "@/src/common/user-command.js";
 import { ErrorMessages } from "@/src/error/error-messages.js";
-
-/**
- * @typedef {import('./queue-status.js').QueueStatus} QueueStatus
- */
+import { QueueStatus, isValidStatusTransition } from "./queue-status.js";
 
 /**
  * Represents a single item in the queue.
  */
 export class QueueCommand {
+  // version of the toJSON shape, increased when it changes.
+  static schemaVersion = 1;
+
   /**
    * @param {UserCommand} userCommand
    */
@@ -27,7 +27,7 @@ export class QueueCommand {
     /** @type {UserCommand} */
     this.command = userCommand;
     /** @type {QueueInfo} */
-    this.queueInfo = new QueueInfo();
+    this.queueInfo = new QueueInfo(userCommand.meta?.priority);
 
     /**
      * @typedef {Object} OnComplete
@@ -48,11 +48,41 @@ export class QueueCommand {
     };
 
     this._onStatusUpdateListeners = new Set();
+
+    /**
+     * @typedef {Object} Cancellation
+     * @property {AbortController} controller - aborted when the command is cancelled.
+     * @property {any} reason - reason given on cancel.
+     */
+
+    /**
+     * @type {Cancellation}
+     */
+    this._cancellation = {
+      controller: new AbortController(),
+      reason: undefined,
+    };
+  }
+
+  /**
+   * Signal that is aborted when the command is cancelled.
+   * @returns {AbortSignal}
+   */
+  get signal() {
+    return this._cancellation.controller.signal;
+  }
+
+  /**
+   * Whether the command has been cancelled.
+   * @returns {boolean}
+   */
+  get isCancelled() {
+    return this.signal.aborted;
   }
 
   /**
    *
-   * @param {(success:boolean)=>{}} listener
+   * @param {(status: QueueStatus) => void} listener
    */
   addOnStatusUpdate = (listener) => {
     this._onStatusUpdateListeners.add(listener);
@@ -60,7 +90,7 @@ export class QueueCommand {
 
   /**
    *
-   * @param {(success:boolean)=>{}} listener
+   * @param {(status: QueueStatus) => void} listener
    */
   removeOnStatusUpdate = (listener) => {
     this._onStatusUpdateListeners.delete(listener);
@@ -92,14 +122,46 @@ export class QueueCommand {
    * @param {boolean} success
    */
   completed = (success) => {
-    if (this._onComplete.resolve) {
-      this._onComplete.resolve(success);
-      this._onComplete.completed = true;
-      this._onComplete.result = success;
+    if (this._onComplete.completed) {
+      return;
+    }
+
+    // recorded even without a pending onComplete() so later calls resolve immediately.
+    this._onComplete.completed = true;
+    this._onComplete.result = success;
+    this._onComplete.resolve?.(success);
+
+    this._onComplete.resolve = undefined;
+    this._onComplete.promise = undefined;
+  };
+
+  /**
+   * Cancels the command. A consumer holding the command removes it if pending,
+   * or aborts the signal given to its consumeFunc if in-flight.
+   * onComplete resolves to `false` with status Cancelled.
+   * @param {any} [reason]
+   * @returns {boolean} `false` if the command was already completed or cancelled.
+   */
+  cancel = (reason = undefined) => {
+    if (this._onComplete.completed || this.isCancelled) {
+      return false;
+    }
 
-      this._onComplete.resolve = undefined;
-      this._onComplete.promise = undefined;
+    this._cancellation.reason = reason;
+    // abort listeners, e.g. QueueConsumer, are invoked synchronously.
+    this._cancellation.controller.abort(reason);
+
+    // not held by any consumer.
+    if (
+      !this._onComplete.completed &&
+      isValidStatusTransition(this.queueInfo.status, QueueStatus.Cancelled)
+    ) {
+      this.queueInfo.status = QueueStatus.Cancelled;
+      this.onStatusUpdate(QueueStatus.Cancelled);
+      this.completed(false);
     }
+
+    return true;
   };
 
   /**
@@ -113,4 +175,32 @@ export class QueueCommand {
       listener(status);
     }
   };
+
+  /**
+   * Returns the command and its queue info as data that can be persisted.
+   * Completion, cancellation and listeners are not included.
+   * @returns {{ schemaVersion: number, command: ReturnType<UserCommand["toJSON"]>, queueInfo: Record<string, any> }}
+   */
+  toJSON() {
+    return {
+      schemaVersion: QueueCommand.schemaVersion,
+      command: this.command.toJSON(),
+      queueInfo: this.queueInfo.toJSON(),
+    };
+  }
+
+  /**
+   * Restores a command saved with toJSON, or saved as is before toJSON existed,
+   * so it behaves like a new one with the saved queue info.
+   * @param {any} data
+   * @returns {QueueCommand}
+   * @throws {Error} If saved with a newer schema version.
+   */
+  static fromJSON(data) {
+    ensureSchemaVersion(data, QueueCommand.schemaVersion);
+
+    const queueCommand = new QueueCommand(UserCommand.fromJSON(data.command));
+    queueCommand.queueInfo = QueueInfo.fromJSON(data.queueInfo);
+    return queueCommand;
+  }
 }
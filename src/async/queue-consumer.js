@@ -4,27 +4,225 @@
  *--------------------------------------------------------------------------------------------*/
 
 import { UserCommand } from "@/src/common/user-command.js";
+import {
+  isFetchException,
+  parseRetryAfter,
+  timeout,
+} from "@/src/network/network.util.js";
 import { ErrorMessages } from "@/src//error/error-messages.js";
+import { CircuitBreaker } from "./circuit-breaker.js";
+import { ConsumerState, ConsumerWaitReason } from "./consumer-state.js";
 import { QueueCommand } from "./queue-command.js";
-import { QueueStatus } from "./queue-status.js";
+import { IMetricsSink, QueueMetric, QueueMetrics } from "./queue-metrics.js";
+import { QueuePriority } from "./queue-priority.js";
+import { RetryAfterScope } from "./retry-after-scope.js";
+import { QueueStatus, isFinalStatus, isValidStatusTransition } from "./queue-status.js";
 import { RetryPolicyEvaluator } from "./retry-policy-evaluator.js";
+import { TokenBucket } from "./token-bucket.js";
+
+/**
+ * @typedef {Object} QueueConsumerOptions
+ * @property {number} [maxConcurrency] - Maximum number of commands processed at the same time.
+ * @property {{ tokens: number, intervalMs: number }} [rateLimit] - Token bucket limit, at most `tokens` commands started per `intervalMs`.
+ * @property {number} [priorityAgingMs] - Raises a waiting command's priority by one for every `priorityAgingMs` since its creation, so low priority commands cannot starve.
+ * @property {number} [timeoutMs] - Fails an attempt not executed within `timeoutMs`, overridable per command with `meta.timeoutMs`.
+ * @property {(queueCommand: QueueCommand) => string | undefined} [orderingKey] - Commands sharing a key run one at a time in enqueue order,
+ * priority does not reorder them. Defaults to `command.meta.resourceId`, except for UserCommand.systemResourceId.
+ * Return undefined to not serialize a command.
+ * @property {BatchOptions} [batch] - Hands commands to `consumeBatchFunc` in batches instead of to consumeFunc one by one.
+ * @property {RetryAfterScope} [retryAfterScope=RetryAfterScope.OrderingKey] - What a failed attempt's Retry-After header holds back.
+ * @property {CircuitBreaker} [circuitBreaker] - Holds back commands while open and records the outcome of each attempt.
+ * Not to be shared with a Resource the commands are executed with, as each attempt would acquire two permissions.
+ * @property {IMetricsSink} [metricsSink] - Also receives the metrics recorded by the consumer, see QueueMetric.
+ */
+
+/**
+ * @typedef {Object} BatchOptions
+ * @property {(commands: UserCommand[], signals: AbortSignal[]) => (boolean[] | void | Promise<boolean[] | void>)} consumeBatchFunc -
+ * Processes a batch, `signals[i]` is aborted when `commands[i]` is cancelled or times out.
+ * Either invoke each command's `executed(success)`, or return (or resolve to) the success of each command in order.
+ * A thrown error or rejection fails every command of the batch not executed yet.
+ * @property {number} [maxSize] - Maximum number of commands per batch, unlimited by default.
+ * @property {number} [maxWaitMs=0] - How long the first command of a batch waits for more commands.
+ * Each command of a batch counts toward `maxConcurrency` and takes its own `rateLimit` token.
+ */
+
+/**
+ * @typedef {Object} DrainSummary
+ * @property {boolean} timedOut - Commands were still in-flight when `timeoutMs` elapsed.
+ * @property {number} settled - Attempts that ended while draining.
+ * @property {number} inFlight - Commands still being processed.
+ * @property {number} pending - Queued commands that were not started.
+ */
+
+/**
+ * @typedef {Object} ConsumerStateInfo
+ * @property {ConsumerState} state
+ * @property {string[]} pauseReasons - Reasons the consumer is paused for.
+ * @property {ConsumerWaitReason | undefined} waitReason - Why a waiting consumer cannot start a command.
+ * @property {number | undefined} blockedConditionIndex - Index of the `consumeConditions` entry that blocked.
+ */
+
+/**
+ * @typedef {Object} WaitInfo
+ * @property {ConsumerWaitReason} waitReason
+ * @property {number | undefined} blockedConditionIndex
+ */
+
+/**
+ * Default ordering key, commands on the same resource run one at a time.
+ * Commands created without a resource, see UserCommand.systemResourceId, are not serialized.
+ * @param {QueueCommand} queueCommand
+ * @returns {string | undefined}
+ */
+const resourceIdOrderingKey = (queueCommand) => {
+  const resourceId = queueCommand.command?.meta?.resourceId;
+  return resourceId === UserCommand.systemResourceId ? undefined : resourceId;
+};
+
+/**
+ * @param {QueueCommand} queueCommand
+ * @returns {string | undefined}
+ */
+const getReferenceId = (queueCommand) => queueCommand.command?.meta?.ReferenceId;
+
+/**
+ * ReferenceIds of the commands that must succeed before this one runs.
+ * @param {QueueCommand} queueCommand
+ * @returns {string[]}
+ */
+const getDependsOn = (queueCommand) => queueCommand.command?.meta?.dependsOn ?? [];
+
+/**
+ * Cancellation reason of a dependent whose prerequisite will not succeed.
+ * @param {string} referenceId - ReferenceId of the prerequisite.
+ * @returns {Error}
+ */
+const createDependencyFailedError = (referenceId) =>
+  new Error(`${ErrorMessages.Exceptions.DependencyFailed}, "${referenceId}"`);
+
+// how many unsuccessful ReferenceIds are remembered for dependents enqueued later, the oldest are forgotten.
+const maxUnsuccessfulReferenceIds = 1000;
+
+/**
+ * HTTP status of a failed attempt's detail or error, e.g. a fetch Response.
+ * A sanitized fetch exception's status is not the server's, see isFetchException.
+ * @param {any} value
+ * @returns {number | undefined}
+ */
+const getHttpStatus = (value) =>
+  typeof value?.status === "number" && !isFetchException(value)
+    ? value.status
+    : undefined;
+
+/**
+ * Retry-After delay of a failed attempt's detail or error, e.g. a 429 or 503 fetch Response.
+ * @param {any} value
+ * @returns {number | undefined} delay in ms.
+ */
+const getRetryAfterMs = (value) => {
+  const headers = value?.headers;
+  const retryAfter =
+    typeof headers?.get === "function"
+      ? headers.get("Retry-After")
+      : headers?.["Retry-After"] ?? headers?.["retry-after"];
+
+  return parseRetryAfter(retryAfter);
+};
 
 /**
  * Consumes and processes queued commands with optional retry support.
  */
 export class QueueConsumer {
+  /** @type {WeakMap<QueueCommand, number>} */
+  #enqueueOrder = new WeakMap();
+
+  /** @type {number} */
+  #enqueueSequence = 0;
+
+  /**
+   * @typedef {Object} Attempt
+   * @property {string | undefined} key - ordering key held by the attempt.
+   * @property {AbortController} abortController - aborts the signal given to consumeFunc.
+   * @property {ReturnType<typeof setTimeout> | undefined} timeoutId
+   */
+
+  /**
+   * Attempts of commands being processed.
+   * @type {Map<QueueCommand, Attempt>}
+   */
+  #inFlight = new Map();
+
+  /**
+   * ReferenceIds of commands that failed, were cancelled or expired, so dependents enqueued later are cancelled too.
+   * A command enqueued again, e.g. a requeued dead letter, is no longer considered unsuccessful.
+   * Bounded by maxUnsuccessfulReferenceIds, in insertion order.
+   * @type {Set<string>}
+   */
+  #unsuccessfulReferenceIds = new Set();
+
+  /**
+   * ReferenceIds of commands that did not succeed, whose dependents keep waiting, see holdDependents.
+   * @type {Set<string>}
+   */
+  #heldReferenceIds = new Set();
+
+  /** @type {Promise<void> | undefined} */
+  #consumeLoop = undefined;
+
+  /**
+   * Invoked once no command is in-flight.
+   * @type {Set<() => void>}
+   */
+  #idleWaiters = new Set();
+
+  /** @type {Set<string>} */
+  #pauseReasons = new Set();
+
+  #draining = false;
+
+  /** @type {ConsumerStateInfo} */
+  #stateInfo = {
+    state: ConsumerState.Stopped,
+    pauseReasons: [],
+    waitReason: undefined,
+    blockedConditionIndex: undefined,
+  };
+
+  /** @type {Set<(stateInfo: ConsumerStateInfo) => void>} */
+  #onStateChangeListeners = new Set();
+
+  /**
+   * Commands collected for the next batch, see BatchOptions.
+   * @type {{ queueCommand: QueueCommand, attempt: Attempt }[]}
+   */
+  #batch = [];
+
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  #batchTimer = undefined;
+
+  #metrics = new QueueMetrics();
+
   /**
-   * @param {(command: UserCommand) => void} consumeFunc - The function to process a command.
+   * Date.now() until which no command is started, see RetryAfterScope.Consumer.
+   * @type {number}
+   */
+  #retryAfterUntil = 0;
+
+  /**
+   * @param {((command: UserCommand, signal: AbortSignal) => void) | undefined} consumeFunc - The function to process a command. The signal is aborted when the command is cancelled. Not used with `options.batch`.
    * @param {(( params: { processCount: number } ) => boolean)[]} [consumeConditions=[]] - List of conditions to satisfy before consuming.
    * @param {RetryPolicyEvaluator | undefined} [retryPolicyEvaluator=undefined]
+   * @param {QueueConsumerOptions} [options={}]
    */
   constructor(
     // can be dispatch(command), or can be (command) => command.execute().
     consumeFunc,
     consumeConditions = [],
-    retryPolicyEvaluator = undefined
+    retryPolicyEvaluator = undefined,
+    options = {}
   ) {
-    if (!consumeFunc) {
+    if (!consumeFunc && !options.batch?.consumeBatchFunc) {
       throw new TypeError(
         `${ErrorMessages.Exceptions.ArgumentUndefinedException}, "consumeFunc"`
       );
@@ -34,6 +232,31 @@ export class QueueConsumer {
     this.consumeConditions = consumeConditions;
     this.retryPolicyEvaluator = retryPolicyEvaluator;
 
+    /** @type {number | undefined} */
+    this.maxConcurrency = options.maxConcurrency;
+    /** @type {TokenBucket | undefined} */
+    this.rateLimiter = options.rateLimit
+      ? new TokenBucket(options.rateLimit.tokens, options.rateLimit.intervalMs)
+      : undefined;
+    /** @type {number | undefined} */
+    this.priorityAgingMs = options.priorityAgingMs;
+    this.orderingKey = options.orderingKey ?? resourceIdOrderingKey;
+    /** @type {number | undefined} */
+    this.timeoutMs = options.timeoutMs;
+    /** @type {BatchOptions | undefined} */
+    this.batch = options.batch;
+    /** @type {IMetricsSink | undefined} */
+    this.metricsSink = options.metricsSink;
+    /** @type {RetryAfterScope} */
+    this.retryAfterScope =
+      options.retryAfterScope ?? RetryAfterScope.OrderingKey;
+    /** @type {CircuitBreaker | undefined} */
+    this.circuitBreaker = options.circuitBreaker;
+    // e.g. trial calls are permitted once the cool-down ends.
+    this.circuitBreaker?.addOnStateChange(() =>
+      this.#resumeOnConditionsSatisfied()
+    );
+
     this.isRunning = false;
     this.queueState = { processCount: 0 };
     /** @type {Set<QueueCommand>} */
@@ -42,30 +265,213 @@ export class QueueConsumer {
      * @type {((value?: void) => void) | undefined}
      */
     this.resumeResolver = undefined;
+
+    /** @type {ReturnType<typeof setTimeout> | undefined} */
+    this.wakeUpTimer = undefined;
   }
 
   /** Starts the queue consumer. */
   start = () => {
-    let wasRunning = this.isRunning;
-
     this.isRunning = true;
+    this.#updateState();
     this.#resumeOnConditionsSatisfied();
 
-    if (!wasRunning) {
-      this.#consume();
-    }
+    // a loop still parked since stop() is resumed instead.
+    this.#consumeLoop ??= this.#consume().finally(() => {
+      this.#consumeLoop = undefined;
+    });
   };
 
   /** Pauses the queue consumer. */
   stop = () => {
     this.isRunning = false;
+    this.#clearWakeUp();
+    this.#updateState();
+  };
+
+  /**
+   * Stops starting commands until resumed for every reason it was paused for.
+   * In-flight commands are not affected.
+   * @param {string} [reason="user"] - e.g. "offline" or "auth".
+   */
+  pause = (reason = "user") => {
+    this.#pauseReasons.add(reason);
+    this.#updateState();
+  };
+
+  /**
+   * Removes a pause reason, the consumer resumes once no reason is left.
+   * @param {string} [reason="user"]
+   */
+  resume = (reason = "user") => {
+    if (!this.#pauseReasons.delete(reason)) {
+      return;
+    }
+
+    this.#updateState();
+    this.#resumeOnConditionsSatisfied();
+  };
+
+  /**
+   * Returns the consumer's current state.
+   * @returns {ConsumerStateInfo}
+   */
+  getState = () => ({
+    ...this.#stateInfo,
+    pauseReasons: [...this.#stateInfo.pauseReasons],
+  });
+
+  /**
+   * Returns the metrics recorded since the consumer was created, see QueueMetric.
+   * @returns {import("./queue-metrics.js").MetricsSnapshot}
+   */
+  getMetrics = () => this.#metrics.getSnapshot();
+
+  /**
+   * Listens to consumer state changes, e.g. to display sync status.
+   * @param {(stateInfo: ConsumerStateInfo) => void} listener
+   */
+  addOnStateChange = (listener) => {
+    this.#onStateChangeListeners.add(listener);
+  };
+
+  /**
+   * @param {(stateInfo: ConsumerStateInfo) => void} listener
+   */
+  removeOnStateChange = (listener) => {
+    this.#onStateChangeListeners.delete(listener);
+  };
+
+  /**
+   * Stops the queue consumer and ends its consume loop.
+   * In-flight commands are not awaited, see drainAsync.
+   * @returns {Promise<void>} Resolves once the consume loop has ended.
+   */
+  stopAsync = async () => {
+    this.stop();
+
+    // wakes the parked loop so it sees isRunning is false.
+    const resumeResolver = this.resumeResolver;
+    this.resumeResolver = undefined;
+    resumeResolver?.();
+
+    await this.#consumeLoop;
+  };
+
+  /**
+   * Stops starting commands and waits for in-flight ones to end.
+   * Queued, retried and newly enqueued commands stay in the queue until the consumer is started again.
+   * @param {{ timeoutMs?: number }} [options={}] - Stops waiting after `timeoutMs`.
+   * @returns {Promise<DrainSummary>}
+   */
+  drainAsync = async ({ timeoutMs } = {}) => {
+    this.#draining = true;
+    await this.stopAsync();
+
+    const inFlight = this.queueState.processCount;
+
+    /** @type {boolean} */
+    const timedOut = await new Promise((resolve) => {
+      if (this.queueState.processCount <= 0) {
+        resolve(false);
+        return;
+      }
+
+      /** @type {ReturnType<typeof setTimeout> | undefined} */
+      let timeoutId = undefined;
+
+      const onIdle = () => {
+        clearTimeout(timeoutId);
+        resolve(false);
+      };
+
+      this.#idleWaiters.add(onIdle);
+
+      if (timeoutMs) {
+        timeoutId = setTimeout(() => {
+          this.#idleWaiters.delete(onIdle);
+          resolve(true);
+        }, timeoutMs);
+      }
+    });
+
+    this.#draining = false;
+    this.#updateState();
+
+    return {
+      timedOut,
+      settled: inFlight - this.queueState.processCount,
+      inFlight: this.queueState.processCount,
+      pending: this.queue.size,
+    };
   };
 
   /**
    * Enqueues a command to be processed.
+   * A command with `meta.dependsOn` waits until those of its prerequisites held by the consumer succeed,
+   * so prerequisites must be enqueued first. It is cancelled if one of them fails, is cancelled or expires.
    * @param {QueueCommand} queueCommand
+   * @throws {Error} See ensureCanEnqueue.
    */
   enqueue = (queueCommand) => {
+    this.ensureCanEnqueue(queueCommand);
+
+    if (queueCommand.signal?.aborted) {
+      return;
+    }
+
+    const referenceId = getReferenceId(queueCommand);
+    if (referenceId !== undefined) {
+      this.#unsuccessfulReferenceIds.delete(referenceId);
+      // its dependents wait for it as a queued command again.
+      this.#heldReferenceIds.delete(referenceId);
+    }
+
+    const now = Date.now();
+    if (this.#isExpired(queueCommand, now)) {
+      this.#expireCommand(queueCommand);
+      return;
+    }
+
+    if (
+      this.#isScheduledLater(queueCommand, now) &&
+      (queueCommand.queueInfo.status ?? QueueStatus.Initial) === QueueStatus.Initial
+    ) {
+      this.#updateStatus(queueCommand, QueueStatus.Deferred);
+    }
+
+    // a re-enqueued (retried) command keeps its place in line.
+    if (!this.#enqueueOrder.has(queueCommand)) {
+      this.#increment(QueueMetric.Enqueued);
+      this.#enqueueOrder.set(queueCommand, this.#enqueueSequence++);
+      queueCommand.signal?.addEventListener(
+        "abort",
+        () => this.#cancelCommand(queueCommand),
+        { once: true }
+      );
+    }
+
+    this.queue.add(queueCommand);
+
+    // its prerequisite ended before it was enqueued.
+    const unsuccessfulDependency = getDependsOn(queueCommand).find(
+      (dependency) => this.#unsuccessfulReferenceIds.has(dependency)
+    );
+    if (unsuccessfulDependency !== undefined) {
+      queueCommand.cancel(createDependencyFailedError(unsuccessfulDependency));
+      return;
+    }
+
+    this.#resumeOnConditionsSatisfied();
+  };
+
+  /**
+   * Throws if enqueue would, so a command can be checked before it is e.g. saved.
+   * @param {QueueCommand} queueCommand
+   * @throws {TypeError} If the command or its queue info is undefined.
+   * @throws {Error} If the command's status is final, or its dependencies lead back to it.
+   */
+  ensureCanEnqueue = (queueCommand) => {
     if (queueCommand.command === undefined) {
       throw new TypeError(
         `${ErrorMessages.Exceptions.ArgumentUndefinedException}, "queueCommand.command"`
@@ -78,8 +484,45 @@ export class QueueConsumer {
       );
     }
 
-    this.queue.add(queueCommand);
-    this.#resumeOnConditionsSatisfied();
+    if (queueCommand.signal?.aborted) {
+      return;
+    }
+
+    // e.g. enqueued twice, it can not be processed again.
+    if (isFinalStatus(queueCommand.queueInfo.status)) {
+      throw new Error(
+        `${ErrorMessages.Exceptions.InvalidStatusTransition}, "${queueCommand.queueInfo.status}" is final`
+      );
+    }
+
+    this.#ensureNoDependencyCycle(queueCommand);
+  };
+
+  /**
+   * Keeps the commands depending on a command that does not succeed waiting, instead of cancelling them,
+   * e.g. while its failure is resolved into a command with the same ReferenceId. Must be called before
+   * the command ends, e.g. from its status listener. They wait until a command with the ReferenceId
+   * is enqueued again, or are cancelled by cancelDependents.
+   * @param {string} referenceId
+   */
+  holdDependents = (referenceId) => {
+    this.#heldReferenceIds.add(referenceId);
+  };
+
+  /**
+   * Cancels the queued commands depending on a command that will not succeed,
+   * which in turn cancels their own dependents. Dependents enqueued later are cancelled too.
+   * @param {string} referenceId
+   */
+  cancelDependents = (referenceId) => {
+    this.#heldReferenceIds.delete(referenceId);
+    this.#rememberUnsuccessful(referenceId);
+
+    for (const dependent of [...this.queue]) {
+      if (getDependsOn(dependent).includes(referenceId)) {
+        dependent.cancel(createDependencyFailedError(referenceId));
+      }
+    }
   };
 
   /**
@@ -99,32 +542,282 @@ export class QueueConsumer {
    * Marks command execution as complete or retries if needed.
    * @param {QueueCommand} queueCommand
    * @param {boolean} success
+   * @param {any} [detail] - e.g. the fetch Response, recorded in `queueInfo.failureReason` on failure.
    */
-  completedCommandExecution = (queueCommand, success) => {
+  completedCommandExecution = (queueCommand, success, detail = undefined) => {
+    // a cancelled command may still be reported by its consumeFunc.
+    if (queueCommand.queueInfo.status === QueueStatus.Cancelled) {
+      return;
+    }
+
     if (success) {
-      queueCommand.queueInfo.status = QueueStatus.Complete;
+      this.#finishAttempt(queueCommand, true);
+      this.#updateStatus(queueCommand, QueueStatus.Succeeded);
+      this.#increment(QueueMetric.Succeeded);
+      this.circuitBreaker?.recordSuccess();
       queueCommand?.completed((success = true));
-      this.queueState.processCount--;
+      this.#releaseProcessing(queueCommand);
     } else {
-      this.#handleRetry(queueCommand);
+      this.#handleRetry(queueCommand, undefined, detail);
     }
 
     this.#resumeOnConditionsSatisfied();
   };
 
   /**
-   * Removes and returns the next item from the queue.
-   * If the queue is empty, returns undefined.
+   * Removes and returns the highest priority item from the queue that is ready to be attempted,
+   * first enqueued first within the same priority.
+   * If no item is ready, returns undefined.
    *
-   * @returns {QueueCommand | undefined} The dequeued item, or undefined if the queue is empty.
+   * @returns {QueueCommand | undefined} The dequeued item, or undefined if no item is ready.
    */
   #dequeue = () => {
-    /** @type {QueueCommand | undefined } */
-    let nextItem = this.queue.values().next().value;
-    this.queue.delete(/** @type {any} */ (nextItem));
+    let nextItem = this.#peekReady();
+    if (nextItem) {
+      this.queue.delete(nextItem);
+      this.rateLimiter?.tryTake();
+    }
+    return nextItem;
+  };
+
+  /**
+   * Returns the next item to dequeue among those not parked until a later time
+   * and not waiting on an earlier command with the same ordering key.
+   * Commands scheduled for later (`meta.notBefore`) do not hold back their ordering key.
+   * @returns {QueueCommand | undefined}
+   */
+  #peekReady = () => {
+    const now = Date.now();
+    const heldCommands = this.#getHeldCommandsByReferenceId();
+    const activeKeys = new Set(
+      [...this.#inFlight.values()].map(({ key }) => key)
+    );
+
+    /** @type {Map<string, number>} - earliest enqueue order per ordering key */
+    const keyHeads = new Map();
+    for (const queueCommand of this.queue) {
+      const key = this.orderingKey(queueCommand);
+      const order = this.#enqueueOrder.get(queueCommand) ?? Infinity;
+
+      if (key === undefined || this.#isScheduledLater(queueCommand, now)) {
+        continue;
+      }
+
+      const head = keyHeads.get(key);
+      if (head === undefined || order < head) {
+        keyHeads.set(key, order);
+      }
+    }
+
+    /** @type {QueueCommand | undefined} */
+    let nextItem = undefined;
+    let nextPriority = -Infinity;
+    let nextOrder = Infinity;
+
+    for (const queueCommand of this.queue) {
+      if (!this.#isReady(queueCommand, now, heldCommands)) {
+        continue;
+      }
+
+      const order = this.#enqueueOrder.get(queueCommand) ?? Infinity;
+      const key = this.orderingKey(queueCommand);
+
+      if (
+        key !== undefined &&
+        (activeKeys.has(key) || keyHeads.get(key) !== order)
+      ) {
+        continue;
+      }
+
+      const priority = this.#getEffectivePriority(queueCommand, now);
+
+      if (
+        priority > nextPriority ||
+        (priority === nextPriority && order < nextOrder)
+      ) {
+        nextItem = queueCommand;
+        nextPriority = priority;
+        nextOrder = order;
+      }
+    }
+
     return nextItem;
   };
 
+  /**
+   * Priority of the command including aging.
+   * @param {QueueCommand} queueCommand
+   * @param {number} now
+   * @returns {number}
+   */
+  #getEffectivePriority = (queueCommand, now) => {
+    const { priority = QueuePriority.Normal, dateCreated } =
+      queueCommand.queueInfo;
+
+    if (!this.priorityAgingMs || dateCreated === undefined) {
+      return priority;
+    }
+
+    const aging = Math.floor((now - dateCreated) / this.priorityAgingMs);
+    return Math.min(priority + aging, Math.max(priority, QueuePriority.Highest));
+  };
+
+  /**
+   * @param {QueueCommand} queueCommand
+   * @param {number} now
+   * @param {Map<string, QueueCommand>} heldCommands - see #getHeldCommandsByReferenceId.
+   * @returns {boolean}
+   */
+  #isReady = (queueCommand, now, heldCommands) => {
+    const nextAttemptAt = queueCommand.queueInfo.nextAttemptAt;
+    return (
+      (nextAttemptAt === undefined || nextAttemptAt <= now) &&
+      !this.#isScheduledLater(queueCommand, now) &&
+      !this.#hasPendingDependency(queueCommand, heldCommands)
+    );
+  };
+
+  /**
+   * Queued and in-flight commands by their meta.ReferenceId, see meta.dependsOn.
+   * Computed when needed, as a command's ReferenceId may change while held, e.g. on ID remapping.
+   * @returns {Map<string, QueueCommand>}
+   */
+  #getHeldCommandsByReferenceId = () => {
+    /** @type {Map<string, QueueCommand>} */
+    const heldCommands = new Map();
+
+    for (const queueCommand of [...this.queue, ...this.#inFlight.keys()]) {
+      const referenceId = getReferenceId(queueCommand);
+      if (referenceId !== undefined) {
+        heldCommands.set(referenceId, queueCommand);
+      }
+    }
+
+    return heldCommands;
+  };
+
+  /**
+   * Whether a command it depends on is still queued, in-flight or held, see holdDependents.
+   * @param {QueueCommand} queueCommand
+   * @param {Map<string, QueueCommand>} heldCommands
+   * @returns {boolean}
+   */
+  #hasPendingDependency = (queueCommand, heldCommands) =>
+    getDependsOn(queueCommand).some((referenceId) => {
+      if (this.#heldReferenceIds.has(referenceId)) {
+        return true;
+      }
+
+      const prerequisite = heldCommands.get(referenceId);
+      return prerequisite !== undefined && prerequisite !== queueCommand;
+    });
+
+  /**
+   * @param {QueueCommand} queueCommand
+   * @throws {Error} If the command depends on itself, directly or through held commands.
+   */
+  #ensureNoDependencyCycle = (queueCommand) => {
+    const referenceId = getReferenceId(queueCommand);
+    if (referenceId === undefined) {
+      return;
+    }
+
+    const heldCommands = this.#getHeldCommandsByReferenceId();
+    const visited = new Set();
+    const pending = [...getDependsOn(queueCommand)];
+
+    while (pending.length) {
+      const dependency = /** @type {string} */ (pending.pop());
+
+      if (dependency === referenceId) {
+        throw new Error(
+          `${ErrorMessages.Exceptions.DependencyCycle}, "${referenceId}"`
+        );
+      }
+
+      if (visited.has(dependency)) {
+        continue;
+      }
+
+      visited.add(dependency);
+
+      const prerequisite = heldCommands.get(dependency);
+      if (prerequisite) {
+        pending.push(...getDependsOn(prerequisite));
+      }
+    }
+  };
+
+  /**
+   * @param {string} referenceId
+   */
+  #rememberUnsuccessful = (referenceId) => {
+    // re-added as the most recent.
+    this.#unsuccessfulReferenceIds.delete(referenceId);
+    this.#unsuccessfulReferenceIds.add(referenceId);
+
+    if (this.#unsuccessfulReferenceIds.size > maxUnsuccessfulReferenceIds) {
+      const [oldest] = this.#unsuccessfulReferenceIds;
+      this.#unsuccessfulReferenceIds.delete(oldest);
+    }
+  };
+
+  /**
+   * Cancels the dependents of a command that will not succeed, unless they are held, see holdDependents.
+   * @param {QueueCommand} queueCommand
+   */
+  #cancelDependents = (queueCommand) => {
+    const referenceId = getReferenceId(queueCommand);
+    if (referenceId === undefined || this.#heldReferenceIds.has(referenceId)) {
+      return;
+    }
+
+    this.cancelDependents(referenceId);
+  };
+
+  /**
+   * Whether the command must not run before a later time, see `meta.notBefore`.
+   * @param {QueueCommand} queueCommand
+   * @param {number} now
+   * @returns {boolean}
+   */
+  #isScheduledLater = (queueCommand, now) => {
+    const notBefore = queueCommand.command?.meta?.notBefore;
+    return notBefore !== undefined && notBefore > now;
+  };
+
+  /**
+   * Whether the command must no longer run, see `meta.expiresAt`.
+   * @param {QueueCommand} queueCommand
+   * @param {number} now
+   * @returns {boolean}
+   */
+  #isExpired = (queueCommand, now) => {
+    const expiresAt = queueCommand.command?.meta?.expiresAt;
+    return expiresAt !== undefined && expiresAt <= now;
+  };
+
+  /** Drops queued commands that expired. */
+  #expireQueuedCommands = () => {
+    const now = Date.now();
+    for (const queueCommand of this.queue) {
+      if (this.#isExpired(queueCommand, now)) {
+        this.queue.delete(queueCommand);
+        this.#expireCommand(queueCommand);
+      }
+    }
+  };
+
+  /**
+   * @param {QueueCommand} queueCommand
+   */
+  #expireCommand = (queueCommand) => {
+    this.#updateStatus(queueCommand, QueueStatus.Expired);
+    this.#increment(QueueMetric.Expired);
+    queueCommand.completed(false);
+    this.#cancelDependents(queueCommand);
+  };
+
   /**
    * Continuously consumes and processes commands from the queue while `isRunning` is true.
    *
@@ -139,6 +832,8 @@ export class QueueConsumer {
    */
   #consume = async () => {
     while (this.isRunning) {
+      this.#expireQueuedCommands();
+
       if (
         this.#shouldConsumerWait(
           this.queue,
@@ -146,7 +841,12 @@ export class QueueConsumer {
           this.queueState
         )
       ) {
-        await this.#createWaitPromise(this);
+        this.#scheduleWakeUp();
+        const waitPromise = this.#createWaitPromise(this);
+        this.#updateState();
+        await waitPromise;
+        this.#updateState();
+        continue;
       }
 
       let queueCommand = this.#dequeue();
@@ -160,65 +860,368 @@ export class QueueConsumer {
    */
   #processCommand = async (queueCommand) => {
     try {
-      /** @type {UserCommand} */
-      const userCommand = queueCommand.command;
-
-      // when userCommand.executed(true|false) has been invoked, 
-      // this will complete the queueCommand associated with the usercommand
-      // mandatory for client to invoke this for QueueConsumer to work properly.
-      userCommand.onExecute().then((success) => {
-        this.completedCommandExecution(queueCommand, success || false);
-      });
+      const attempt = this.#beginAttempt(queueCommand);
+
+      if (this.batch) {
+        this.#addToBatch(queueCommand, attempt);
+        return;
+      }
+
+      this.#startTimeout(queueCommand, attempt);
+      this.consumeFunc?.(queueCommand.command, attempt.abortController.signal);
+    } catch (err) {
+      this.#handleRetry(queueCommand, err);
+    }
+  };
+
+  /**
+   * Marks the command as in-flight and completes it once its user command is executed.
+   * @param {QueueCommand} queueCommand
+   * @returns {Attempt}
+   */
+  #beginAttempt = (queueCommand) => {
+    /** @type {Attempt} */
+    const attempt = {
+      key: this.orderingKey(queueCommand),
+      abortController: new AbortController(),
+      timeoutId: undefined,
+    };
+
+    /** @type {UserCommand} */
+    const userCommand = queueCommand.command;
+
+    // a retried command has already been executed once.
+    userCommand.resetExecution?.();
+
+    this.#updateStatus(queueCommand, QueueStatus.Processing);
+    this.queueState.processCount++;
+    this.#inFlight.set(queueCommand, attempt);
+    this.circuitBreaker?.tryAcquirePermission();
 
-      queueCommand.queueInfo.status = QueueStatus.Processing;
-      queueCommand.onStatusUpdate(QueueStatus.Processing);
-      this.queueState.processCount++;
+    this.#increment(QueueMetric.Started);
+    const { attemptNo, dateCreated } = queueCommand.queueInfo;
+    if (!attemptNo && dateCreated !== undefined) {
+      this.#observe(QueueMetric.TimeInQueueMs, Date.now() - dateCreated);
+    }
+    (queueCommand.queueInfo.history ??= []).push({
+      startedAt: Date.now(),
+      finishedAt: undefined,
+      success: undefined,
+      error: undefined,
+    });
+
+    // when userCommand.executed(true|false) has been invoked, 
+    // this will complete the queueCommand associated with the usercommand
+    // mandatory for client to invoke this for QueueConsumer to work properly.
+    userCommand.onExecute().then((success) => {
+      // the attempt has been cancelled in the meantime.
+      if (this.#inFlight.get(queueCommand) !== attempt) {
+        return;
+      }
 
-      this.consumeFunc(queueCommand.command);
+      this.completedCommandExecution(
+        queueCommand,
+        success || false,
+        userCommand.getExecutionDetail?.()
+      );
+    });
+
+    return attempt;
+  };
+
+  /**
+   * Adds an in-flight command to the next batch,
+   * flushed once full or `maxWaitMs` after its first command.
+   * @param {QueueCommand} queueCommand
+   * @param {Attempt} attempt
+   */
+  #addToBatch = (queueCommand, attempt) => {
+    const { maxSize = Infinity, maxWaitMs = 0 } =
+      /** @type {BatchOptions} */ (this.batch);
+
+    this.#batch.push({ queueCommand, attempt });
+
+    if (this.#batch.length >= maxSize) {
+      this.#flushBatch();
+      return;
+    }
+
+    this.#batchTimer ??= setTimeout(this.#flushBatch, maxWaitMs);
+  };
+
+  /**
+   * Hands the collected batch to consumeBatchFunc and executes each command with its result.
+   */
+  #flushBatch = () => {
+    clearTimeout(this.#batchTimer);
+    this.#batchTimer = undefined;
+
+    // commands cancelled while waiting for the batch are left out.
+    const batch = this.#batch.filter(
+      ({ queueCommand, attempt }) => this.#inFlight.get(queueCommand) === attempt
+    );
+    this.#batch = [];
+
+    if (!batch.length) {
+      return;
+    }
+
+    /**
+     * @param {any} error
+     */
+    const failBatch = (error) => {
+      for (const { queueCommand, attempt } of batch) {
+        if (this.#inFlight.get(queueCommand) === attempt) {
+          this.#handleRetry(queueCommand, error);
+        }
+      }
+      this.#resumeOnConditionsSatisfied();
+    };
+
+    batch.forEach(({ queueCommand, attempt }) =>
+      this.#startTimeout(queueCommand, attempt)
+    );
+
+    /** @type {boolean[] | void | Promise<boolean[] | void>} */
+    let results;
+    try {
+      results = /** @type {BatchOptions} */ (this.batch).consumeBatchFunc(
+        batch.map(({ queueCommand }) => queueCommand.command),
+        batch.map(({ attempt }) => attempt.abortController.signal)
+      );
     } catch (err) {
-      this.#handleRetry(queueCommand);
+      failBatch(err);
+      return;
+    }
+
+    Promise.resolve(results).then((results) => {
+      if (!Array.isArray(results)) {
+        return;
+      }
+
+      batch.forEach(({ queueCommand, attempt }, i) => {
+        if (this.#inFlight.get(queueCommand) === attempt) {
+          queueCommand.command.executed?.(results[i] === true);
+        }
+      });
+    }, failBatch);
+  };
+
+  /**
+   * Fails the attempt, through the retry policy, if it is not executed in time.
+   * The signal given to consumeFunc is aborted.
+   * @param {QueueCommand} queueCommand
+   * @param {Attempt} attempt
+   */
+  #startTimeout = (queueCommand, attempt) => {
+    const timeoutMs = queueCommand.command.meta?.timeoutMs ?? this.timeoutMs;
+
+    if (!timeoutMs) {
+      return;
     }
+
+    attempt.abortController.signal.addEventListener(
+      "abort",
+      () => {
+        // aborted after the attempt ended, e.g. on cancel.
+        if (this.#inFlight.get(queueCommand) !== attempt) {
+          return;
+        }
+
+        const error = new Error(ErrorMessages.Exceptions.Timeout);
+        error.name = "TimeoutError";
+
+        this.#handleRetry(queueCommand, error);
+        this.#resumeOnConditionsSatisfied();
+      },
+      { once: true }
+    );
+
+    attempt.timeoutId = timeout(attempt.abortController, timeoutMs);
+  };
+
+  /**
+   * Removes a cancelled command if pending, or aborts its attempt if in-flight.
+   * @param {QueueCommand} queueCommand
+   */
+  #cancelCommand = (queueCommand) => {
+    const reason = queueCommand.signal?.reason;
+    const attempt = this.#inFlight.get(queueCommand);
+
+    if (attempt) {
+      this.#finishAttempt(queueCommand, false, reason);
+      this.#releaseProcessing(queueCommand);
+      this.circuitBreaker?.releasePermission();
+      attempt.abortController.abort(reason);
+    } else if (!this.queue.delete(queueCommand)) {
+      // not held by this consumer.
+      return;
+    }
+
+    this.#updateStatus(queueCommand, QueueStatus.Cancelled);
+    this.#increment(QueueMetric.Cancelled);
+    queueCommand.completed(false);
+    this.#cancelDependents(queueCommand);
+    this.#resumeOnConditionsSatisfied();
   };
 
   /**
    * Handles retry logic if a command fails.
    * @param {QueueCommand} queueCommand
+   * @param {any} [error] - error thrown by the attempt, if any.
+   * @param {any} [detail] - detail the attempt was executed with, if any.
    */
-  #handleRetry = (queueCommand) => {
+  #handleRetry = (queueCommand, error = undefined, detail = undefined) => {
     let { command, queueInfo } = queueCommand;
 
+    this.#finishAttempt(queueCommand, false, error);
+    queueInfo.lastError = error;
+    const retryAfterMs = getRetryAfterMs(detail) ?? getRetryAfterMs(error);
+    queueInfo.failureReason = {
+      error,
+      detail,
+      status: getHttpStatus(detail) ?? getHttpStatus(error),
+      retryAfterMs,
+    };
+
+    this.circuitBreaker?.recordResult(detail ?? error);
+
+    if (
+      retryAfterMs !== undefined &&
+      this.retryAfterScope === RetryAfterScope.Consumer
+    ) {
+      this.#retryAfterUntil = Math.max(
+        this.#retryAfterUntil,
+        Date.now() + retryAfterMs
+      );
+    }
     queueInfo.attemptNo++;
+    // frees the ordering key, the retried command stays first in line for it.
+    this.#releaseProcessing(queueCommand);
 
     const shouldRetry =
       this.retryPolicyEvaluator?.shouldRetry(command, queueInfo) ?? false;
 
     if (shouldRetry) {
-      queueInfo.status = QueueStatus.Initial;
+      // the server-provided delay is a minimum.
+      const retryDelayMs = Math.max(
+        this.retryPolicyEvaluator?.getRetryDelay?.(command, queueInfo) ?? 0,
+        retryAfterMs ?? 0
+      );
+
+      queueInfo.retryDelayMs = retryDelayMs;
+      queueInfo.nextAttemptAt =
+        retryDelayMs > 0 ? Date.now() + retryDelayMs : undefined;
+      this.#updateStatus(queueCommand, QueueStatus.RetryScheduled);
+      this.#increment(QueueMetric.Retried);
       this.enqueue(queueCommand);
       this.#resumeOnConditionsSatisfied();
     } else {
-      queueInfo.status = QueueStatus.Complete;
-      queueCommand.onStatusUpdate(QueueStatus.Complete);
+      this.#updateStatus(queueCommand, QueueStatus.Failed);
+      this.#increment(QueueMetric.Failed);
       // isSuccessful: false
       queueCommand?.completed(false);
+      this.#cancelDependents(queueCommand);
     }
+  };
+
+  /**
+   * Moves the command to a new status and notifies its listeners.
+   * @param {QueueCommand} queueCommand
+   * @param {QueueStatus} status
+   * @throws {Error} If the transition is not allowed, see QueueStatusTransitions.
+   */
+  #updateStatus = (queueCommand, status) => {
+    const { queueInfo } = queueCommand;
 
+    if (!isValidStatusTransition(queueInfo.status, status)) {
+      throw new Error(
+        `${ErrorMessages.Exceptions.InvalidStatusTransition}, "${queueInfo.status}" to "${status}"`
+      );
+    }
+
+    queueInfo.status = status;
+    queueCommand.onStatusUpdate(status);
+  };
+
+  /**
+   * Records the outcome of the command's current attempt in its history.
+   * @param {QueueCommand} queueCommand
+   * @param {boolean} success
+   * @param {any} [error]
+   */
+  #finishAttempt = (queueCommand, success, error = undefined) => {
+    const attempt = queueCommand.queueInfo.history?.at(-1);
+
+    if (attempt && attempt.finishedAt === undefined) {
+      attempt.finishedAt = Date.now();
+      attempt.success = success;
+      attempt.error = error;
+
+      this.#observe(
+        QueueMetric.ExecutionDurationMs,
+        attempt.finishedAt - attempt.startedAt
+      );
+    }
+  };
+
+  /**
+   * @param {QueueMetric} name
+   */
+  #increment = (name) => {
+    this.#metrics.increment(name);
+    this.metricsSink?.increment(name);
+  };
+
+  /**
+   * @param {QueueMetric} name
+   * @param {number} value
+   */
+  #observe = (name, value) => {
+    this.#metrics.observe(name, value);
+    this.metricsSink?.observe(name, value);
+  };
+
+  /**
+   * Releases the processing slot and ordering key held by a command.
+   * @param {QueueCommand} queueCommand
+   */
+  #releaseProcessing = (queueCommand) => {
     this.queueState.processCount--;
+    clearTimeout(this.#inFlight.get(queueCommand)?.timeoutId);
+    this.#inFlight.delete(queueCommand);
+
+    if (this.queueState.processCount <= 0) {
+      const idleWaiters = [...this.#idleWaiters];
+      this.#idleWaiters.clear();
+      idleWaiters.forEach((onIdle) => onIdle());
+    }
   };
 
   /** Resumes the consumer if conditions are satisfied. */
   #resumeOnConditionsSatisfied = () => {
+    if (!this.isRunning || !this.resumeResolver) {
+      return;
+    }
+
+    this.#expireQueuedCommands();
+
     if (
-      this.isRunning &&
-      this.queue.size &&
-      this.resumeResolver &&
-      this.consumeConditions?.every((conditionSatisfied) =>
-        conditionSatisfied(this.queueState)
+      this.#shouldConsumerWait(
+        this.queue,
+        this.consumeConditions,
+        this.queueState
       )
     ) {
-      this.resumeResolver();
-      this.resumeResolver = undefined;
+      // the queue may have changed while waiting, e.g. a retried command got parked.
+      this.#scheduleWakeUp();
+      this.#updateState();
+      return;
     }
+
+    this.#clearWakeUp();
+    this.resumeResolver();
+    this.resumeResolver = undefined;
   };
 
   /**
@@ -229,11 +1232,172 @@ export class QueueConsumer {
    */
   #shouldConsumerWait = (queue, consumeConditions, queueState) => {
     return (
-      !queue.size ||
-      consumeConditions?.some((condition) => !condition(queueState))
+      this.#pauseReasons.size > 0 ||
+      this.#getWaitInfo(queue, consumeConditions, queueState) !== undefined
     );
   };
 
+  /**
+   * Why no command can be started, undefined if one can.
+   * @param {Set<any>} queue
+   * @param {(( params: { processCount: number } ) => boolean)[]} consumeConditions
+   * @param {any} queueState
+   * @returns {WaitInfo | undefined}
+   */
+  #getWaitInfo = (queue, consumeConditions, queueState) => {
+    /**
+     * @param {ConsumerWaitReason} waitReason
+     * @param {number} [blockedConditionIndex]
+     * @returns {WaitInfo}
+     */
+    const waitInfo = (waitReason, blockedConditionIndex = undefined) => ({
+      waitReason,
+      blockedConditionIndex,
+    });
+
+    if (!queue.size) {
+      return waitInfo(ConsumerWaitReason.EmptyQueue);
+    }
+
+    if (this.#retryAfterUntil > Date.now()) {
+      return waitInfo(ConsumerWaitReason.RetryAfter);
+    }
+
+    if (this.circuitBreaker && !this.circuitBreaker.isCallPermitted()) {
+      return waitInfo(ConsumerWaitReason.CircuitOpen);
+    }
+
+    if (!this.#peekReady()) {
+      return waitInfo(ConsumerWaitReason.NoneReady);
+    }
+
+    if (!this.#hasCapacity()) {
+      return waitInfo(ConsumerWaitReason.NoCapacity);
+    }
+
+    const blockedConditionIndex =
+      consumeConditions?.findIndex((condition) => !condition(queueState)) ??
+      -1;
+
+    if (blockedConditionIndex !== -1) {
+      return waitInfo(ConsumerWaitReason.Condition, blockedConditionIndex);
+    }
+
+    return undefined;
+  };
+
+  /**
+   * Recomputes the consumer's state and notifies listeners if it changed.
+   */
+  #updateState = () => {
+    /** @type {ConsumerState} */
+    let state = ConsumerState.Running;
+    /** @type {WaitInfo | undefined} */
+    let waitInfo = undefined;
+
+    if (this.#draining) {
+      state = ConsumerState.Draining;
+    } else if (!this.isRunning) {
+      state = ConsumerState.Stopped;
+    } else if (this.#pauseReasons.size) {
+      state = ConsumerState.Paused;
+    } else if (this.resumeResolver) {
+      // the consume loop is parked.
+      waitInfo = this.#getWaitInfo(
+        this.queue,
+        this.consumeConditions,
+        this.queueState
+      );
+      state = waitInfo ? ConsumerState.Waiting : ConsumerState.Running;
+    }
+
+    /** @type {ConsumerStateInfo} */
+    const stateInfo = {
+      state,
+      pauseReasons: [...this.#pauseReasons],
+      waitReason: waitInfo?.waitReason,
+      blockedConditionIndex: waitInfo?.blockedConditionIndex,
+    };
+
+    const previous = this.#stateInfo;
+    if (
+      previous.state === stateInfo.state &&
+      previous.waitReason === stateInfo.waitReason &&
+      previous.blockedConditionIndex === stateInfo.blockedConditionIndex &&
+      previous.pauseReasons.join() === stateInfo.pauseReasons.join()
+    ) {
+      return;
+    }
+
+    this.#stateInfo = stateInfo;
+    for (const listener of this.#onStateChangeListeners) {
+      listener(this.getState());
+    }
+  };
+
+  /**
+   * Whether the concurrency and rate limits allow another command to start.
+   * @returns {boolean}
+   */
+  #hasCapacity = () => {
+    if (
+      this.maxConcurrency !== undefined &&
+      this.queueState.processCount >= this.maxConcurrency
+    ) {
+      return false;
+    }
+
+    return this.rateLimiter?.hasToken() ?? true;
+  };
+
+  /**
+   * Wakes the consumer once the earliest parked or scheduled command is ready to be attempted
+   * or expires, the rate limiter refills or a Retry-After delay ends, so none is polled.
+   * Freed concurrency wakes the consumer through command completion.
+   */
+  #scheduleWakeUp = () => {
+    this.#clearWakeUp();
+
+    const now = Date.now();
+
+    let earliest = Infinity;
+    for (const { command, queueInfo } of this.queue) {
+      for (const at of [
+        queueInfo.nextAttemptAt,
+        command?.meta?.notBefore,
+        command?.meta?.expiresAt,
+      ]) {
+        if (at !== undefined && at > now) {
+          earliest = Math.min(earliest, at);
+        }
+      }
+    }
+
+    if (this.queue.size && this.rateLimiter && !this.rateLimiter.hasToken()) {
+      earliest = Math.min(earliest, now + this.rateLimiter.msUntilNextToken());
+    }
+
+    if (this.queue.size && this.#retryAfterUntil > now) {
+      earliest = Math.min(earliest, this.#retryAfterUntil);
+    }
+
+    if (earliest === Infinity) {
+      return;
+    }
+
+    this.wakeUpTimer = setTimeout(() => {
+      this.wakeUpTimer = undefined;
+      this.#resumeOnConditionsSatisfied();
+    }, earliest - now);
+  };
+
+  #clearWakeUp = () => {
+    if (this.wakeUpTimer !== undefined) {
+      clearTimeout(this.wakeUpTimer);
+      this.wakeUpTimer = undefined;
+    }
+  };
+
   /**
    * Creates a promise that resolves when the consumer's resumeResolver is called.
    *
@@ -3,21 +3,113 @@
  *  Licensed under the MIT License. See License.txt in the project root for license information.
  *--------------------------------------------------------------------------------------------*/
 
+import { QueuePriority } from "./queue-priority.js";
 import { QueueStatus } from "./queue-status.js";
 
+/**
+ * @typedef {Object} QueueAttempt
+ * @property {number} startedAt - Date.now() when the attempt started.
+ * @property {number | undefined} finishedAt - Date.now() when the attempt finished.
+ * @property {boolean | undefined} success
+ * @property {any} error - error thrown by the attempt, if any.
+ */
+
+/**
+ * @typedef {Object} FailureReason
+ * @property {any} error - error thrown by the attempt, if any, e.g. a TimeoutError.
+ * @property {any} detail - detail given to `executed(false, detail)`, if any.
+ * @property {number | undefined} status - HTTP status of the detail or error, if any.
+ * @property {number | undefined} retryAfterMs - Delay requested by the detail's or error's Retry-After header, if any.
+ */
+
 /**
  * Stores queue-related metadata for a command.
  */
 export class QueueInfo {
-  constructor() {
+  /**
+   * @param {number} [priority=QueuePriority.Normal]
+   */
+  constructor(priority = QueuePriority.Normal) {
     /** @type {number} */
     this.attemptNo = 0;
     /** @type {number} */
     this.dateCreated = Date.now();
     /** @type {QueueStatus} */
     this.status = QueueStatus.Initial;
+    /** @type {number | undefined} - earliest time (ms since epoch) the command may be attempted again. */
+    this.nextAttemptAt = undefined;
+    /** @type {number} - delay applied before the current retry. */
+    this.retryDelayMs = 0;
+    /** @type {number} - see QueuePriority. */
+    this.priority = priority;
+    /** @type {any} - error of the last failed attempt, if any. */
+    this.lastError = undefined;
+    /** @type {FailureReason | undefined} - why the last attempt failed. */
+    this.failureReason = undefined;
+    /** @type {QueueAttempt[]} */
+    this.history = [];
+  }
+
+  /**
+   * Returns the queue info as data that can be persisted, see QueueCommand.toJSON.
+   * Errors keep their name and message, and failure details only their plain data.
+   * @returns {Record<string, any>}
+   */
+  toJSON() {
+    return {
+      ...this,
+      lastError: toSerializable(this.lastError),
+      failureReason: toSerializable(this.failureReason),
+      history: this.history.map((attempt) => toSerializable(attempt)),
+    };
+  }
 
-    // not yet implemented. create a Priority enum 1-10. 1 lowest, and 10 highest priority
-    // this.priority = 0;
+  /**
+   * Restores queue info saved with toJSON.
+   * An attempt in progress when saved never finished, the command is attempted again.
+   * @param {any} data
+   * @returns {QueueInfo}
+   */
+  static fromJSON(data) {
+    const queueInfo = new QueueInfo(data?.priority);
+    Object.assign(queueInfo, data, { history: [...(data?.history ?? [])] });
+
+    // its attempt was interrupted, it is run again.
+    if (queueInfo.status === QueueStatus.Processing) {
+      queueInfo.status = QueueStatus.RetryScheduled;
+    }
+
+    return queueInfo;
   }
 }
+
+/**
+ * Errors and class instances, e.g. a fetch Response, don't survive serialization.
+ * @param {any} value
+ * @returns {any}
+ */
+const toSerializable = (value) => {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toSerializable);
+  }
+
+  if (typeof value === "function") {
+    return undefined;
+  }
+
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+
+  if (value.constructor !== Object) {
+    return undefined;
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, toSerializable(item)])
+  );
+};
@@ -0,0 +1,145 @@
+/*---------------------------------------------------------------------------------------------
+ *  Copyright (c) wlvyr. All rights reserved.
+ *  Licensed under the MIT License. See License.txt in the project root for license information.
+ *--------------------------------------------------------------------------------------------*/
+
+import { ErrorMessages } from "@/src/error/error-messages.js";
+
+/**
+ * Enum for metrics recorded by the queue consumer.
+ * @readonly
+ * @enum {string}
+ */
+export const QueueMetric = Object.freeze({
+  // counters
+  Enqueued: "Enqueued",
+  Started: "Started",
+  Succeeded: "Succeeded",
+  Failed: "Failed",
+  Retried: "Retried",
+  Cancelled: "Cancelled",
+  // dropped from the queue at meta.expiresAt.
+  Expired: "Expired",
+  // histograms, in ms.
+  // from QueueInfo.dateCreated to the first attempt.
+  TimeInQueueMs: "TimeInQueueMs",
+  // from the start to the end of an attempt.
+  ExecutionDurationMs: "ExecutionDurationMs",
+});
+
+/**
+ * Interface for metrics sinks, e.g. to forward queue metrics to telemetry.
+ * @interface
+ */
+export class IMetricsSink {
+  /**
+   * Should be overridden to add to a counter.
+   * @param {string} name - see QueueMetric.
+   * @param {number} [value=1]
+   */
+  increment(name, value = 1) {
+    throw new Error(ErrorMessages.Exceptions.NotImplemented);
+  }
+
+  /**
+   * Should be overridden to record a histogram value.
+   * @param {string} name - see QueueMetric.
+   * @param {number} value
+   */
+  observe(name, value) {
+    throw new Error(ErrorMessages.Exceptions.NotImplemented);
+  }
+}
+
+/**
+ * @typedef {Object} Histogram
+ * @property {number} count
+ * @property {number} sum
+ * @property {number} min
+ * @property {number} max
+ * @property {{ le: number, count: number }[]} buckets - Number of values less than or equal to `le`, and greater than the previous bucket's.
+ */
+
+/**
+ * @typedef {Object} MetricsSnapshot
+ * @property {Record<string, number>} counters
+ * @property {Record<string, Histogram>} histograms
+ */
+
+/**
+ * In-memory metrics sink.
+ */
+export class QueueMetrics extends IMetricsSink {
+  /**
+   * @param {number[]} [bucketBounds] - Upper bounds of histogram buckets, ascending.
+   */
+  constructor(
+    bucketBounds = [10, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000]
+  ) {
+    super();
+
+    this.bucketBounds = [...bucketBounds, Infinity];
+
+    /** @type {Record<string, number>} */
+    this.counters = {};
+    /** @type {Record<string, Histogram>} */
+    this.histograms = {};
+  }
+
+  /**
+   * @param {string} name
+   * @param {number} [value=1]
+   */
+  increment(name, value = 1) {
+    this.counters[name] = (this.counters[name] ?? 0) + value;
+  }
+
+  /**
+   * @param {string} name
+   * @param {number} value
+   */
+  observe(name, value) {
+    const histogram = (this.histograms[name] ??= {
+      count: 0,
+      sum: 0,
+      min: Infinity,
+      max: -Infinity,
+      buckets: this.bucketBounds.map((le) => ({ le, count: 0 })),
+    });
+
+    histogram.count++;
+    histogram.sum += value;
+    histogram.min = Math.min(histogram.min, value);
+    histogram.max = Math.max(histogram.max, value);
+
+    const bucket = /** @type {{ le: number, count: number }} */ (
+      histogram.buckets.find(({ le }) => value <= le)
+    );
+    bucket.count++;
+  }
+
+  /**
+   * Returns a copy of the recorded metrics.
+   * @returns {MetricsSnapshot}
+   */
+  getSnapshot() {
+    return {
+      counters: { ...this.counters },
+      histograms: Object.fromEntries(
+        Object.entries(this.histograms).map(([name, histogram]) => [
+          name,
+          {
+            ...histogram,
+            buckets: histogram.buckets.map((bucket) => ({ ...bucket })),
+          },
+        ])
+      ),
+    };
+  }
+
+  /** Clears the recorded metrics. */
+  reset() {
+    this.counters = {};
+    this.histograms = {};
+  }
+}
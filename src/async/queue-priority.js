@@ -0,0 +1,18 @@
+/*---------------------------------------------------------------------------------------------
+ *  Copyright (c) wlvyr. All rights reserved.
+ *  Licensed under the MIT License. See License.txt in the project root for license information.
+ *--------------------------------------------------------------------------------------------*/
+
+/**
+ * Enum for queue priorities, 1 lowest and 10 highest priority.
+ * Any number in between is also a valid priority.
+ * @readonly
+ * @enum {number}
+ */
+export const QueuePriority = Object.freeze({
+  Lowest: 1,
+  Low: 3,
+  Normal: 5,
+  High: 7,
+  Highest: 10,
+});
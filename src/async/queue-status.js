@@ -10,6 +10,72 @@
  */
 export const QueueStatus = Object.freeze({
   Initial: "Initial",
+  // held in the queue until a later time.
+  Deferred: "Deferred",
   Processing: "Processing",
-  Complete: "Complete"
+  // failed, waiting in the queue for its next attempt.
+  RetryScheduled: "RetryScheduled",
+  Succeeded: "Succeeded",
+  // failed and will not be retried.
+  Failed: "Failed",
+  Cancelled: "Cancelled",
+  // dropped from the queue, not run before its expiry.
+  Expired: "Expired",
 });
+
+/**
+ * Statuses each status can transition to.
+ * Succeeded, Failed, Cancelled and Expired are final.
+ * @readonly
+ * @type {Readonly<Record<QueueStatus, QueueStatus[]>>}
+ */
+export const QueueStatusTransitions = Object.freeze({
+  [QueueStatus.Initial]: [
+    QueueStatus.Deferred,
+    QueueStatus.Processing,
+    QueueStatus.Cancelled,
+    QueueStatus.Expired,
+  ],
+  [QueueStatus.Deferred]: [
+    QueueStatus.Processing,
+    QueueStatus.Cancelled,
+    QueueStatus.Expired,
+  ],
+  [QueueStatus.Processing]: [
+    QueueStatus.RetryScheduled,
+    QueueStatus.Succeeded,
+    QueueStatus.Failed,
+    QueueStatus.Cancelled,
+  ],
+  [QueueStatus.RetryScheduled]: [
+    QueueStatus.Deferred,
+    QueueStatus.Processing,
+    QueueStatus.Cancelled,
+    QueueStatus.Expired,
+  ],
+  [QueueStatus.Succeeded]: [],
+  [QueueStatus.Failed]: [],
+  [QueueStatus.Cancelled]: [],
+  [QueueStatus.Expired]: [],
+});
+
+/**
+ * Whether a command with the status has completed, it can not move to another status.
+ * @param {QueueStatus | undefined | null} status
+ * @returns {boolean}
+ */
+export const isFinalStatus = (status) =>
+  QueueStatusTransitions[status ?? QueueStatus.Initial]?.length === 0;
+
+/**
+ * Whether a command can move from one status to another.
+ * A command without a status is treated as Initial.
+ * @param {QueueStatus | undefined | null} from
+ * @param {QueueStatus} to
+ * @returns {boolean}
+ */
+export const isValidStatusTransition = (from, to) => {
+  return (
+    QueueStatusTransitions[from ?? QueueStatus.Initial]?.includes(to) ?? false
+  );
+};
@@ -0,0 +1,16 @@
+/*---------------------------------------------------------------------------------------------
+ *  Copyright (c) wlvyr. All rights reserved.
+ *  Licensed under the MIT License. See License.txt in the project root for license information.
+ *--------------------------------------------------------------------------------------------*/
+
+/**
+ * Enum for what a server-provided Retry-After delay holds back.
+ * @readonly
+ * @enum {string}
+ */
+export const RetryAfterScope = Object.freeze({
+  // the failed command, and the commands sharing its ordering key.
+  OrderingKey: "OrderingKey",
+  // every command of the consumer.
+  Consumer: "Consumer",
+});
@@ -5,6 +5,7 @@
 
 import { UserCommand } from "@/src/common/user-command.js";
 import { ErrorMessages } from "@/src/error/error-messages.js";
+import { isFetchException } from "@/src/network/network.util.js";
 import { QueueInfo } from "./queue-info.js";
 
 /**
@@ -21,6 +22,16 @@ export class IRetryCondition {
   shouldRetry(command, info) {
     throw new Error(ErrorMessages.Exceptions.NotImplemented);
   }
+
+  /**
+   * Can be overridden to delay the next attempt.
+   * @param {UserCommand} command
+   * @param {QueueInfo} info
+   * @returns {number} delay in ms before the command may be attempted again.
+   */
+  getRetryDelay(command, info) {
+    return 0;
+  }
 }
 
 /**
@@ -45,3 +56,301 @@ export class AttempNoRetryCondition extends IRetryCondition {
     return info.attemptNo < this.retryCount;
   }
 }
+
+/**
+ * Retry condition based on the HTTP status of the failed attempt, see QueueInfo.failureReason.
+ * Retries on 408, 429, 5xx and network errors, never on other statuses.
+ */
+export class HttpStatusRetryCondition extends IRetryCondition {
+  /**
+   * @param {{ statuses?: number[], retryServerErrors?: boolean, retryNetworkErrors?: boolean }} [options]
+   * - `statuses` retried besides 5xx, `retryNetworkErrors` retries sanitized fetch failures without a status.
+   */
+  constructor({
+    statuses = [408, 429],
+    retryServerErrors = true,
+    retryNetworkErrors = true,
+  } = {}) {
+    super();
+    this.statuses = statuses;
+    this.retryServerErrors = retryServerErrors;
+    this.retryNetworkErrors = retryNetworkErrors;
+  }
+
+  /**
+   * @override
+   * @param {UserCommand} command
+   * @param {QueueInfo} info
+   * @returns {boolean}
+   */
+  shouldRetry(command, info) {
+    const failureReason = info.failureReason;
+
+    if (!failureReason) {
+      return false;
+    }
+
+    const { status } = failureReason;
+    const failure = failureReason.detail ?? failureReason.error;
+    // e.g. offline. a failed fetch is sanitized with status 400 in Chrome and Node, see isFetchException.
+    const isNetworkError =
+      isFetchException(failure) ||
+      (failure?.ok === false && failure.status === undefined);
+
+    if (status !== undefined && !isNetworkError) {
+      return (
+        this.statuses.includes(status) ||
+        (this.retryServerErrors && status >= 500 && status < 600)
+      );
+    }
+
+    return this.retryNetworkErrors && isNetworkError && !failure.aborted;
+  }
+}
+
+/**
+ * Retry condition based on the error thrown by the failed attempt, see QueueInfo.failureReason.
+ */
+export class ErrorTypeRetryCondition extends IRetryCondition {
+  /**
+   * @param {(Function | string)[]} [errorTypes=[]] - error classes, or error names such as "TimeoutError", to retry on.
+   */
+  constructor(errorTypes = []) {
+    super();
+    this.errorTypes = errorTypes;
+  }
+
+  /**
+   * @override
+   * @param {UserCommand} command
+   * @param {QueueInfo} info
+   * @returns {boolean}
+   */
+  shouldRetry(command, info) {
+    const error = info.failureReason?.error;
+
+    if (!error) {
+      return false;
+    }
+
+    return this.errorTypes.some((errorType) =>
+      typeof errorType === "string"
+        ? error.name === errorType
+        : error instanceof errorType
+    );
+  }
+}
+
+/**
+ * Retries failed attempts whose detail is marked as `retryable`, e.g. the outcome reported by RestCommandExecutor.
+ */
+export class RetryableRetryCondition extends IRetryCondition {
+  /**
+   * @override
+   * @param {UserCommand} command
+   * @param {QueueInfo} info
+   * @returns {boolean}
+   */
+  shouldRetry(command, info) {
+    return info.failureReason?.detail?.retryable === true;
+  }
+}
+
+/**
+ * Retries only if every condition retries, delaying by the longest delay.
+ */
+export class AllRetryCondition extends IRetryCondition {
+  /**
+   * @param {IRetryCondition[]} [conditions=[]]
+   */
+  constructor(conditions = []) {
+    super();
+    this.conditions = conditions;
+  }
+
+  /**
+   * @override
+   * @param {UserCommand} command
+   * @param {QueueInfo} info
+   * @returns {boolean}
+   */
+  shouldRetry(command, info) {
+    return (
+      this.conditions.length > 0 &&
+      this.conditions.every((condition) => condition.shouldRetry(command, info))
+    );
+  }
+
+  /**
+   * @override
+   * @param {UserCommand} command
+   * @param {QueueInfo} info
+   * @returns {number}
+   */
+  getRetryDelay(command, info) {
+    return this.conditions.reduce(
+      (delay, condition) =>
+        Math.max(delay, condition.getRetryDelay?.(command, info) ?? 0),
+      0
+    );
+  }
+}
+
+/**
+ * Retries if any condition retries, delaying by the longest delay of those that retry.
+ */
+export class AnyRetryCondition extends IRetryCondition {
+  /**
+   * @param {IRetryCondition[]} [conditions=[]]
+   */
+  constructor(conditions = []) {
+    super();
+    this.conditions = conditions;
+  }
+
+  /**
+   * @override
+   * @param {UserCommand} command
+   * @param {QueueInfo} info
+   * @returns {boolean}
+   */
+  shouldRetry(command, info) {
+    return this.conditions.some((condition) =>
+      condition.shouldRetry(command, info)
+    );
+  }
+
+  /**
+   * @override
+   * @param {UserCommand} command
+   * @param {QueueInfo} info
+   * @returns {number}
+   */
+  getRetryDelay(command, info) {
+    return this.conditions
+      .filter((condition) => condition.shouldRetry(command, info))
+      .reduce(
+        (delay, condition) =>
+          Math.max(delay, condition.getRetryDelay?.(command, info) ?? 0),
+        0
+      );
+  }
+}
+
+/**
+ * Retries if the condition does not, e.g. to never retry on a 4xx within an AllRetryCondition.
+ */
+export class NotRetryCondition extends IRetryCondition {
+  /**
+   * @param {IRetryCondition} condition
+   */
+  constructor(condition) {
+    super();
+
+    if (!condition) {
+      throw new TypeError(
+        `${ErrorMessages.Exceptions.ArgumentUndefinedException}, "condition"`
+      );
+    }
+
+    this.condition = condition;
+  }
+
+  /**
+   * @override
+   * @param {UserCommand} command
+   * @param {QueueInfo} info
+   * @returns {boolean}
+   */
+  shouldRetry(command, info) {
+    return !this.condition.shouldRetry(command, info);
+  }
+}
+
+/**
+ * Enum for the jitter strategies applied to an exponential backoff delay.
+ * @readonly
+ * @enum {string}
+ */
+export const JitterType = Object.freeze({
+  // exact exponential delay.
+  None: "None",
+  // random delay between 0 and the exponential delay.
+  Full: "Full",
+  // half of the exponential delay plus a random delay up to the other half.
+  Equal: "Equal",
+  // random delay between base and 3x the previous delay.
+  Decorrelated: "Decorrelated",
+});
+
+/**
+ * Retry condition based on attempt number that also delays each retry
+ * using exponential backoff with jitter.
+ */
+export class ExponentialBackoffRetryCondition extends IRetryCondition {
+  /**
+   * @param {number} [retryCount=0]
+   * @param {{ baseDelayMs?: number, maxDelayMs?: number, jitter?: JitterType, random?: () => number }} [options]
+   */
+  constructor(
+    retryCount = 0,
+    {
+      baseDelayMs = 1000,
+      maxDelayMs = 30000,
+      jitter = JitterType.Full,
+      random = Math.random,
+    } = {}
+  ) {
+    super();
+
+    if (!Object.values(JitterType).includes(/** @type {any} */ (jitter))) {
+      throw new Error(`jitter ${ErrorMessages.Exceptions.ValueNotvalid}`);
+    }
+
+    this.retryCount = retryCount;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.jitter = jitter;
+    this.random = random;
+  }
+
+  /**
+   * @override
+   * @param {UserCommand} command
+   * @param {QueueInfo} info
+   * @returns {boolean}
+   */
+  shouldRetry(command, info) {
+    return info.attemptNo < this.retryCount;
+  }
+
+  /**
+   * @override
+   * @param {UserCommand} command
+   * @param {QueueInfo} info
+   * @returns {number}
+   */
+  getRetryDelay(command, info) {
+    const { baseDelayMs, maxDelayMs } = this;
+
+    // attemptNo is already incremented for the failed attempt, first retry uses the base delay.
+    const exponent = Math.max((info.attemptNo ?? 1) - 1, 0);
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** exponent);
+
+    switch (this.jitter) {
+      case JitterType.Full:
+        return Math.round(this.random() * delay);
+      case JitterType.Equal:
+        return Math.round(delay / 2 + (this.random() * delay) / 2);
+      case JitterType.Decorrelated: {
+        const previousDelay = info.retryDelayMs || baseDelayMs;
+        const upper = Math.max(previousDelay * 3, baseDelayMs);
+        return Math.round(
+          Math.min(maxDelayMs, baseDelayMs + this.random() * (upper - baseDelayMs))
+        );
+      }
+      default:
+        return delay;
+    }
+  }
+}
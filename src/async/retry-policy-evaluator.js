@@ -4,18 +4,38 @@
  *--------------------------------------------------------------------------------------------*/
 
 import { UserCommand } from "@/src/common/user-command.js";
+import { ErrorMessages } from "@/src/error/error-messages.js";
 import { QueueInfo } from "./queue-info.js";
 import { IRetryCondition } from "./retry-condition.js";
 
+/**
+ * Enum for how retry conditions are combined.
+ * For NOT, or nesting, see NotRetryCondition, AllRetryCondition and AnyRetryCondition.
+ * @readonly
+ * @enum {string}
+ */
+export const RetryPolicyMode = Object.freeze({
+  // retries if any condition retries.
+  Any: "Any",
+  // retries only if every condition retries.
+  All: "All",
+});
+
 /**
  * Evaluates whether a command should be retried based on retry conditions.
  */
 export class RetryPolicyEvaluator {
   /**
    * @param {IRetryCondition[]} [conditions=[]]
+   * @param {RetryPolicyMode} [mode=RetryPolicyMode.Any]
    */
-  constructor(conditions = []) {
+  constructor(conditions = [], mode = RetryPolicyMode.Any) {
+    if (!Object.values(RetryPolicyMode).includes(/** @type {any} */ (mode))) {
+      throw new Error(`mode ${ErrorMessages.Exceptions.ValueNotvalid}`);
+    }
+
     this.conditions = conditions;
+    this.mode = mode;
   }
 
   /**
@@ -25,8 +45,33 @@ export class RetryPolicyEvaluator {
    * @returns {boolean}
    */
   shouldRetry(command, info) {
-    return this.conditions.some((condition) =>
-      condition.shouldRetry(command, info)
+    /** @param {IRetryCondition} condition */
+    const retries = (condition) => condition.shouldRetry(command, info);
+
+    if (this.mode === RetryPolicyMode.All) {
+      return this.conditions.length > 0 && this.conditions.every(retries);
+    }
+
+    return this.conditions.some(retries);
+  }
+
+  /**
+   * Returns how long to wait before the next attempt, the longest delay requested
+   * by the conditions that retry in RetryPolicyMode.Any, or by all conditions in RetryPolicyMode.All.
+   * @param {UserCommand} command
+   * @param {QueueInfo} info
+   * @returns {number} delay in ms.
+   */
+  getRetryDelay(command, info) {
+    const conditions =
+      this.mode === RetryPolicyMode.Any
+        ? this.conditions.filter((condition) => condition.shouldRetry(command, info))
+        : this.conditions;
+
+    return conditions.reduce(
+      (delay, condition) =>
+        Math.max(delay, condition.getRetryDelay?.(command, info) ?? 0),
+      0
     );
   }
 
@@ -0,0 +1,80 @@
+/*---------------------------------------------------------------------------------------------
+ *  Copyright (c) wlvyr. All rights reserved.
+ *  Licensed under the MIT License. See License.txt in the project root for license information.
+ *--------------------------------------------------------------------------------------------*/
+
+import { ErrorMessages } from "@/src/error/error-messages.js";
+
+/**
+ * Token bucket rate limiter. Holds up to `tokens` tokens and refills
+ * continuously at `tokens` per `intervalMs`.
+ */
+export class TokenBucket {
+  /**
+   * @param {number} tokens - Bucket capacity, also the number of tokens refilled per interval.
+   * @param {number} intervalMs - Refill interval in milliseconds.
+   */
+  constructor(tokens, intervalMs) {
+    if (!(tokens > 0)) {
+      throw new TypeError(`tokens ${ErrorMessages.Exceptions.ValueNotvalid}`);
+    }
+
+    if (!(intervalMs > 0)) {
+      throw new TypeError(`intervalMs ${ErrorMessages.Exceptions.ValueNotvalid}`);
+    }
+
+    this.capacity = tokens;
+    this.intervalMs = intervalMs;
+    this.tokens = tokens;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Whether a token is available.
+   * @returns {boolean}
+   */
+  hasToken = () => {
+    this.#refill();
+    return this.tokens >= 1;
+  };
+
+  /**
+   * Takes a token if one is available.
+   * @returns {boolean} `true` if a token was taken.
+   */
+  tryTake = () => {
+    if (!this.hasToken()) {
+      return false;
+    }
+
+    this.tokens--;
+    return true;
+  };
+
+  /**
+   * Time until the next token is available.
+   * @returns {number} milliseconds, 0 if a token is already available.
+   */
+  msUntilNextToken = () => {
+    this.#refill();
+
+    if (this.tokens >= 1) {
+      return 0;
+    }
+
+    return Math.ceil(((1 - this.tokens) * this.intervalMs) / this.capacity);
+  };
+
+  #refill = () => {
+    const now = Date.now();
+    const elapsed = now - this.lastRefill;
+
+    if (elapsed > 0) {
+      this.tokens = Math.min(
+        this.capacity,
+        this.tokens + (elapsed * this.capacity) / this.intervalMs
+      );
+      this.lastRefill = now;
+    }
+  };
+}
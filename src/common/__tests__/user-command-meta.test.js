@@ -11,6 +11,12 @@ describe("UserCommandMeta", () => {
     expect(new Date(meta.timestamp).getTime()).not.toBeNaN();
     expect(meta.isPatch).toBe(false);
     expect(meta.isSensitiveData).toBe(false);
+    expect(meta.priority).toBeUndefined();
+    expect(meta.notBefore).toBeUndefined();
+    expect(meta.expiresAt).toBeUndefined();
+    expect(meta.dependsOn).toBeUndefined();
+    expect(meta.baseVersion).toBeUndefined();
+    expect(meta.idempotencyKey).toBe(meta.uuid);
 
   });
 
@@ -40,4 +46,21 @@ describe("UserCommandMeta", () => {
 
     expect(referenceId).toMatch(/^context1[0-9a-fA-F-]{36}$/);
   });
+
+  test("fromJSON keeps the uuid, timestamp and ReferenceId", () => {
+    const meta = new UserCommandMeta("resource1", "context1");
+    meta.dependsOn = ["other"];
+
+    const restored = UserCommandMeta.fromJSON(JSON.parse(JSON.stringify(meta)));
+
+    expect(restored).toBeInstanceOf(UserCommandMeta);
+    expect(restored).toEqual(meta);
+    expect(restored.ReferenceId).toBe(meta.ReferenceId);
+  });
+
+  test("fromJSON derives the idempotency key from the uuid of data saved without one", () => {
+    const restored = UserCommandMeta.fromJSON({ resourceId: "resource1", uuid: "u-1" });
+
+    expect(restored.idempotencyKey).toBe("u-1");
+  });
 });
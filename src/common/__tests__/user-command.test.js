@@ -31,6 +31,20 @@ describe("UserCommand", () => {
     expect(cmd2.meta.isPatch).toBe(cmd2ExpectedMeta.isPatch);
   });
 
+  describe("idempotencyKey", () => {
+    test("is derived from the meta uuid", () => {
+      const command = new UserCommand("TEST", {}, { resourceId: "res-id", uuid: "uuid-1" });
+
+      expect(command.meta.idempotencyKey).toBe("uuid-1");
+    });
+
+    test("keeps a given key, e.g. of a persisted command", () => {
+      const command = new UserCommand("TEST", {}, { resourceId: "res-id", uuid: "uuid-1", idempotencyKey: "key-1" });
+
+      expect(command.meta.idempotencyKey).toBe("key-1");
+    });
+  });
+
   describe("executed", () => {
     test("invoking executed will resolve onExecute promise", async () => {
       const userCommand = new UserCommand("TEST_COMMAND");
@@ -52,4 +66,84 @@ describe("UserCommand", () => {
       newPromise.then(expectedResolve);
     });
   });
+
+  describe("getExecutionDetail", () => {
+    test("returns the detail given to executed", () => {
+      const userCommand = new UserCommand("TEST_COMMAND");
+      const response = { status: 503 };
+
+      userCommand.onExecute();
+      userCommand.executed(false, response);
+
+      expect(userCommand.getExecutionDetail()).toBe(response);
+    });
+
+    test("is cleared by resetExecution", () => {
+      const userCommand = new UserCommand("TEST_COMMAND");
+
+      userCommand.onExecute();
+      userCommand.executed(false, { status: 503 });
+      userCommand.resetExecution();
+
+      expect(userCommand.getExecutionDetail()).toBeUndefined();
+    });
+  });
+
+  describe("resetExecution", () => {
+    test("allows the command to be executed again", async () => {
+      const userCommand = new UserCommand("TEST_COMMAND");
+
+      userCommand.onExecute();
+      userCommand.executed(false);
+      await expect(userCommand.onExecute()).resolves.toBe(false);
+
+      userCommand.resetExecution();
+
+      const promise = userCommand.onExecute();
+      userCommand.executed(true);
+      await expect(promise).resolves.toBe(true);
+    });
+
+    test("does not discard a pending execution", async () => {
+      const userCommand = new UserCommand("TEST_COMMAND");
+
+      const promise = userCommand.onExecute();
+      userCommand.resetExecution();
+      userCommand.executed(true);
+
+      await expect(promise).resolves.toBe(true);
+    });
+  });
+
+  describe("toJSON and fromJSON", () => {
+    test("the execution result is not included", async () => {
+      const userCommand = new UserCommand("TEST", { name: "a" }, { resourceId: "res1" });
+      userCommand.onExecute();
+      userCommand.executed(false, { status: 500 });
+
+      const json = JSON.parse(JSON.stringify(userCommand));
+
+      expect(json).toEqual({
+        schemaVersion: UserCommand.schemaVersion,
+        type: "TEST",
+        payload: { name: "a" },
+        meta: expect.objectContaining({ resourceId: "res1", uuid: userCommand.meta.uuid }),
+      });
+    });
+
+    test("fromJSON restores the command", () => {
+      const userCommand = new UserCommand("TEST", { name: "a" }, { resourceId: "res1" });
+
+      const restored = UserCommand.fromJSON(JSON.parse(JSON.stringify(userCommand)));
+
+      expect(restored).toBeInstanceOf(UserCommand);
+      expect(restored.meta).toBeInstanceOf(UserCommandMeta);
+      expect(restored.meta.ReferenceId).toBe(userCommand.meta.ReferenceId);
+      expect(restored.payload).toEqual({ name: "a" });
+    });
+
+    test("fromJSON throws for invalid data", () => {
+      expect(() => UserCommand.fromJSON(undefined)).toThrow(TypeError);
+    });
+  });
 });
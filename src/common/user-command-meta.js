@@ -16,13 +16,64 @@ export class UserCommandMeta {
     this.contextId = contextId;
     this.uuid = crypto.randomUUID();
     this.timestamp = new Date().getTime();
+    // sent with network requests so the server can tell a retry from a new request, see Resource.
+    // stays the same across retries and, being persisted with the command, app restarts.
+    /** @type {string} */
+    this.idempotencyKey = this.uuid;
 
     this.isPatch = false;
     this.isSensitiveData = false;
+
+    // queue priority, 1 lowest and 10 highest. see QueuePriority.
+    /** @type {number | undefined} */
+    this.priority = undefined;
+
+    // overrides the queue consumer's timeoutMs for this command.
+    /** @type {number | undefined} */
+    this.timeoutMs = undefined;
+
+    // timestamp (ms) the command must not run before, e.g. a deferred send.
+    /** @type {number | undefined} */
+    this.notBefore = undefined;
+
+    // timestamp (ms) after which the command is dropped instead of run.
+    /** @type {number | undefined} */
+    this.expiresAt = undefined;
+
+    // ReferenceIds of commands that must succeed before this one runs.
+    /** @type {string[] | undefined} */
+    this.dependsOn = undefined;
+
+    // version, e.g. ETag, of the resource the command was made against, sent as If-Match.
+    // the server rejects it with 409 or 412 if the resource changed since, see IConflictResolver.
+    /** @type {string | undefined} */
+    this.baseVersion = undefined;
   }
 
   // unique id of command or action.
   get ReferenceId() {
     return `${this.contextId ?? ''}${this.resourceId ?? ''}${this.uuid}`;
   }
+
+  /**
+   * Returns the persisted fields, see UserCommand.toJSON. ReferenceId is derived from them.
+   * @returns {Record<string, any>}
+   */
+  toJSON() {
+    return { ...this };
+  }
+
+  /**
+   * Restores metadata saved with toJSON, keeping its uuid and timestamp.
+   * Data saved without an idempotency key gets the one derived from its uuid.
+   * @param {any} data
+   * @returns {UserCommandMeta}
+   */
+  static fromJSON(data) {
+    const { ReferenceId, ...fields } = data ?? {};
+    const meta = new UserCommandMeta(fields.resourceId, fields.contextId);
+    Object.assign(meta, fields);
+    meta.idempotencyKey = fields.idempotencyKey ?? meta.uuid;
+    return meta;
+  }
 }
@@ -10,10 +10,16 @@ import { UserCommandMeta } from "./user-command-meta.js";
  * Represents a user command to be executed.
  */
 export class UserCommand {
+  // version of the toJSON shape, increased when it changes.
+  static schemaVersion = 1;
+
+  // resourceId of commands created without one, they act on no particular resource.
+  static systemResourceId = "system";
+
   /**
    * @param {string} type - The type of command.
    * @param {object} [payload={}] - The command payload.
-   * @param {UserCommandMeta | { resourceId: string, contextId?: string, isPatch?: boolean, isSensitiveData?: boolean }} [meta={ resourceId: "system" }] - Metadata about the command.
+   * @param {UserCommandMeta | { resourceId: string, contextId?: string, isPatch?: boolean, isSensitiveData?: boolean, priority?: number, timeoutMs?: number, notBefore?: number, expiresAt?: number, dependsOn?: string[], idempotencyKey?: string, baseVersion?: string }} [meta={ resourceId: "system" }] - Metadata about the command.
    */
   constructor(type, payload = {}, meta = { resourceId: "system" }) {
     this.type = type; // command/action type
@@ -22,9 +28,11 @@ export class UserCommand {
     if (meta instanceof UserCommandMeta) {
       this.meta = meta;
     } else if (meta && typeof meta === "object" && !Array.isArray(meta)) {
-      const resourceId = meta.resourceId || "system"; // fallback
+      const resourceId = meta.resourceId || UserCommand.systemResourceId; // fallback
       const metadata = new UserCommandMeta(resourceId);
       Object.assign(metadata, meta);
+      // derived from the given uuid, if any.
+      metadata.idempotencyKey = meta.idempotencyKey ?? metadata.uuid;
       this.meta = metadata;
     } else {
       throw new Error(`meta ${ErrorMessages.Exceptions.ValueNotvalid}`);
@@ -36,6 +44,7 @@ export class UserCommand {
      * @property {Promise<boolean> | undefined} promise - The promise object that will be resolved.
      * @property {boolean} executed - Indicates whether the completion has occurred.
      * @property {boolean|undefined} result - result of the executed command.
+     * @property {any} detail - detail given with the result, e.g. the fetch Response.
      */
 
     /**
@@ -46,6 +55,7 @@ export class UserCommand {
       promise: undefined,
       executed: false,
       result: undefined,
+      detail: undefined,
     };
   }
 
@@ -72,9 +82,11 @@ export class UserCommand {
   /**
    * Resolves the UserCommand
    * @param {boolean} success
+   * @param {any} [detail] - e.g. the fetch Response, recorded as the failure reason of a failed command.
    */
-  executed = (success) => {
+  executed = (success, detail = undefined) => {
     if (this._onExecute.resolve) {
+      this._onExecute.detail = detail;
       this._onExecute.resolve(success);
       this._onExecute.executed = true;
       this._onExecute.result = success;
@@ -84,4 +96,73 @@ export class UserCommand {
       this._onExecute.promise = undefined;
     }
   };
+
+  /**
+   * Returns the detail given to `executed(success, detail)`, e.g. the fetch Response of a failed execution.
+   * @returns {any}
+   */
+  getExecutionDetail = () => this._onExecute.detail;
+
+  /**
+   * Clears the execution result so the command can be executed again, e.g. on retry.
+   * Has no effect while an execution is still pending.
+   */
+  resetExecution = () => {
+    if (this._onExecute.resolve) {
+      return;
+    }
+
+    this._onExecute.executed = false;
+    this._onExecute.result = undefined;
+    this._onExecute.detail = undefined;
+  };
+
+  /**
+   * Returns the command as data that can be persisted or sent to other tabs.
+   * The execution result is not included.
+   * @returns {{ schemaVersion: number, type: string, payload: object, meta: Record<string, any> }}
+   */
+  toJSON() {
+    return {
+      schemaVersion: UserCommand.schemaVersion,
+      type: this.type,
+      payload: this.payload,
+      meta: this.meta.toJSON(),
+    };
+  }
+
+  /**
+   * Restores a command saved with toJSON, or saved as is before toJSON existed.
+   * @param {any} data
+   * @returns {UserCommand}
+   * @throws {Error} If saved with a newer schema version.
+   */
+  static fromJSON(data) {
+    ensureSchemaVersion(data, UserCommand.schemaVersion);
+
+    return new UserCommand(
+      data.type,
+      data.payload,
+      UserCommandMeta.fromJSON(data.meta)
+    );
+  }
 }
+
+/**
+ * Data saved without a schemaVersion predates toJSON, and has the same fields.
+ * @param {any} data
+ * @param {number} schemaVersion - Latest supported version.
+ */
+export const ensureSchemaVersion = (data, schemaVersion) => {
+  if (!data || typeof data !== "object") {
+    throw new TypeError(`data ${ErrorMessages.Exceptions.ValueNotvalid}`);
+  }
+
+  const version = data?.schemaVersion ?? 0;
+
+  if (!Number.isInteger(version) || version < 0 || version > schemaVersion) {
+    throw new Error(
+      `${ErrorMessages.Exceptions.UnsupportedSchemaVersion}, "${data?.schemaVersion}"`
+    );
+  }
+};
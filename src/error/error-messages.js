@@ -14,6 +14,12 @@ export const ErrorMessages = {
     ArgumentNullException: undefined,
     ValueNotvalid: undefined,
     NotImplemented: undefined,
+    InvalidStatusTransition: undefined,
+    Timeout: undefined,
+    DependencyCycle: undefined,
+    DependencyFailed: undefined,
+    UnsupportedSchemaVersion: undefined,
+    MissingSchemaMigration: undefined,
   },
   Network: {
     Request: {
@@ -21,8 +27,11 @@ export const ErrorMessages = {
       QueryObjInvalid: undefined,
       BadRequest: undefined,
       Aborted: undefined,
+      // rest-command-executor.js, when a command type has no registered request.
+      UnregisteredCommandType: undefined,
     },
     NetworkError: undefined,
+    ServiceUnavailable: undefined,
   },
 };
 
@@ -0,0 +1,230 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import { ConnectivityMonitor, RestResource, resourceProbe } from "@wlvyr/common/network";
+import { ConsumerWaitReason, QueueCommand, QueueConsumer } from "@wlvyr/common/async";
+import { UserCommand } from "@wlvyr/common";
+
+describe("ConnectivityMonitor", () => {
+  let eventTarget;
+  let monitor;
+
+  beforeEach(() => {
+    eventTarget = new EventTarget();
+  });
+
+  afterEach(() => {
+    monitor?.stop();
+  });
+
+  describe("browser events", () => {
+    beforeEach(() => {
+      monitor = new ConnectivityMonitor({ eventTarget, navigator: { onLine: true } });
+      monitor.start();
+    });
+
+    it("should start from the navigator's state", () => {
+      expect(monitor.isOnline).toBe(true);
+      expect(new ConnectivityMonitor({ eventTarget, navigator: { onLine: false } }).isOnline).toBe(false);
+      expect(new ConnectivityMonitor({ eventTarget, navigator: undefined }).isOnline).toBe(true);
+    });
+
+    it("should follow online and offline events", () => {
+      const listener = jest.fn();
+      monitor.addOnChange(listener);
+
+      eventTarget.dispatchEvent(new Event("offline"));
+      expect(monitor.isOnline).toBe(false);
+      expect(monitor.consumeCondition()).toBe(false);
+
+      eventTarget.dispatchEvent(new Event("online"));
+      expect(monitor.isOnline).toBe(true);
+      expect(listener.mock.calls).toEqual([[false], [true]]);
+    });
+
+    it("should not notify listeners without a change", () => {
+      const listener = jest.fn();
+      monitor.addOnChange(listener);
+
+      eventTarget.dispatchEvent(new Event("online"));
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it("should stop listening once stopped", () => {
+      monitor.stop();
+
+      eventTarget.dispatchEvent(new Event("offline"));
+
+      expect(monitor.isOnline).toBe(true);
+    });
+  });
+
+  describe("probe", () => {
+    let probeAsync;
+
+    beforeEach(() => {
+      probeAsync = jest.fn(async () => true);
+      monitor = new ConnectivityMonitor({
+        eventTarget,
+        navigator: { onLine: true },
+        probeAsync,
+        probeIntervalMs: 1000,
+      });
+    });
+
+    it("should probe on start and every probeIntervalMs", async () => {
+      monitor.start();
+      expect(probeAsync).toHaveBeenCalledTimes(1);
+
+      probeAsync.mockResolvedValue(false);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(probeAsync).toHaveBeenCalledTimes(2);
+      expect(monitor.isOnline).toBe(false);
+    });
+
+    it("should confirm online events with the probe", async () => {
+      monitor.start();
+      eventTarget.dispatchEvent(new Event("offline"));
+
+      probeAsync.mockResolvedValue(false);
+      eventTarget.dispatchEvent(new Event("online"));
+      await jest.advanceTimersByTimeAsync(0);
+      expect(monitor.isOnline).toBe(false);
+
+      probeAsync.mockResolvedValue(true);
+      eventTarget.dispatchEvent(new Event("online"));
+      await jest.advanceTimersByTimeAsync(0);
+      expect(monitor.isOnline).toBe(true);
+    });
+
+    it("should be offline when the probe throws", async () => {
+      probeAsync.mockRejectedValue(new Error("unreachable"));
+
+      await expect(monitor.checkAsync()).resolves.toBe(false);
+      expect(monitor.isOnline).toBe(false);
+    });
+
+    it("should share a running probe", async () => {
+      await Promise.all([monitor.checkAsync(), monitor.checkAsync()]);
+
+      expect(probeAsync).toHaveBeenCalledTimes(1);
+    });
+
+    it("should stop probing once stopped", async () => {
+      monitor.start();
+      monitor.stop();
+
+      await jest.advanceTimersByTimeAsync(5000);
+
+      expect(probeAsync).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("attach", () => {
+    let consumeFunc;
+    let consumer;
+
+    beforeEach(() => {
+      consumeFunc = jest.fn();
+      consumer = new QueueConsumer(consumeFunc);
+      monitor = new ConnectivityMonitor({ eventTarget, navigator: { onLine: false } });
+      monitor.start();
+      monitor.attach(consumer);
+    });
+
+    afterEach(() => {
+      consumer.stop();
+    });
+
+    it("should hold commands while offline and wake the consumer once online", async () => {
+      consumer.enqueue(new QueueCommand(new UserCommand("action")));
+      consumer.start();
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(consumeFunc).not.toHaveBeenCalled();
+      expect(consumer.getState().waitReason).toBe(ConsumerWaitReason.Condition);
+
+      eventTarget.dispatchEvent(new Event("online"));
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(consumeFunc).toHaveBeenCalledTimes(1);
+    });
+
+    it("should add its consume condition once", () => {
+      monitor.attach(consumer);
+
+      expect(consumer.consumeConditions).toEqual([monitor.consumeCondition]);
+    });
+
+    it("should remove its consume condition on detach", async () => {
+      consumer.enqueue(new QueueCommand(new UserCommand("action")));
+      consumer.start();
+
+      monitor.detach(consumer);
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(consumer.consumeConditions).toEqual([]);
+      expect(consumeFunc).toHaveBeenCalledTimes(1);
+    });
+  });
+});
+
+describe("resourceProbe", () => {
+  it("should be online when the resource responds with any status", async () => {
+    const resource = { get: jest.fn(async () => ({ status: 503, ok: false })) };
+
+    await expect(resourceProbe(resource)()).resolves.toBe(true);
+    expect(resource.get).toHaveBeenCalledWith(undefined, expect.any(AbortSignal));
+  });
+
+  it("should be offline on a network error", async () => {
+    const resource = { get: jest.fn(async () => ({ status: undefined, ok: false })) };
+
+    await expect(resourceProbe(resource)()).resolves.toBe(false);
+  });
+
+  it("should abort a request exceeding timeoutMs", async () => {
+    let signal;
+    const resource = {
+      get: jest.fn((id, abortSignal) => {
+        signal = abortSignal;
+        return new Promise(() => {});
+      }),
+    };
+
+    resourceProbe(resource, 1000)();
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(signal.aborted).toBe(true);
+  });
+
+  describe("with a RestResource", () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it("should be offline when fetch rejects", async () => {
+      global.fetch = jest.fn(async () => {
+        throw new TypeError("fetch failed");
+      });
+
+      await expect(resourceProbe(new RestResource("url", "/health"))()).resolves.toBe(false);
+    });
+
+    it("should be offline when the request times out", async () => {
+      global.fetch = jest.fn(
+        (url, { signal }) =>
+          new Promise((resolve, reject) =>
+            signal.addEventListener("abort", () => reject(new Error("This operation was aborted")))
+          )
+      );
+
+      const probe = resourceProbe(new RestResource("url", "/health"), 1000)();
+      await jest.advanceTimersByTimeAsync(1000);
+
+      await expect(probe).resolves.toBe(false);
+    });
+  });
+});
@@ -1,5 +1,10 @@
 import { jest, describe, it, expect, afterEach } from "@jest/globals";
-import { timeout, sanitizefetchException } from "@wlvyr/common/network";
+import {
+  timeout,
+  sanitizefetchException,
+  isFetchException,
+  parseRetryAfter,
+} from "@wlvyr/common/network";
 import { ErrorMessages } from "@wlvyr/common/error";
 
 describe("network.util", () => {
@@ -47,6 +52,20 @@ describe("network.util", () => {
       jest.advanceTimersByTime(timeoutinMS);
     });
 
+    it("should not abort when the returned timer is cleared", () => {
+      let abortController = {
+        abort: jest.fn(),
+      };
+      jest.useFakeTimers();
+
+      const timeoutId = timeout(abortController, 1000);
+      clearTimeout(timeoutId);
+
+      jest.advanceTimersByTime(1000);
+
+      expect(abortController.abort).not.toHaveBeenCalled();
+    });
+
     it("should throw an error when argument is null", () => {
       let abortController = undefined;
       let timeInMs = undefined;
@@ -70,6 +89,28 @@ describe("network.util", () => {
     });
   });
 
+  describe("parseRetryAfter", () => {
+    it("should parse delta-seconds", () => {
+      expect(parseRetryAfter("120")).toBe(120000);
+      expect(parseRetryAfter(" 0 ")).toBe(0);
+    });
+
+    it("should parse an HTTP-date relative to now", () => {
+      const now = Date.parse("Wed, 21 Oct 2015 07:28:00 GMT");
+
+      expect(parseRetryAfter("Wed, 21 Oct 2015 07:28:30 GMT", now)).toBe(30000);
+      expect(parseRetryAfter("Wed, 21 Oct 2015 07:27:00 GMT", now)).toBe(0);
+    });
+
+    it("should return undefined for a missing or invalid value", () => {
+      expect(parseRetryAfter(undefined)).toBeUndefined();
+      expect(parseRetryAfter(null)).toBeUndefined();
+      expect(parseRetryAfter("")).toBeUndefined();
+      expect(parseRetryAfter("soon")).toBeUndefined();
+      expect(parseRetryAfter("-1")).toBeUndefined();
+    });
+  });
+
   describe("sanitizefetchException", () => {
     it("should return a NetworkError response with status undefined when NetworkError is in the message", () => {
       let error = { message: "NetworkError" };
@@ -101,4 +142,17 @@ describe("network.util", () => {
       expect(response.aborted).toBe(true);
     });
   });
+
+  describe("isFetchException", () => {
+    it("should be true for sanitized fetch exceptions of any status", () => {
+      expect(isFetchException(sanitizefetchException(new TypeError("Failed to fetch")))).toBe(true);
+      expect(isFetchException(sanitizefetchException({ message: "NetworkError" }))).toBe(true);
+    });
+
+    it("should be false for server responses", () => {
+      expect(isFetchException(new Response(null, { status: 400 }))).toBe(false);
+      expect(isFetchException({ status: 503, ok: false })).toBe(false);
+      expect(isFetchException(undefined)).toBe(false);
+    });
+  });
 });
@@ -1,6 +1,7 @@
 import { jest, describe, it, expect, beforeEach } from "@jest/globals";
 import { HttpMethods, Resource } from "@wlvyr/common/network";
 import { ErrorMessages } from "@wlvyr/common/error";
+import { CircuitBreaker, CircuitState } from "@wlvyr/common/async";
 
 describe("resource", () => {
   let validResource;
@@ -57,6 +58,31 @@ describe("resource", () => {
       expect(actualHeaders["Content-Type"]).toBe("application/json");
     });
 
+    it("should add the idempotency key header when a key is given", () => {
+      let resource = new Resource("baseUrl", "resource");
+
+      expect(resource.getHeaders("key-1")["Idempotency-Key"]).toBe("key-1");
+      expect(resource.getHeaders()["Idempotency-Key"]).toBeUndefined();
+      expect(resource.request.headers["Idempotency-Key"]).toBeUndefined();
+    });
+
+    it("should add the If-Match header when a version is given", () => {
+      let resource = new Resource("baseUrl", "resource");
+
+      expect(resource.getHeaders(undefined, '"v1"')["If-Match"]).toBe('"v1"');
+      expect(resource.getHeaders("key-1")["If-Match"]).toBeUndefined();
+      expect(resource.request.headers["If-Match"]).toBeUndefined();
+    });
+
+    it("should use the configured idempotency key header", () => {
+      let resource = new Resource("baseUrl", "resource", undefined, undefined, {
+        idempotencyKeyHeader: "X-Request-Id",
+      });
+
+      expect(resource.getHeaders("key-1")["X-Request-Id"]).toBe("key-1");
+      expect(resource.getHeaders("key-1")["Idempotency-Key"]).toBeUndefined();
+    });
+
     it("should use auth service if supplied.", () => {
       validResource.getHeaders();
       expect(mockedAuthService.addAuthorizationTo).toHaveBeenCalledTimes(1);
@@ -158,5 +184,52 @@ describe("resource", () => {
       expect(response.status).toBe(400);
       expect(response.message).toBe(ErrorMessages.Network.Request.BadRequest);
     });
+
+    it("should record the result in the circuit breaker", async () => {
+      const circuitBreaker = new CircuitBreaker({ minimumCalls: 1 });
+      const resource = new Resource("resource", "url", undefined, undefined, {
+        circuitBreaker,
+      });
+
+      await resource._tryAsync(() => {
+        throw { message: "some text NetworkError some text" };
+      });
+
+      expect(circuitBreaker.state).toBe(CircuitState.Open);
+    });
+
+    it("should record a rejected fetch as a failure in the circuit breaker", async () => {
+      const circuitBreaker = new CircuitBreaker({ minimumCalls: 1 });
+      const resource = new Resource("resource", "url", undefined, undefined, {
+        circuitBreaker,
+      });
+
+      // sanitized as a 400 BadRequest, as Chrome and Node do not name it a NetworkError.
+      const response = await resource._tryAsync(() => {
+        throw new TypeError("Failed to fetch");
+      });
+
+      expect(response.status).toBe(400);
+      expect(circuitBreaker.state).toBe(CircuitState.Open);
+    });
+
+    it("should return a 503 without fetching while the circuit breaker is open", async () => {
+      const circuitBreaker = new CircuitBreaker({ minimumCalls: 1 });
+      circuitBreaker.recordFailure();
+      const resource = new Resource("resource", "url", undefined, undefined, {
+        circuitBreaker,
+      });
+      const func = jest.fn();
+
+      const response = await resource._tryAsync(func);
+
+      expect(func).not.toHaveBeenCalled();
+      expect(response).toEqual({
+        status: 503,
+        message: ErrorMessages.Network.ServiceUnavailable,
+        aborted: false,
+        ok: false,
+      });
+    });
   });
 });
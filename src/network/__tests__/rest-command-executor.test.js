@@ -0,0 +1,223 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+import { HttpMethods, RestCommandExecutor, sanitizefetchException } from "@wlvyr/common/network";
+import { ErrorMessages } from "@wlvyr/common/error";
+import { UserCommand } from "@wlvyr/common";
+
+describe("RestCommandExecutor", () => {
+  let resource;
+  let executor;
+
+  const jsonResponse = (status, body, headers = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers({ "Content-Type": "application/json", ...headers }),
+    text: jest.fn(async () => (body === undefined ? "" : JSON.stringify(body))),
+  });
+
+  beforeEach(() => {
+    resource = {
+      get: jest.fn(async () => jsonResponse(200, { id: 1 })),
+      post: jest.fn(async () => jsonResponse(201, { id: 1 })),
+      put: jest.fn(async () => jsonResponse(200, { id: 1 })),
+      patch: jest.fn(async () => jsonResponse(200, { id: 1 })),
+      delete: jest.fn(async () => jsonResponse(204)),
+    };
+
+    executor = new RestCommandExecutor()
+      .register("create", { resource, method: HttpMethods.POST })
+      .register("rename", {
+        resource,
+        method: HttpMethods.PATCH,
+        idFrom: (userCommand) => userCommand.meta.resourceId,
+        bodyFrom: (userCommand) => ({ name: userCommand.payload.name }),
+      })
+      .register("remove", {
+        resource,
+        method: HttpMethods.DELETE,
+        idFrom: (userCommand) => userCommand.meta.resourceId,
+      });
+  });
+
+  describe("register", () => {
+    it("should throw without a type or resource", () => {
+      expect(() => executor.register("", { resource, method: HttpMethods.GET })).toThrow(TypeError);
+      expect(() => executor.register("type", { method: HttpMethods.GET })).toThrow(TypeError);
+    });
+
+    it("should throw for an unknown http method", () => {
+      expect(() => executor.register("type", { resource, method: "OPTIONS" })).toThrow(
+        `route.method ${ErrorMessages.Exceptions.ValueNotvalid}`
+      );
+    });
+
+    it("should unregister a type", () => {
+      expect(executor.unregister("create")).toBe(true);
+      expect(executor.unregister("create")).toBe(false);
+    });
+  });
+
+  describe("executeAsync", () => {
+    it("should post the payload with the command's idempotency key", async () => {
+      const userCommand = new UserCommand("create", { name: "a" }, { resourceId: "items" });
+      const signal = new AbortController().signal;
+
+      await executor.executeAsync(userCommand, signal);
+
+      expect(resource.post).toHaveBeenCalledWith({ name: "a" }, signal, userCommand.meta.idempotencyKey);
+    });
+
+    it("should use idFrom and bodyFrom", async () => {
+      const userCommand = new UserCommand("rename", { name: "b", other: 1 }, { resourceId: "item-1" });
+
+      await executor.executeAsync(userCommand);
+
+      expect(resource.patch).toHaveBeenCalledWith(
+        "item-1",
+        { name: "b" },
+        undefined,
+        userCommand.meta.idempotencyKey,
+        undefined
+      );
+    });
+
+    it("should send the command's base version", async () => {
+      const userCommand = new UserCommand("rename", { name: "b" }, { resourceId: "item-1", baseVersion: '"v1"' });
+
+      await executor.executeAsync(userCommand);
+
+      expect(resource.patch).toHaveBeenCalledWith(
+        "item-1",
+        { name: "b" },
+        undefined,
+        userCommand.meta.idempotencyKey,
+        '"v1"'
+      );
+    });
+
+    it("should report a successful outcome with the parsed body", async () => {
+      const userCommand = new UserCommand("create", { name: "a" });
+      const executed = userCommand.onExecute();
+
+      const outcome = await executor.executeAsync(userCommand);
+
+      expect(outcome).toEqual(
+        expect.objectContaining({ ok: true, status: 201, body: { id: 1 }, retryable: false })
+      );
+      await expect(executed).resolves.toBe(true);
+      expect(userCommand.getExecutionDetail()).toBe(outcome);
+    });
+
+    it("should report an empty body as undefined", async () => {
+      const outcome = await executor.executeAsync(new UserCommand("remove", {}, { resourceId: "item-1" }));
+
+      expect(outcome.ok).toBe(true);
+      expect(outcome.body).toBeUndefined();
+    });
+
+    it.each([
+      [503, true],
+      [429, true],
+      [408, true],
+      [400, false],
+      [404, false],
+      [409, false],
+    ])("should classify a %d response as retryable %s", async (status, retryable) => {
+      resource.post.mockResolvedValue(jsonResponse(status, { error: "e" }, { "Retry-After": "5" }));
+      const userCommand = new UserCommand("create");
+      const executed = userCommand.onExecute();
+
+      const outcome = await executor.executeAsync(userCommand);
+
+      expect(outcome.ok).toBe(false);
+      expect(outcome.retryable).toBe(retryable);
+      expect(outcome.headers.get("Retry-After")).toBe("5");
+      await expect(executed).resolves.toBe(false);
+    });
+
+    it("should classify network errors as retryable", async () => {
+      resource.post.mockResolvedValue({ status: undefined, message: "offline", aborted: false, ok: false });
+
+      const outcome = await executor.executeAsync(new UserCommand("create"));
+
+      expect(outcome).toEqual(
+        expect.objectContaining({ ok: false, status: undefined, message: "offline", retryable: true })
+      );
+    });
+
+    it("should classify failed fetches sanitized with a 400 as retryable network errors", async () => {
+      resource.post.mockResolvedValue(sanitizefetchException(new TypeError("Failed to fetch")));
+
+      const outcome = await executor.executeAsync(new UserCommand("create"));
+
+      expect(outcome).toEqual(
+        expect.objectContaining({ ok: false, status: undefined, retryable: true })
+      );
+    });
+
+    it("should use the given classification", async () => {
+      executor = new RestCommandExecutor(({ status }) => status === 409).register("create", {
+        resource,
+        method: HttpMethods.POST,
+      });
+      resource.post.mockResolvedValue(jsonResponse(409));
+
+      const outcome = await executor.executeAsync(new UserCommand("create"));
+
+      expect(outcome.retryable).toBe(true);
+    });
+
+    it("should fail permanently for an unregistered type", async () => {
+      const userCommand = new UserCommand("unknown");
+      const executed = userCommand.onExecute();
+
+      const outcome = await executor.executeAsync(userCommand);
+
+      expect(outcome.retryable).toBe(false);
+      expect(outcome.error.message).toContain(ErrorMessages.Network.Request.UnregisteredCommandType);
+      await expect(executed).resolves.toBe(false);
+    });
+
+    it("should fail permanently when building the request throws", async () => {
+      executor.register("broken", {
+        resource,
+        method: HttpMethods.PUT,
+        idFrom: () => {
+          throw new Error("no id");
+        },
+      });
+
+      const outcome = await executor.executeAsync(new UserCommand("broken"));
+
+      expect(outcome.error.message).toBe("no id");
+      expect(outcome.retryable).toBe(false);
+      expect(resource.put).not.toHaveBeenCalled();
+    });
+
+    it("should not report an aborted request", async () => {
+      const abortController = new AbortController();
+      resource.post.mockImplementation(async () => {
+        abortController.abort();
+        return { status: undefined, message: "aborted", aborted: true, ok: false };
+      });
+      const userCommand = new UserCommand("create");
+      userCommand.executed = jest.fn();
+
+      const outcome = await executor.executeAsync(userCommand, abortController.signal);
+
+      expect(outcome.aborted).toBe(true);
+      expect(userCommand.executed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("consumeFunc", () => {
+    it("should execute the command", async () => {
+      const userCommand = new UserCommand("create", { name: "a" });
+      const executed = userCommand.onExecute();
+
+      executor.consumeFunc(userCommand);
+
+      await expect(executed).resolves.toBe(true);
+      expect(resource.post).toHaveBeenCalled();
+    });
+  });
+});
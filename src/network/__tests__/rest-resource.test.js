@@ -81,6 +81,16 @@ describe("rest resource", () => {
       let actualPayload = global.fetch.mock.calls[0][1];
       expect(actualPayload.signal).toBe(signal);
     });
+
+    it("should send the idempotency key when provided", async () => {
+      await restResource.post({}, undefined, "key-1");
+
+      let actualPayload = global.fetch.mock.calls[0][1];
+      expect(actualPayload.headers).toStrictEqual({
+        ...defaultHeaders,
+        "Idempotency-Key": "key-1",
+      });
+    });
   });
   describe("put", () => {
     it("should use correct http method and headers", async () => {
@@ -105,6 +115,64 @@ describe("rest resource", () => {
 
       expect(actualPayload.signal).toBe(signal);
     });
+
+    it("should send the idempotency key when provided", async () => {
+      await restResource.put(1, {}, undefined, "key-1");
+
+      let actualPayload = global.fetch.mock.calls[0][1];
+      expect(actualPayload.headers["Idempotency-Key"]).toBe("key-1");
+    });
+
+    it("should send the base version as If-Match when provided", async () => {
+      await restResource.put(1, {}, undefined, "key-1", '"v1"');
+
+      let actualPayload = global.fetch.mock.calls[0][1];
+      expect(actualPayload.headers["If-Match"]).toBe('"v1"');
+    });
+  });
+  describe("patch", () => {
+    it("should use correct http method, url and body", async () => {
+      await restResource.patch(1, { name: "a" }, undefined, "key-1");
+
+      let actualUrl = global.fetch.mock.calls[0][0];
+      let actualPayload = global.fetch.mock.calls[0][1];
+
+      expect(actualUrl).toBe(`${restResource.Url}/1`);
+      expect(actualPayload.method).toBe(HttpMethods.PATCH);
+      expect(actualPayload.body).toBe(JSON.stringify({ name: "a" }));
+      expect(actualPayload.headers["Idempotency-Key"]).toBe("key-1");
+    });
+
+    it("should pass on abort signal to the fetch method", async () => {
+      let signal = {};
+
+      await restResource.patch(1, {}, signal);
+
+      let actualPayload = global.fetch.mock.calls[0][1];
+      expect(actualPayload.signal).toBe(signal);
+    });
+  });
+  describe("delete", () => {
+    it("should use correct http method and url, without a body", async () => {
+      await restResource.delete(1);
+
+      let actualUrl = global.fetch.mock.calls[0][0];
+      let actualPayload = global.fetch.mock.calls[0][1];
+
+      expect(actualUrl).toBe(`${restResource.Url}/1`);
+      expect(actualPayload.method).toBe(HttpMethods.DELETE);
+      expect(actualPayload.body).toBeUndefined();
+      expect(actualPayload.headers).toStrictEqual(defaultHeaders);
+    });
+
+    it("should pass on abort signal to the fetch method", async () => {
+      let signal = {};
+
+      await restResource.delete(1, signal);
+
+      let actualPayload = global.fetch.mock.calls[0][1];
+      expect(actualPayload.signal).toBe(signal);
+    });
   });
   describe("queryByGet", () => {
     it("should use correct http method and headers", async () => {
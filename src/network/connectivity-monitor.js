@@ -0,0 +1,212 @@
+/*---------------------------------------------------------------------------------------------
+ *  Copyright (c) wlvyr. All rights reserved.
+ *  Licensed under the MIT License. See License.txt in the project root for license information.
+ *--------------------------------------------------------------------------------------------*/
+
+import { QueueConsumer } from "@/src/async/queue-consumer.js";
+import { isFetchException, timeout } from "./network.util.js";
+import { RestResource } from "./rest-resource.js";
+
+/**
+ * @typedef {Object} ConnectivityMonitorOptions
+ * @property {() => Promise<boolean>} [probeAsync] - Active health check, e.g. `resourceProbe(resource)`.
+ * Confirms "online" events and is run every `probeIntervalMs`. Only browser events are used without it.
+ * @property {number} [probeIntervalMs=30000]
+ * @property {EventTarget} [eventTarget=window] - Dispatches the "online" and "offline" events.
+ * @property {{ onLine: boolean }} [navigator=globalThis.navigator] - Initial state, online if undefined.
+ */
+
+/**
+ * Creates a health check that is online while the resource responds, with any HTTP status.
+ * @param {RestResource} resource - e.g. a `/health` endpoint.
+ * @param {number} [timeoutMs=5000]
+ * @returns {() => Promise<boolean>}
+ */
+export const resourceProbe =
+  (resource, timeoutMs = 5000) =>
+  async () => {
+    const abortController = new AbortController();
+    const timeoutId = timeout(abortController, timeoutMs);
+
+    try {
+      const response = await resource.get(undefined, abortController.signal);
+      // sanitized fetch exceptions, e.g. network errors or the timeout's abort, did not reach the server.
+      return typeof response?.status === "number" && !isFetchException(response);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
+
+/**
+ * Tracks whether the app is online, from browser events and an optional health check,
+ * and wakes attached queue consumers when connectivity returns.
+ */
+export class ConnectivityMonitor {
+  /** @type {Set<(isOnline: boolean) => void>} */
+  #onChangeListeners = new Set();
+
+  /** @type {Set<QueueConsumer>} */
+  #consumers = new Set();
+
+  /** @type {ReturnType<typeof setInterval> | undefined} */
+  #probeTimer = undefined;
+
+  /** @type {Promise<boolean> | undefined} */
+  #probing = undefined;
+
+  // incremented by "offline" events, so results of probes started before are discarded.
+  #offlineEvents = 0;
+
+  #isStarted = false;
+
+  /**
+   * @param {ConnectivityMonitorOptions} [options={}]
+   */
+  constructor({
+    probeAsync = undefined,
+    probeIntervalMs = 30000,
+    eventTarget = typeof window !== "undefined" ? window : undefined,
+    navigator = globalThis.navigator,
+  } = {}) {
+    this.probeAsync = probeAsync;
+    this.probeIntervalMs = probeIntervalMs;
+    this.eventTarget = eventTarget;
+
+    this.isOnline = navigator?.onLine ?? true;
+  }
+
+  /**
+   * Can be used as a QueueConsumer consume condition, see `attach`.
+   * @returns {boolean}
+   */
+  consumeCondition = () => this.isOnline;
+
+  /** Starts listening to browser events and probing. */
+  start = () => {
+    if (this.#isStarted) {
+      return;
+    }
+
+    this.#isStarted = true;
+    this.eventTarget?.addEventListener("online", this.#onOnline);
+    this.eventTarget?.addEventListener("offline", this.#onOffline);
+
+    if (this.probeAsync) {
+      this.#probeTimer = setInterval(this.checkAsync, this.probeIntervalMs);
+      this.checkAsync();
+    }
+  };
+
+  stop = () => {
+    this.#isStarted = false;
+    this.eventTarget?.removeEventListener("online", this.#onOnline);
+    this.eventTarget?.removeEventListener("offline", this.#onOffline);
+    clearInterval(this.#probeTimer);
+    this.#probeTimer = undefined;
+  };
+
+  /**
+   * Runs the health check now, e.g. after a request failed with a network error.
+   * A failing or throwing check means offline. Without a check, the state is unchanged.
+   * @returns {Promise<boolean>} Whether online.
+   */
+  checkAsync = async () => {
+    if (!this.probeAsync) {
+      return this.isOnline;
+    }
+
+    const offlineEvents = this.#offlineEvents;
+
+    // a check already running answers for this one too.
+    const probing = (this.#probing ??= this.probeAsync()
+      .then((isOnline) => isOnline === true)
+      .catch(() => false)
+      .finally(() => {
+        if (this.#probing === probing) {
+          this.#probing = undefined;
+        }
+      }));
+
+    const isOnline = await probing;
+    if (offlineEvents !== this.#offlineEvents) {
+      return this.isOnline;
+    }
+
+    this.#setOnline(isOnline);
+    return isOnline;
+  };
+
+  /**
+   * Adds the consume condition to the consumer, which is woken on every change.
+   * @param {QueueConsumer} queueConsumer
+   */
+  attach = (queueConsumer) => {
+    if (!queueConsumer.consumeConditions.includes(this.consumeCondition)) {
+      queueConsumer.consumeConditions.push(this.consumeCondition);
+    }
+
+    this.#consumers.add(queueConsumer);
+  };
+
+  /**
+   * @param {QueueConsumer} queueConsumer
+   */
+  detach = (queueConsumer) => {
+    const index = queueConsumer.consumeConditions.indexOf(this.consumeCondition);
+    if (index !== -1) {
+      queueConsumer.consumeConditions.splice(index, 1);
+    }
+
+    this.#consumers.delete(queueConsumer);
+    queueConsumer.consumeConditionStateUpdatedEvtListenerAction();
+  };
+
+  /**
+   * Listens to connectivity changes, e.g. to show an offline banner.
+   * @param {(isOnline: boolean) => void} listener
+   */
+  addOnChange = (listener) => {
+    this.#onChangeListeners.add(listener);
+  };
+
+  /**
+   * @param {(isOnline: boolean) => void} listener
+   */
+  removeOnChange = (listener) => {
+    this.#onChangeListeners.delete(listener);
+  };
+
+  // the browser may report online without internet access, e.g. a captive portal.
+  #onOnline = () => {
+    if (this.probeAsync) {
+      this.checkAsync();
+    } else {
+      this.#setOnline(true);
+    }
+  };
+
+  #onOffline = () => {
+    this.#offlineEvents++;
+    this.#probing = undefined;
+    this.#setOnline(false);
+  };
+
+  /**
+   * @param {boolean} isOnline
+   */
+  #setOnline = (isOnline) => {
+    if (this.isOnline === isOnline) {
+      return;
+    }
+
+    this.isOnline = isOnline;
+
+    for (const queueConsumer of this.#consumers) {
+      queueConsumer.consumeConditionStateUpdatedEvtListenerAction();
+    }
+
+    for (const listener of this.#onChangeListeners) {
+      listener(isOnline);
+    }
+  };
+}
@@ -5,7 +5,14 @@
 
 export { AuthorizationType } from "./authorization-type.js";
 export { AuthenticationResource } from "./authentication-resource.js";
+export { ConnectivityMonitor, resourceProbe } from "./connectivity-monitor.js";
 export { Resource, HttpMethods } from "./resource.js";
 export { RestResource } from "./rest-resource.js";
+export { RestCommandExecutor } from "./rest-command-executor.js";
 export { TokenAuthorizationService } from "./token-authorization-service.js";
-export { timeout, sanitizefetchException } from "./network.util.js";
+export {
+  timeout,
+  sanitizefetchException,
+  isFetchException,
+  parseRetryAfter,
+} from "./network.util.js";
@@ -10,6 +10,7 @@ import { ErrorMessages } from "@/src/error/error-messages.js";
  *
  * @param {AbortController} abortController - An instance of AbortController to be aborted after timeout.
  * @param {number} timeinMs - Timeout duration in milliseconds after which the request will be aborted.
+ * @returns {ReturnType<typeof setTimeout>} The timer id, can be cleared with clearTimeout to not abort.
  * @throws Will throw an error if abortController is invalid or timeinMs is not provided.
  */
 export function timeout(abortController, timeinMs) {
@@ -21,7 +22,34 @@ export function timeout(abortController, timeinMs) {
     throw `timeinMs ${ErrorMessages.Exceptions.ValueNotvalid}`;
   }
 
-  setTimeout(() => abortController.abort(), timeinMs);
+  return setTimeout(() => abortController.abort(), timeinMs);
+}
+
+/**
+ * Parses a Retry-After header value, in either delta-seconds or HTTP-date form.
+ *
+ * @param {string | null | undefined} retryAfter - The Retry-After header value, e.g. "120" or "Wed, 21 Oct 2015 07:28:00 GMT".
+ * @param {number} [now=Date.now()] - Time an HTTP-date is relative to.
+ * @returns {number | undefined} Delay in milliseconds, 0 for a past date, or undefined if the value is missing or invalid.
+ */
+export function parseRetryAfter(retryAfter, now = Date.now()) {
+  if (typeof retryAfter !== "string" || !retryAfter.trim()) {
+    return undefined;
+  }
+
+  const value = retryAfter.trim();
+
+  if (/^\d+$/.test(value)) {
+    return Number(value) * 1000;
+  }
+
+  // HTTP-dates name the day and month, Date.parse alone also accepts e.g. "-1".
+  const date = /[a-z]/i.test(value) ? Date.parse(value) : NaN;
+  if (Number.isNaN(date)) {
+    return undefined;
+  }
+
+  return Math.max(date - now, 0);
 }
 
 /**
@@ -80,3 +108,18 @@ export function sanitizefetchException(error, requestName = undefined) {
     };
   }
 }
+
+/**
+ * Whether a request's result is a sanitized fetch exception, see sanitizefetchException, rather than a server response.
+ * Its status does not come from the server, e.g. a failed fetch in Chrome or Node is sanitized with status 400.
+ *
+ * @param {any} result - A fetch Response or sanitized fetch exception.
+ * @returns {boolean}
+ */
+export function isFetchException(result) {
+  return (
+    result?.ok === false &&
+    typeof result.message === "string" &&
+    typeof result.aborted === "boolean"
+  );
+}
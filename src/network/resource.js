@@ -5,6 +5,7 @@
 
 import { sanitizefetchException } from "./network.util.js";
 import { ErrorMessages } from "@/src/error/error-messages.js";
+import { CircuitBreaker } from "@/src/async/circuit-breaker.js";
 
 /**
  * Enum-like object representing standard HTTP methods.
@@ -49,13 +50,16 @@ export class Resource {
    *   addAuthorizationTo: (headers: object) => object 
    * }} [authService] - Optional authorization service that adds auth headers and wraps requests.
    * @param {object} [headers] - Optional headers to merge with the default headers.
+   * @param {{ circuitBreaker?: CircuitBreaker, idempotencyKeyHeader?: string }} [options] - `circuitBreaker` rejects requests while open, with a 503 response.
+   * `idempotencyKeyHeader` names the header idempotency keys are sent with, "Idempotency-Key" by default.
    * @throws Will throw if `baseUrl` or `resourcePath` is not provided.
    */
   constructor(
     baseUrl,
     resourcePath,
     authService = undefined,
-    headers = undefined
+    headers = undefined,
+    options = {}
   ) {
     if (!baseUrl) {
       throw ErrorMessages.Exceptions.ArgumentNullException + ", baseUrl";
@@ -77,6 +81,8 @@ export class Resource {
     };
 
     this.authService = authService;
+    this.circuitBreaker = options.circuitBreaker;
+    this.idempotencyKeyHeader = options.idempotencyKeyHeader ?? "Idempotency-Key";
   }
 
   /**
@@ -109,13 +115,24 @@ export class Resource {
   /**
    * Gets headers for a request, including any authorization headers if `authService` is defined.
    *
+   * @param {string} [idempotencyKey] - Optional key, e.g. a command's `meta.idempotencyKey`, sent in the `idempotencyKeyHeader`.
+   * @param {string} [ifMatch] - Optional version, e.g. an ETag or a command's `meta.baseVersion`, sent in the `If-Match` header.
    * @returns {object} Headers object.
    */
-  getHeaders = () => {
-    return (
-      this.authService?.addAuthorizationTo({ ...this.request.headers }) ??
-      this.request.headers
-    );
+  getHeaders = (idempotencyKey = undefined, ifMatch = undefined) => {
+    /** @type {Record<string, string>} */
+    let headers = this.request.headers;
+
+    if (idempotencyKey !== undefined) {
+      headers = { ...headers, [this.idempotencyKeyHeader]: idempotencyKey };
+    }
+
+    // the server rejects the request with 412 if the resource changed since.
+    if (ifMatch !== undefined) {
+      headers = { ...headers, "If-Match": ifMatch };
+    }
+
+    return this.authService?.addAuthorizationTo({ ...headers }) ?? headers;
   };
 
   // could probably turn this function into a utility method (without the 401 part)
@@ -127,6 +144,26 @@ export class Resource {
    * @returns {Promise<any>} Result of the API call or sanitized error.
    */
   _tryAsync = async (apiCallFuncAsync) => {
+    if (this.circuitBreaker) {
+      return await this.circuitBreaker.executeAsync(
+        () => this.#fetchAsync(apiCallFuncAsync),
+        () => ({
+          status: 503,
+          message: ErrorMessages.Network.ServiceUnavailable,
+          aborted: false,
+          ok: false,
+        })
+      );
+    }
+
+    return await this.#fetchAsync(apiCallFuncAsync);
+  };
+
+  /**
+   * @param {Function} apiCallFuncAsync
+   * @returns {Promise<any>} Result of the API call or sanitized error.
+   */
+  #fetchAsync = async (apiCallFuncAsync) => {
     try {
       if (this.authService) {
         return await this.authService.authorizedFetch(apiCallFuncAsync);
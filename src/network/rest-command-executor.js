@@ -0,0 +1,266 @@
+/*---------------------------------------------------------------------------------------------
+ *  Copyright (c) wlvyr. All rights reserved.
+ *  Licensed under the MIT License. See License.txt in the project root for license information.
+ *--------------------------------------------------------------------------------------------*/
+
+import { UserCommand } from "@/src/common/user-command.js";
+import { ErrorMessages } from "@/src/error/error-messages.js";
+import { isFetchException } from "./network.util.js";
+import { HttpMethods } from "./resource.js";
+import { RestResource } from "./rest-resource.js";
+
+/**
+ * @typedef {Object} RestCommandRoute
+ * @property {RestResource} resource
+ * @property {HttpMethods} method
+ * @property {(userCommand: UserCommand) => string | number | undefined} [idFrom] - ID of the resource to GET, PUT, PATCH or DELETE, none by default.
+ * @property {(userCommand: UserCommand) => object} [bodyFrom] - Body to POST, PUT or PATCH, the command's payload by default.
+ */
+
+/**
+ * Outcome of a command's request, reported with `userCommand.executed(outcome.ok, outcome)`
+ * and recorded in `queueInfo.failureReason.detail` on failure.
+ * @typedef {Object} RestCommandOutcome
+ * @property {boolean} ok
+ * @property {number | undefined} status - HTTP status, undefined if the request did not reach the server,
+ * e.g. a failed fetch sanitized with status 400, see isFetchException.
+ * @property {any} body - Parsed JSON, or text, of the response. undefined if empty.
+ * @property {Headers | undefined} headers
+ * @property {string | undefined} message - Message of a failed request, see sanitizefetchException.
+ * @property {boolean} aborted
+ * @property {boolean} retryable - Whether a failed request may succeed when retried.
+ * @property {any} error - Error thrown while building the request, if any.
+ */
+
+/**
+ * Whether a failed request may succeed when retried,
+ * on network errors, 408, 429 and 5xx.
+ * @param {RestCommandOutcome} outcome
+ * @returns {boolean}
+ */
+const isRetryableOutcome = ({ status, aborted, error }) => {
+  if (error || aborted) {
+    return false;
+  }
+
+  if (status === undefined) {
+    return true;
+  }
+
+  return status === 408 || status === 429 || status >= 500;
+};
+
+/**
+ * @param {any} response
+ * @returns {Promise<any>}
+ */
+const readBodyAsync = async (response) => {
+  if (typeof response?.text !== "function") {
+    return undefined;
+  }
+
+  let text;
+  try {
+    text = await response.text();
+  } catch {
+    return undefined;
+  }
+
+  if (!text) {
+    return undefined;
+  }
+
+  try {
+    return response.headers?.get?.("Content-Type")?.includes("json")
+      ? JSON.parse(text)
+      : text;
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * Executes user commands with the RestResource call registered for their type.
+ */
+export class RestCommandExecutor {
+  /** @type {Map<string, RestCommandRoute>} */
+  #routes = new Map();
+
+  /**
+   * @param {(outcome: RestCommandOutcome) => boolean} [isRetryable] - Classifies failed requests,
+   * defaults to network errors, 408, 429 and 5xx.
+   */
+  constructor(isRetryable = isRetryableOutcome) {
+    this.isRetryable = isRetryable;
+  }
+
+  /**
+   * Maps a command type to a resource call.
+   * @param {string} type - see UserCommand.type.
+   * @param {RestCommandRoute} route
+   * @returns {RestCommandExecutor} This executor, for chaining.
+   */
+  register = (type, route) => {
+    if (!type) {
+      throw new TypeError(
+        `${ErrorMessages.Exceptions.ArgumentUndefinedException}, "type"`
+      );
+    }
+
+    if (!route?.resource) {
+      throw new TypeError(
+        `${ErrorMessages.Exceptions.ArgumentUndefinedException}, "route.resource"`
+      );
+    }
+
+    const methods = /** @type {string[]} */ (Object.values(HttpMethods));
+    if (!methods.includes(route.method)) {
+      throw new TypeError(
+        `route.method ${ErrorMessages.Exceptions.ValueNotvalid}`
+      );
+    }
+
+    this.#routes.set(type, route);
+    return this;
+  };
+
+  /**
+   * @param {string} type
+   * @returns {boolean} `false` if the type was not registered.
+   */
+  unregister = (type) => this.#routes.delete(type);
+
+  /**
+   * Can be given to QueueConsumer as its consumeFunc.
+   * @param {UserCommand} userCommand
+   * @param {AbortSignal} [abortSignal]
+   */
+  consumeFunc = (userCommand, abortSignal = undefined) => {
+    this.executeAsync(userCommand, abortSignal);
+  };
+
+  /**
+   * Sends the request registered for the command's type, with its `meta.idempotencyKey`
+   * and, for PUT, PATCH and DELETE, its `meta.baseVersion` as If-Match, and reports the outcome with `userCommand.executed(outcome.ok, outcome)`.
+   * An aborted request is not reported, the queue consumer aborts attempts it already ended, e.g. timed out.
+   * @param {UserCommand} userCommand
+   * @param {AbortSignal} [abortSignal]
+   * @returns {Promise<RestCommandOutcome>}
+   */
+  executeAsync = async (userCommand, abortSignal = undefined) => {
+    const route = this.#routes.get(userCommand.type);
+
+    const outcome = route
+      ? await this.#requestAsync(route, userCommand, abortSignal)
+      : this.#toFailedOutcome(
+          new Error(
+            `${ErrorMessages.Network.Request.UnregisteredCommandType}, "${userCommand.type}"`
+          )
+        );
+
+    if (!outcome.aborted && !abortSignal?.aborted) {
+      userCommand.executed(outcome.ok, outcome);
+    }
+
+    return outcome;
+  };
+
+  /**
+   * @param {RestCommandRoute} route
+   * @param {UserCommand} userCommand
+   * @param {AbortSignal | undefined} abortSignal
+   * @returns {Promise<RestCommandOutcome>}
+   */
+  #requestAsync = async (route, userCommand, abortSignal) => {
+    const {
+      resource,
+      method,
+      idFrom,
+      bodyFrom = (command) => command.payload,
+    } = route;
+
+    let response;
+    try {
+      const id = /** @type {string | number} */ (idFrom?.(userCommand));
+      const idempotencyKey = userCommand.meta?.idempotencyKey;
+      const baseVersion = userCommand.meta?.baseVersion;
+
+      switch (method) {
+        case HttpMethods.GET:
+          response = await resource.get(id, abortSignal);
+          break;
+        case HttpMethods.POST:
+          response = await resource.post(
+            bodyFrom(userCommand),
+            abortSignal,
+            idempotencyKey
+          );
+          break;
+        case HttpMethods.PUT:
+          response = await resource.put(
+            id,
+            bodyFrom(userCommand),
+            abortSignal,
+            idempotencyKey,
+            baseVersion
+          );
+          break;
+        case HttpMethods.PATCH:
+          response = await resource.patch(
+            id,
+            bodyFrom(userCommand),
+            abortSignal,
+            idempotencyKey,
+            baseVersion
+          );
+          break;
+        default:
+          response = await resource.delete(
+            id,
+            abortSignal,
+            idempotencyKey,
+            baseVersion
+          );
+      }
+    } catch (error) {
+      // e.g. thrown by idFrom or bodyFrom, fetch exceptions are sanitized by the resource.
+      return this.#toFailedOutcome(error);
+    }
+
+    const anyResponse = /** @type {any} */ (response);
+    const reachedServer = !isFetchException(anyResponse);
+
+    /** @type {RestCommandOutcome} */
+    const outcome = {
+      ok: anyResponse?.ok === true,
+      status:
+        reachedServer && typeof anyResponse?.status === "number"
+          ? anyResponse.status
+          : undefined,
+      body: await readBodyAsync(anyResponse),
+      headers: anyResponse?.headers,
+      message: anyResponse?.message,
+      aborted: anyResponse?.aborted === true,
+      retryable: false,
+      error: undefined,
+    };
+
+    outcome.retryable = !outcome.ok && this.isRetryable(outcome);
+    return outcome;
+  };
+
+  /**
+   * @param {any} error
+   * @returns {RestCommandOutcome}
+   */
+  #toFailedOutcome = (error) => ({
+    ok: false,
+    status: undefined,
+    body: undefined,
+    headers: undefined,
+    message: error?.message,
+    aborted: false,
+    retryable: false,
+    error,
+  });
+}
@@ -7,7 +7,7 @@ import { HttpMethods, Resource } from "./resource.js";
 
 /**
  * A RESTful resource abstraction that extends the base `Resource` class.
- * Provides convenience methods for common HTTP operations: GET, POST, PUT, and query by GET/POST.
+ * Provides convenience methods for common HTTP operations: GET, POST, PUT, PATCH, DELETE, and query by GET/POST.
  */
 export class RestResource extends Resource {
   /**
@@ -20,14 +20,16 @@ export class RestResource extends Resource {
    *   addAuthorizationTo: (headers: object) => object
    * }} [authService] - Optional authorization service that adds auth headers and wraps requests.
    * @param {object} [headers] - Optional headers to merge with the default headers.
+   * @param {{ circuitBreaker?: import("@/src/async/circuit-breaker.js").CircuitBreaker, idempotencyKeyHeader?: string }} [options] - see Resource.
    */
   constructor(
     baseUrl,
     resourcePath,
     authService = undefined,
-    headers = undefined
+    headers = undefined,
+    options = {}
   ) {
-    super(baseUrl, resourcePath, authService, headers);
+    super(baseUrl, resourcePath, authService, headers, options);
   }
 
   /**
@@ -60,15 +62,16 @@ export class RestResource extends Resource {
    *
    * @param {object} obj - The payload to send in the POST request.
    * @param {AbortSignal} [abortSignal] - Optional signal to abort the request.
+   * @param {string} [idempotencyKey] - Optional key letting the server ignore retries of an applied request, e.g. `meta.idempotencyKey`.
    * @returns {Promise<Response>} The fetch response.
    */
-  post = async (obj, abortSignal = undefined) => {
+  post = async (obj, abortSignal = undefined, idempotencyKey = undefined) => {
     let post = async () => {
       let response = await fetch(
         this.Url,
         this.constructPayload(
           HttpMethods.POST,
-          this.getHeaders(),
+          this.getHeaders(idempotencyKey),
           obj,
           abortSignal
         )
@@ -86,15 +89,17 @@ export class RestResource extends Resource {
    * @param {string | number} id - The identifier of the resource to update.
    * @param {object} obj - The payload to send in the PUT request.
    * @param {AbortSignal} [abortSignal] - Optional signal to abort the request.
+   * @param {string} [idempotencyKey] - see post.
+   * @param {string} [ifMatch] - Optional version the update was made against, e.g. `meta.baseVersion`, see Resource.getHeaders.
    * @returns {Promise<Response>} The fetch response.
    */
-  put = async (id, obj, abortSignal = undefined) => {
+  put = async (id, obj, abortSignal = undefined, idempotencyKey = undefined, ifMatch = undefined) => {
     let put = async () => {
       let response = await fetch(
         `${this.Url}/${id}`,
         this.constructPayload(
           HttpMethods.PUT,
-          this.getHeaders(),
+          this.getHeaders(idempotencyKey, ifMatch),
           obj,
           abortSignal
         )
@@ -106,6 +111,61 @@ export class RestResource extends Resource {
     return await this._tryAsync(put);
   };
 
+  /**
+   * Sends a PATCH request with a partial payload to update the resource with the given ID.
+   *
+   * @param {string | number} id - The identifier of the resource to update.
+   * @param {object} obj - The payload to send in the PATCH request.
+   * @param {AbortSignal} [abortSignal] - Optional signal to abort the request.
+   * @param {string} [idempotencyKey] - see post.
+   * @param {string} [ifMatch] - see put.
+   * @returns {Promise<Response>} The fetch response.
+   */
+  patch = async (id, obj, abortSignal = undefined, idempotencyKey = undefined, ifMatch = undefined) => {
+    let patch = async () => {
+      let response = await fetch(
+        `${this.Url}/${id}`,
+        this.constructPayload(
+          HttpMethods.PATCH,
+          this.getHeaders(idempotencyKey, ifMatch),
+          obj,
+          abortSignal
+        )
+      );
+
+      return response;
+    };
+
+    return await this._tryAsync(patch);
+  };
+
+  /**
+   * Sends a DELETE request for the resource with the given ID.
+   *
+   * @param {string | number} id - The identifier of the resource to delete.
+   * @param {AbortSignal} [abortSignal] - Optional signal to abort the request.
+   * @param {string} [idempotencyKey] - see post.
+   * @param {string} [ifMatch] - see put.
+   * @returns {Promise<Response>} The fetch response.
+   */
+  delete = async (id, abortSignal = undefined, idempotencyKey = undefined, ifMatch = undefined) => {
+    let remove = async () => {
+      let response = await fetch(
+        `${this.Url}/${id}`,
+        this.constructPayload(
+          HttpMethods.DELETE,
+          this.getHeaders(idempotencyKey, ifMatch),
+          undefined,
+          abortSignal
+        )
+      );
+
+      return response;
+    };
+
+    return await this._tryAsync(remove);
+  };
+
   /**
    * Sends a POST request with a query object to filter results.
    *
@@ -18,6 +18,7 @@ describe("EncryptedStorage", () => {
       loadAsync: jest.fn(),
       removeAsync: jest.fn(),
       loadByKeyPrefixAsync: jest.fn(),
+      loadEntriesByKeyPrefixAsync: jest.fn(),
     };
 
     encryptedStorage = new EncryptedStorage(mockCipher, mockStorage);
@@ -82,4 +83,21 @@ describe("EncryptedStorage", () => {
     });
     expect(result).toEqual(decryptedValues);
   });
+
+  test("loadEntriesByKeyPrefixAsync decrypts the value of each entry and keeps its key", async () => {
+    mockStorage.loadEntriesByKeyPrefixAsync.mockResolvedValue([
+      { key: "user:1", value: "enc1" },
+      { key: "user:2", value: { id: 2 } },
+    ]);
+    mockCipher.decryptAsync.mockResolvedValueOnce({ id: 1 });
+
+    const result = await encryptedStorage.loadEntriesByKeyPrefixAsync("user:");
+
+    expect(mockStorage.loadEntriesByKeyPrefixAsync).toHaveBeenCalledWith("user:");
+    expect(mockCipher.decryptAsync).toHaveBeenCalledTimes(1);
+    expect(result).toEqual([
+      { key: "user:1", value: { id: 1 } },
+      { key: "user:2", value: { id: 2 } },
+    ]);
+  });
 });
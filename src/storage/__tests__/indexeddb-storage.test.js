@@ -368,6 +368,49 @@ describe("IndexedDBStorage", () => {
       expect(callCount).toBeGreaterThanOrEqual(1); // At least one openCursor call
     });
 
+    test("loadEntriesByKeyPrefixAsync loads all objects with prefix along with their keys", async () => {
+      const cursorValues = [
+        { key: "test-1", value: { payload: { a: 1 } } },
+        { key: "test-2", value: { payload: { a: 2 } } },
+      ];
+      let cursorIndex = 0;
+
+      objectStoreMock.openCursor.mockImplementation(() => {
+        const cursorRequest = { onsuccess: null, onerror: null, result: null };
+
+        const triggerStep = () => {
+          cursorRequest.result =
+            cursorIndex < cursorValues.length
+              ? {
+                  ...cursorValues[cursorIndex],
+                  continue: () => {
+                    cursorIndex++;
+                    triggerStep();
+                  },
+                }
+              : null;
+
+          setTimeout(() => cursorRequest.onsuccess?.({ target: cursorRequest }), 0);
+        };
+
+        triggerStep();
+        return cursorRequest;
+      });
+
+      transactionMock.oncomplete = null;
+      dbMock.transaction.mockImplementation(() => transactionMock);
+
+      const promise = storage.loadEntriesByKeyPrefixAsync("test");
+      jest.advanceTimersByTime(10);
+      setTimeout(() => transactionMock.oncomplete?.(), 50);
+      jest.advanceTimersByTime(200);
+
+      await expect(promise).resolves.toEqual([
+        { key: "test-1", value: { a: 1 } },
+        { key: "test-2", value: { a: 2 } },
+      ]);
+    });
+
     test("methods throw if db not initialized", async () => {
       storage.db = undefined;
       await expect(storage.saveAsync("key", {})).rejects.toThrow(
@@ -84,4 +84,24 @@ export class EncryptedStorage extends IStorage {
       })
     );
   }
+
+  /**
+   * Loads all objects whose keys start with the specified prefix, along with their keys.
+   *
+   * @param {string} keyPrefix - Prefix used to match keys.
+   * @returns {Promise<{ key: string, value: Object }[]>} Resolves to the keys and deserialized objects.
+   */
+  async loadEntriesByKeyPrefixAsync(keyPrefix) {
+    const encryptedEntries = await this.storage.loadEntriesByKeyPrefixAsync(keyPrefix);
+
+    return await Promise.all(
+      encryptedEntries.map(async ({ key, value }) => ({
+        key,
+        value:
+          typeof value === "string"
+            ? await this.cipher.decryptAsync(String(value))
+            : value,
+      }))
+    );
+  }
 }
@@ -125,9 +125,21 @@ export class IndexedDBStorage extends IStorage {
    * @returns {Promise<Array<any>>} - A promise that resolves to an array of payloads.
    */
   async loadByKeyPrefixAsync(keyPrefix) {
+    const entries = await this.loadEntriesByKeyPrefixAsync(keyPrefix);
+    return entries.map((entry) => entry.value);
+  }
+
+  /**
+   * Loads all items with keys that start with the given prefix, along with their keys,
+   * using batched cursor iteration.
+   *
+   * @param {string} keyPrefix - The key prefix to search for.
+   * @returns {Promise<Array<{ key: string, value: any }>>} - A promise that resolves to the keys and payloads.
+   */
+  async loadEntriesByKeyPrefixAsync(keyPrefix) {
     this.#ensureDbInitialized();
 
-    /** @type {Array<any>} */
+    /** @type {Array<{ key: string, value: any }>} */
     const results = [];
     const batchSize = 50;
 
@@ -163,7 +175,7 @@ export class IndexedDBStorage extends IStorage {
 
           // if not while, cursor.continue will wait for the next onsuccess.
           if (cursor && count < batchSize) {
-            results.push(cursor.value.payload);
+            results.push({ key: String(cursor.key), value: cursor.value.payload });
             lastKey = cursor.key;
             count++;
             cursor.continue();
@@ -56,4 +56,17 @@ export class IStorage {
   async loadByKeyPrefixAsync(keyPrefix) {
     throw new Error("Not implemented");
   }
+
+  /**
+   * Loads all objects whose keys start with the specified prefix, along with their keys.
+   *
+   * Useful to remove or replace the objects loaded, e.g. ones that can't be read.
+   *
+   * @param {string} keyPrefix - Prefix used to match keys.
+   * @returns {Promise<{ key: string, value: Object }[]>} Resolves to the keys and deserialized objects.
+   * @throws {Error} Always throws unless implemented in a subclass.
+   */
+  async loadEntriesByKeyPrefixAsync(keyPrefix) {
+    throw new Error("Not implemented");
+  }
 }
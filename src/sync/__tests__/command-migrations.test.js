@@ -0,0 +1,70 @@
+import { CommandMigrations } from "@wlvyr/common/sync";
+import { QueueCommand } from "@wlvyr/common/async";
+import { ErrorMessages } from "@wlvyr/common/error";
+
+describe("CommandMigrations", () => {
+  test("upgrades to the current QueueCommand schema version by default", () => {
+    expect(new CommandMigrations().schemaVersion).toBe(QueueCommand.schemaVersion);
+  });
+
+  test("upgrades records saved before toJSON existed", async () => {
+    const record = { command: { type: "TEST" }, queueInfo: {} };
+
+    await expect(new CommandMigrations().migrateAsync(record)).resolves.toEqual({
+      ...record,
+      schemaVersion: 1,
+    });
+  });
+
+  test("returns current records as is", async () => {
+    const record = { schemaVersion: 1, command: {}, queueInfo: {} };
+
+    await expect(new CommandMigrations(1).migrateAsync(record)).resolves.toBe(record);
+  });
+
+  test("runs the registered migrations in order", async () => {
+    const migrations = new CommandMigrations(3)
+      .register(1, (record) => ({ ...record, schemaVersion: 2, renamed: record.name }))
+      .register(2, async ({ renamed, ...record }) => ({ ...record, schemaVersion: 3, title: renamed }));
+
+    await expect(
+      migrations.migrateAsync({ schemaVersion: 1, name: "a" })
+    ).resolves.toEqual({ schemaVersion: 3, name: "a", title: "a" });
+  });
+
+  test("throws when a migration is missing", async () => {
+    await expect(
+      new CommandMigrations(3).migrateAsync({ schemaVersion: 1 })
+    ).rejects.toThrow(ErrorMessages.Exceptions.MissingSchemaMigration);
+  });
+
+  test("throws when a migration does not increase the version", async () => {
+    const migrations = new CommandMigrations(2).register(1, (record) => record);
+
+    await expect(migrations.migrateAsync({ schemaVersion: 1 })).rejects.toThrow(
+      ErrorMessages.Exceptions.MissingSchemaMigration
+    );
+  });
+
+  test("throws for records of a newer version", async () => {
+    await expect(
+      new CommandMigrations(1).migrateAsync({ schemaVersion: 2 })
+    ).rejects.toThrow(ErrorMessages.Exceptions.UnsupportedSchemaVersion);
+  });
+
+  test("throws for invalid records", async () => {
+    const migrations = new CommandMigrations();
+
+    await expect(migrations.migrateAsync(null)).rejects.toThrow(TypeError);
+    await expect(migrations.migrateAsync({ schemaVersion: "1" })).rejects.toThrow(
+      ErrorMessages.Exceptions.UnsupportedSchemaVersion
+    );
+  });
+
+  test("register validates its arguments", () => {
+    const migrations = new CommandMigrations();
+
+    expect(() => migrations.register(-1, (record) => record)).toThrow(TypeError);
+    expect(() => migrations.register(1, undefined)).toThrow(TypeError);
+  });
+});
@@ -1,4 +1,10 @@
-import { CommandSyncOrchestrator } from "@wlvyr/common/sync";
+import {
+  CommandSyncOrchestrator,
+  InMemoryBroadcastChannel,
+  InMemoryLockManager,
+  PayloadIdMapper,
+  TabCoordinator,
+} from "@wlvyr/common/sync";
 import { QueueCommand, QueueStatus } from "@wlvyr/common/async";
 import { UserCommand } from "@wlvyr/common";
 
@@ -8,6 +14,7 @@ describe("CommandSyncOrchestrator", () => {
   let queueConsumerMock;
   let offlineStorageMock;
   let commandConsolidatorMock;
+  let deadLetterQueueMock;
   let orchestrator;
   const id = "test-id";
 
@@ -16,18 +23,29 @@ describe("CommandSyncOrchestrator", () => {
 
     queueConsumerMock = {
       enqueue: jest.fn(),
+      ensureCanEnqueue: jest.fn(),
+      holdDependents: jest.fn(),
+      cancelDependents: jest.fn(),
       remove: jest.fn(),
       stop: jest.fn(),
       start: jest.fn(),
+      pause: jest.fn(),
+      resume: jest.fn(),
     };
     offlineStorageMock = {
       saveAsync: jest.fn(),
       removeAsync: jest.fn(),
       loadByKeyPrefixAsync: jest.fn().mockReturnValue([]),
+      loadEntriesByKeyPrefixAsync: jest.fn().mockReturnValue([]),
     };
     commandConsolidatorMock = {
       consolidate: jest.fn((a, b) => a),
     };
+    deadLetterQueueMock = {
+      addAsync: jest.fn(),
+      getAsync: jest.fn(),
+      removeAsync: jest.fn(),
+    };
 
     let queueCommandPromiseResolve = undefined;
     const queueCommandPromise = new Promise((resolve) => {
@@ -37,14 +55,24 @@ describe("CommandSyncOrchestrator", () => {
     QueueCommand.mockImplementation((userCommand) => ({
       command: userCommand,
       queueInfo: { status: QueueStatus.Initial },
+      toJSON: jest.fn(() => ({ command: { meta: { ...userCommand.meta } } })),
       _onComplete: {
         resolve: queueCommandPromiseResolve,
         promise: queueCommandPromise
       },
       onComplete: jest.fn().mockImplementation(() => queueCommandPromise),
       completed: jest.fn().mockImplementation(() => queueCommandPromiseResolve(true)),
+      cancel: jest.fn(),
+      addOnStatusUpdate: jest.fn(),
+      removeOnStatusUpdate: jest.fn(),
     }));
 
+    QueueCommand.fromJSON.mockImplementation((data) => {
+      const queueCommand = new QueueCommand(data.command);
+      queueCommand.queueInfo = data.queueInfo;
+      return queueCommand;
+    });
+
     orchestrator = new CommandSyncOrchestrator(
       "test-id",
       queueConsumerMock,
@@ -59,20 +87,170 @@ describe("CommandSyncOrchestrator", () => {
     // Let the consumer try to process
     await jest.runOnlyPendingTimersAsync();
 
-    expect(offlineStorageMock.loadByKeyPrefixAsync).toHaveBeenCalledWith(
+    expect(offlineStorageMock.loadEntriesByKeyPrefixAsync).toHaveBeenCalledWith(
       `${id}-`
     );
     expect(orchestrator.initialized).toBe(true);
 
     // Calling again should not reload
-    offlineStorageMock.loadByKeyPrefixAsync.mockClear();
+    offlineStorageMock.loadEntriesByKeyPrefixAsync.mockClear();
 
     orchestrator.initializeAsync();
 
     // Let the consumer try to process
     await jest.runOnlyPendingTimersAsync();
 
-    expect(offlineStorageMock.loadByKeyPrefixAsync).not.toHaveBeenCalled();
+    expect(offlineStorageMock.loadEntriesByKeyPrefixAsync).not.toHaveBeenCalled();
+  });
+
+  test("initializeAsync enqueues loaded commands in creation order", async () => {
+    offlineStorageMock.loadEntriesByKeyPrefixAsync.mockReturnValue([
+      { key: `${id}-child`, value: { command: { meta: { resourceId: "child", timestamp: 2 } }, queueInfo: {} } },
+      { key: `${id}-parent`, value: { command: { meta: { resourceId: "parent", timestamp: 1 } }, queueInfo: {} } },
+    ]);
+
+    await orchestrator.initializeAsync();
+
+    expect(
+      queueConsumerMock.enqueue.mock.calls.map(([queueCommand]) => queueCommand.command.meta.resourceId)
+    ).toEqual(["parent", "child"]);
+  });
+
+  test("initializeAsync restores loaded commands, which are removed once completed", async () => {
+    const data = { schemaVersion: 1, command: { meta: { ReferenceId: "ref1", timestamp: 1 } }, queueInfo: {} };
+    offlineStorageMock.loadEntriesByKeyPrefixAsync.mockReturnValue([{ key: `${id}-ref1`, value: data }]);
+
+    await orchestrator.initializeAsync();
+
+    expect(QueueCommand.fromJSON).toHaveBeenCalledWith(data);
+    const [[queueCommand]] = queueConsumerMock.enqueue.mock.calls;
+
+    queueCommand.completed(true);
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(offlineStorageMock.removeAsync).toHaveBeenCalledWith(`${id}-ref1`);
+    expect(orchestrator.queueCommands.size).toBe(0);
+  });
+
+  test("initializeAsync removes loaded commands that already completed", async () => {
+    const data = {
+      schemaVersion: 1,
+      command: { meta: { ReferenceId: "ref1", timestamp: 1 } },
+      queueInfo: { status: QueueStatus.Succeeded },
+    };
+    offlineStorageMock.loadEntriesByKeyPrefixAsync.mockReturnValue([{ key: `${id}-ref1`, value: data }]);
+
+    await orchestrator.initializeAsync();
+
+    expect(queueConsumerMock.enqueue).not.toHaveBeenCalled();
+    expect(orchestrator.queueCommands.size).toBe(0);
+    expect(offlineStorageMock.removeAsync).toHaveBeenCalledWith(`${id}-ref1`);
+  });
+
+  test("initializeAsync quarantines commands that can't be enqueued", async () => {
+    const data = { schemaVersion: 1, command: { meta: { ReferenceId: "ref1", timestamp: 1 } }, queueInfo: {} };
+    offlineStorageMock.loadEntriesByKeyPrefixAsync.mockReturnValue([{ key: `${id}-ref1`, value: data }]);
+    queueConsumerMock.ensureCanEnqueue.mockImplementation(() => {
+      throw new Error("cycle");
+    });
+
+    await expect(orchestrator.initializeAsync()).resolves.not.toThrow();
+
+    expect(queueConsumerMock.enqueue).not.toHaveBeenCalled();
+    expect(orchestrator.queueCommands.size).toBe(0);
+    expect(offlineStorageMock.saveAsync).toHaveBeenCalledWith(
+      `quarantine-${id}-ref1`,
+      expect.objectContaining({ record: data, error: { name: "Error", message: "cycle" } })
+    );
+    expect(offlineStorageMock.removeAsync).toHaveBeenCalledWith(`${id}-ref1`);
+  });
+
+  test("initializeAsync saves migrated commands", async () => {
+    const data = { command: { meta: { ReferenceId: "ref1" } }, queueInfo: {} };
+    offlineStorageMock.loadEntriesByKeyPrefixAsync.mockReturnValue([{ key: `${id}-ref1`, value: data }]);
+
+    await orchestrator.initializeAsync();
+
+    expect(QueueCommand.fromJSON).toHaveBeenCalledWith({ ...data, schemaVersion: 1 });
+    expect(offlineStorageMock.saveAsync).toHaveBeenCalledWith(`${id}-ref1`, expect.anything());
+  });
+
+  test("initializeAsync quarantines commands that can't be migrated", async () => {
+    const meta = { resourceId: "res1", uuid: "uuid1", timestamp: 1 };
+    const unsupported = { schemaVersion: 99, command: { meta }, queueInfo: {} };
+    const supported = { schemaVersion: 1, command: { meta: { ReferenceId: "ref2", timestamp: 2 } }, queueInfo: {} };
+    offlineStorageMock.loadEntriesByKeyPrefixAsync.mockReturnValue([
+      { key: `${id}-res1uuid1`, value: unsupported },
+      { key: `${id}-ref2`, value: supported },
+    ]);
+
+    await expect(orchestrator.initializeAsync()).resolves.not.toThrow();
+
+    expect(queueConsumerMock.enqueue).toHaveBeenCalledTimes(1);
+    expect(offlineStorageMock.saveAsync).toHaveBeenCalledWith(`quarantine-${id}-res1uuid1`, {
+      referenceId: "res1uuid1",
+      record: unsupported,
+      error: { name: "Error", message: expect.stringContaining('"99"') },
+      quarantinedAt: expect.any(Number),
+    });
+    expect(offlineStorageMock.removeAsync).toHaveBeenCalledWith(`${id}-res1uuid1`);
+  });
+
+  test("initializeAsync quarantines records under their own storage key", async () => {
+    offlineStorageMock.loadEntriesByKeyPrefixAsync.mockReturnValue([
+      { key: `${id}-bad1`, value: { schemaVersion: 99 } },
+      { key: `${id}-bad2`, value: { schemaVersion: 99 } },
+    ]);
+
+    await orchestrator.initializeAsync();
+
+    expect(queueConsumerMock.enqueue).not.toHaveBeenCalled();
+    expect(offlineStorageMock.saveAsync).toHaveBeenCalledWith(
+      `quarantine-${id}-bad1`,
+      expect.objectContaining({ referenceId: "bad1" })
+    );
+    expect(offlineStorageMock.saveAsync).toHaveBeenCalledWith(
+      `quarantine-${id}-bad2`,
+      expect.objectContaining({ referenceId: "bad2" })
+    );
+    expect(offlineStorageMock.removeAsync).toHaveBeenCalledWith(`${id}-bad1`);
+    expect(offlineStorageMock.removeAsync).toHaveBeenCalledWith(`${id}-bad2`);
+  });
+
+  test("quarantined records can be listed and removed", async () => {
+    const quarantined = [{ referenceId: "ref1" }];
+    offlineStorageMock.loadByKeyPrefixAsync.mockReturnValue(quarantined);
+
+    await expect(orchestrator.listQuarantinedAsync()).resolves.toBe(quarantined);
+    expect(offlineStorageMock.loadByKeyPrefixAsync).toHaveBeenCalledWith(`quarantine-${id}-`);
+
+    await orchestrator.removeQuarantinedAsync("ref1");
+    expect(offlineStorageMock.removeAsync).toHaveBeenCalledWith(`quarantine-${id}-ref1`);
+  });
+
+  test("handleCommandAsync saves nothing for a command that can't be enqueued", async () => {
+    orchestrator.initialized = true;
+    queueConsumerMock.ensureCanEnqueue.mockImplementation(() => {
+      throw new Error("cycle");
+    });
+
+    await expect(
+      orchestrator.handleCommandAsync({ meta: { ReferenceId: "ref1" } })
+    ).rejects.toThrow("cycle");
+
+    expect(offlineStorageMock.saveAsync).not.toHaveBeenCalled();
+    expect(queueConsumerMock.enqueue).not.toHaveBeenCalled();
+    expect(orchestrator.queueCommands.size).toBe(0);
+  });
+
+  test("handleCommandAsync saves the serialized command", async () => {
+    const userCommand = { meta: { ReferenceId: "ref1" } };
+    orchestrator.initialized = true;
+
+    await orchestrator.handleCommandAsync(userCommand);
+
+    const [[queueCommand]] = queueConsumerMock.enqueue.mock.calls;
+    expect(offlineStorageMock.saveAsync).toHaveBeenCalledWith(`${id}-ref1`, queueCommand.toJSON());
   });
 
   test("throws if handleCommandAsync is called without initializeAsync", async () => {
@@ -137,6 +315,23 @@ describe("CommandSyncOrchestrator", () => {
     expect(queueConsumerMock.start).toHaveBeenCalled();
   });
 
+  test("handleCommandAsync consolidates patch commands waiting in the queue, not in-flight ones", async () => {
+    orchestrator.initialized = true;
+    const statuses = [QueueStatus.Deferred, QueueStatus.RetryScheduled, QueueStatus.Processing];
+
+    for (const status of statuses) {
+      const patchCommand = { meta: { isPatch: true, resourceId: status, ReferenceId: status } };
+      orchestrator.patchQueueCommands.set(status, {
+        queueInfo: { status },
+        command: { meta: patchCommand.meta },
+      });
+
+      await orchestrator.handleCommandAsync(patchCommand);
+    }
+
+    expect(commandConsolidatorMock.consolidate).toHaveBeenCalledTimes(2);
+  });
+
   test("handleCommandAsync does not fail if offlineStorage is undefined", async () => {
     orchestrator = new CommandSyncOrchestrator(
       "test-id",
@@ -209,6 +404,596 @@ describe("CommandSyncOrchestrator", () => {
     ).toBe(false); // safe even if meta.resourceId is undefined
   });
 
+  test("failed commands are moved to the dead-letter queue before removal", async () => {
+    orchestrator = new CommandSyncOrchestrator(
+      "test-id",
+      queueConsumerMock,
+      commandConsolidatorMock,
+      offlineStorageMock,
+      { deadLetterQueue: deadLetterQueueMock }
+    );
+
+    const userCommand = new UserCommand();
+    userCommand.meta = { isPatch: false, ReferenceId: "ref123" };
+    orchestrator.initialized = true;
+
+    orchestrator.handleCommandAsync(userCommand);
+    await jest.runOnlyPendingTimersAsync();
+
+    const queueCommand = queueConsumerMock.enqueue.mock.calls[0][0];
+    queueCommand.queueInfo.status = QueueStatus.Failed;
+    queueCommand._onComplete.resolve(false);
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(deadLetterQueueMock.addAsync).toHaveBeenCalledWith(queueCommand);
+    expect(offlineStorageMock.removeAsync).toHaveBeenCalledWith("test-id-ref123");
+  });
+
+  test("failed commands are removed even if dead-lettering or removing their record fails", async () => {
+    orchestrator = new CommandSyncOrchestrator(
+      "test-id",
+      queueConsumerMock,
+      commandConsolidatorMock,
+      offlineStorageMock,
+      { deadLetterQueue: deadLetterQueueMock }
+    );
+    deadLetterQueueMock.addAsync.mockRejectedValue(new Error("quota"));
+    offlineStorageMock.removeAsync.mockRejectedValue(new Error("quota"));
+
+    const userCommand = new UserCommand();
+    userCommand.meta = { isPatch: false, ReferenceId: "ref123" };
+    orchestrator.initialized = true;
+
+    await orchestrator.handleCommandAsync(userCommand);
+
+    const queueCommand = queueConsumerMock.enqueue.mock.calls[0][0];
+    queueCommand.queueInfo.status = QueueStatus.Failed;
+    queueCommand._onComplete.resolve(false);
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(offlineStorageMock.removeAsync).toHaveBeenCalledWith("test-id-ref123");
+    expect(orchestrator.queueCommands.size).toBe(0);
+    expect(queueConsumerMock.remove).toHaveBeenCalledWith(queueCommand);
+  });
+
+  test("cancelled commands are not moved to the dead-letter queue", async () => {
+    orchestrator = new CommandSyncOrchestrator(
+      "test-id",
+      queueConsumerMock,
+      commandConsolidatorMock,
+      offlineStorageMock,
+      { deadLetterQueue: deadLetterQueueMock }
+    );
+
+    const userCommand = new UserCommand();
+    userCommand.meta = { isPatch: false, ReferenceId: "ref123" };
+    orchestrator.initialized = true;
+
+    orchestrator.handleCommandAsync(userCommand);
+    await jest.runOnlyPendingTimersAsync();
+
+    const queueCommand = queueConsumerMock.enqueue.mock.calls[0][0];
+    queueCommand.queueInfo.status = QueueStatus.Cancelled;
+    queueCommand._onComplete.resolve(false);
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(deadLetterQueueMock.addAsync).not.toHaveBeenCalled();
+    expect(offlineStorageMock.removeAsync).toHaveBeenCalledWith("test-id-ref123");
+  });
+
+  test("expired commands are not moved to the dead-letter queue", async () => {
+    orchestrator = new CommandSyncOrchestrator(
+      "test-id",
+      queueConsumerMock,
+      commandConsolidatorMock,
+      offlineStorageMock,
+      { deadLetterQueue: deadLetterQueueMock }
+    );
+
+    const userCommand = new UserCommand();
+    userCommand.meta = { isPatch: false, ReferenceId: "ref123" };
+    orchestrator.initialized = true;
+
+    orchestrator.handleCommandAsync(userCommand);
+    await jest.runOnlyPendingTimersAsync();
+
+    const queueCommand = queueConsumerMock.enqueue.mock.calls[0][0];
+    queueCommand.queueInfo.status = QueueStatus.Expired;
+    queueCommand._onComplete.resolve(false);
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(deadLetterQueueMock.addAsync).not.toHaveBeenCalled();
+    expect(offlineStorageMock.removeAsync).toHaveBeenCalledWith("test-id-ref123");
+  });
+
+  test("handleCommandAsync saves the command's schedule", async () => {
+    const notBefore = Date.now() + 1000;
+    const expiresAt = Date.now() + 2000;
+    const userCommand = new UserCommand("remind", {}, { resourceId: "r1", notBefore, expiresAt });
+    orchestrator.initialized = true;
+
+    await orchestrator.handleCommandAsync(userCommand);
+
+    const saved = offlineStorageMock.saveAsync.mock.calls[0][1];
+    expect(saved.command.meta.notBefore).toBe(notBefore);
+    expect(saved.command.meta.expiresAt).toBe(expiresAt);
+  });
+
+  test("cancelAsync cancels the command and removes it from storage", async () => {
+    const userCommand = new UserCommand();
+    userCommand.meta = { isPatch: false, ReferenceId: "ref123" };
+    orchestrator.initialized = true;
+
+    await orchestrator.handleCommandAsync(userCommand);
+    const queueCommand = queueConsumerMock.enqueue.mock.calls[0][0];
+
+    await expect(orchestrator.cancelAsync("ref123", "user")).resolves.toBe(true);
+
+    expect(queueCommand.cancel).toHaveBeenCalledWith("user");
+    expect(offlineStorageMock.removeAsync).toHaveBeenCalledWith("test-id-ref123");
+    expect(queueConsumerMock.remove).toHaveBeenCalledWith(queueCommand);
+    expect(orchestrator.queueCommands.has(queueCommand)).toBe(false);
+  });
+
+  test("cancelAsync returns false for an unknown command", async () => {
+    orchestrator.initialized = true;
+
+    await expect(orchestrator.cancelAsync("unknown")).resolves.toBe(false);
+    expect(offlineStorageMock.removeAsync).not.toHaveBeenCalled();
+  });
+
+  test("successful commands are not moved to the dead-letter queue", async () => {
+    orchestrator = new CommandSyncOrchestrator(
+      "test-id",
+      queueConsumerMock,
+      commandConsolidatorMock,
+      offlineStorageMock,
+      { deadLetterQueue: deadLetterQueueMock }
+    );
+
+    const userCommand = new UserCommand();
+    userCommand.meta = { isPatch: false, ReferenceId: "ref123" };
+    orchestrator.initialized = true;
+
+    orchestrator.handleCommandAsync(userCommand);
+    await jest.runOnlyPendingTimersAsync();
+
+    const queueCommand = queueConsumerMock.enqueue.mock.calls[0][0];
+    queueCommand.completed(true);
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(deadLetterQueueMock.addAsync).not.toHaveBeenCalled();
+    expect(offlineStorageMock.removeAsync).toHaveBeenCalledWith("test-id-ref123");
+  });
+
+  test("requeueDeadLetterAsync moves a dead letter back into the queue", async () => {
+    orchestrator = new CommandSyncOrchestrator(
+      "test-id",
+      queueConsumerMock,
+      commandConsolidatorMock,
+      offlineStorageMock,
+      { deadLetterQueue: deadLetterQueueMock }
+    );
+    orchestrator.initialized = true;
+
+    deadLetterQueueMock.getAsync.mockResolvedValue({
+      referenceId: "ref123",
+      command: { type: "TEST", payload: { a: 1 }, meta: { resourceId: "res1" } },
+    });
+
+    await expect(orchestrator.requeueDeadLetterAsync("ref123")).resolves.toBe(true);
+
+    expect(deadLetterQueueMock.removeAsync).toHaveBeenCalledWith("ref123");
+    const queueCommand = queueConsumerMock.enqueue.mock.calls[0][0];
+    expect(queueCommand.command).toBeInstanceOf(UserCommand);
+    expect(queueCommand.command.type).toBe("TEST");
+    expect(queueCommand.command.payload).toEqual({ a: 1 });
+  });
+
+  test("requeueDeadLetterAsync keeps a dead letter that can't be queued", async () => {
+    orchestrator = new CommandSyncOrchestrator(
+      "test-id",
+      queueConsumerMock,
+      commandConsolidatorMock,
+      offlineStorageMock,
+      { deadLetterQueue: deadLetterQueueMock }
+    );
+    orchestrator.initialized = true;
+
+    deadLetterQueueMock.getAsync.mockResolvedValue({
+      referenceId: "ref123",
+      command: { type: "TEST", payload: { a: 1 }, meta: { resourceId: "res1" } },
+    });
+    offlineStorageMock.saveAsync.mockRejectedValue(new Error("quota"));
+
+    await expect(orchestrator.requeueDeadLetterAsync("ref123")).rejects.toThrow("quota");
+
+    expect(deadLetterQueueMock.removeAsync).not.toHaveBeenCalled();
+  });
+
+  test("requeueDeadLetterAsync returns false for an unknown dead letter", async () => {
+    orchestrator = new CommandSyncOrchestrator(
+      "test-id",
+      queueConsumerMock,
+      commandConsolidatorMock,
+      offlineStorageMock,
+      { deadLetterQueue: deadLetterQueueMock }
+    );
+    orchestrator.initialized = true;
+
+    deadLetterQueueMock.getAsync.mockResolvedValue(null);
+
+    await expect(orchestrator.requeueDeadLetterAsync("ref123")).resolves.toBe(false);
+    expect(queueConsumerMock.enqueue).not.toHaveBeenCalled();
+  });
+
+  describe("id mapping", () => {
+    let createCommand;
+    let updateCommand;
+    let childCommand;
+    let otherCommand;
+
+    beforeEach(() => {
+      orchestrator = new CommandSyncOrchestrator(
+        "test-id",
+        queueConsumerMock,
+        commandConsolidatorMock,
+        offlineStorageMock,
+        {
+          idMapper: new PayloadIdMapper(async (userCommand) =>
+            userCommand.type === "create" ? { clientId: "tmp-1", serverId: "srv-1" } : undefined
+          ),
+        }
+      );
+      orchestrator.initialized = true;
+
+      createCommand = new UserCommand("create", { id: "tmp-1" }, { resourceId: "tmp-1" });
+      updateCommand = new UserCommand("update", { id: "tmp-1", name: "a" }, { resourceId: "tmp-1" });
+      childCommand = new UserCommand("create", { parent: { id: "tmp-1" } }, {
+        resourceId: "child-1",
+        dependsOn: [updateCommand.meta.ReferenceId],
+      });
+      otherCommand = new UserCommand("update", { id: "other-1" }, { resourceId: "other-1" });
+    });
+
+    const handleAllAsync = async () => {
+      for (const userCommand of [createCommand, updateCommand, childCommand, otherCommand]) {
+        await orchestrator.handleCommandAsync(userCommand);
+      }
+      offlineStorageMock.saveAsync.mockClear();
+      return queueConsumerMock.enqueue.mock.calls.map(([queueCommand]) => queueCommand);
+    };
+
+    const succeed = (queueCommand) => {
+      const [[onStatusUpdate]] = queueCommand.addOnStatusUpdate.mock.calls;
+      onStatusUpdate(QueueStatus.Succeeded);
+    };
+
+    test("remaps the pending commands once a create command succeeds", async () => {
+      const [createQueueCommand] = await handleAllAsync();
+
+      succeed(createQueueCommand);
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(updateCommand.payload).toEqual({ id: "srv-1", name: "a" });
+      expect(updateCommand.meta.resourceId).toBe("srv-1");
+      expect(childCommand.payload).toEqual({ parent: { id: "srv-1" } });
+      expect(childCommand.meta.dependsOn).toEqual([updateCommand.meta.ReferenceId]);
+      expect(otherCommand.payload).toEqual({ id: "other-1" });
+      expect(orchestrator.idMappings.get("tmp-1")).toBe("srv-1");
+    });
+
+    test("saves the remapped commands under their new keys", async () => {
+      const [createQueueCommand, updateQueueCommand, childQueueCommand] = await handleAllAsync();
+      const previousUpdateKey = `test-id-${updateCommand.meta.ReferenceId}`;
+
+      succeed(createQueueCommand);
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(offlineStorageMock.removeAsync).toHaveBeenCalledWith(previousUpdateKey);
+      expect(offlineStorageMock.saveAsync).toHaveBeenCalledWith(
+        `test-id-${updateCommand.meta.ReferenceId}`,
+        updateQueueCommand.toJSON()
+      );
+      expect(offlineStorageMock.saveAsync).toHaveBeenCalledWith(
+        `test-id-${childCommand.meta.ReferenceId}`,
+        childQueueCommand.toJSON()
+      );
+      expect(offlineStorageMock.saveAsync).toHaveBeenCalledTimes(2);
+    });
+
+    test("pauses the consumer while remapping", async () => {
+      const [createQueueCommand] = await handleAllAsync();
+
+      succeed(createQueueCommand);
+      expect(queueConsumerMock.pause).toHaveBeenCalledWith("id-mapping");
+      expect(queueConsumerMock.resume).not.toHaveBeenCalled();
+
+      await jest.runOnlyPendingTimersAsync();
+      expect(queueConsumerMock.resume).toHaveBeenCalledWith("id-mapping");
+    });
+
+    test("notifies listeners of the mapping", async () => {
+      const listener = jest.fn();
+      orchestrator.addOnIdMapped(listener);
+      const [createQueueCommand] = await handleAllAsync();
+
+      succeed(createQueueCommand);
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(listener).toHaveBeenCalledWith({ clientId: "tmp-1", serverId: "srv-1" });
+    });
+
+    test("does not remap for commands that created no resource", async () => {
+      const listener = jest.fn();
+      orchestrator.addOnIdMapped(listener);
+      const [, updateQueueCommand] = await handleAllAsync();
+
+      succeed(updateQueueCommand);
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(updateCommand.payload).toEqual({ id: "tmp-1", name: "a" });
+      expect(offlineStorageMock.saveAsync).not.toHaveBeenCalled();
+      expect(listener).not.toHaveBeenCalled();
+      expect(queueConsumerMock.resume).toHaveBeenCalledWith("id-mapping");
+    });
+
+    test("resumes the consumer when remapping fails", async () => {
+      const [createQueueCommand] = await handleAllAsync();
+      orchestrator.idMapper.getIdMappingAsync = jest.fn().mockRejectedValue(new Error("unreadable"));
+
+      succeed(createQueueCommand);
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(updateCommand.payload).toEqual({ id: "tmp-1", name: "a" });
+      expect(queueConsumerMock.resume).toHaveBeenCalledWith("id-mapping");
+    });
+  });
+
+  describe("conflicts", () => {
+    let conflictResolverMock;
+    let userCommand;
+
+    beforeEach(() => {
+      conflictResolverMock = { resolveAsync: jest.fn() };
+      orchestrator = new CommandSyncOrchestrator(
+        "test-id",
+        queueConsumerMock,
+        commandConsolidatorMock,
+        offlineStorageMock,
+        { deadLetterQueue: deadLetterQueueMock, conflictResolver: conflictResolverMock }
+      );
+      orchestrator.initialized = true;
+
+      userCommand = new UserCommand("update", { name: "a" }, { resourceId: "item-1", baseVersion: '"v1"' });
+    });
+
+    const failAsync = async (status) => {
+      await orchestrator.handleCommandAsync(userCommand);
+
+      const queueCommand = queueConsumerMock.enqueue.mock.calls[0][0];
+      queueCommand.queueInfo.status = QueueStatus.Failed;
+      queueCommand.queueInfo.failureReason = { message: "failed", status };
+      for (const [onStatusUpdate] of queueCommand.addOnStatusUpdate.mock.calls) {
+        onStatusUpdate(QueueStatus.Failed);
+      }
+      queueCommand._onComplete.resolve(false);
+      await jest.runOnlyPendingTimersAsync();
+
+      return queueCommand;
+    };
+
+    test("enqueues the resolved command instead of dead-lettering a conflicting one", async () => {
+      const resolvedCommand = new UserCommand("update", { name: "a" }, { resourceId: "item-1" });
+      conflictResolverMock.resolveAsync.mockResolvedValue(resolvedCommand);
+      const onConflict = jest.fn();
+      orchestrator.addOnConflict(onConflict);
+
+      const queueCommand = await failAsync(412);
+
+      const conflict = { userCommand, failureReason: queueCommand.queueInfo.failureReason };
+      expect(conflictResolverMock.resolveAsync).toHaveBeenCalledWith(conflict);
+      expect(onConflict).toHaveBeenCalledWith(conflict, resolvedCommand);
+      expect(deadLetterQueueMock.addAsync).not.toHaveBeenCalled();
+      expect(queueConsumerMock.enqueue.mock.calls[1][0].command).toBe(resolvedCommand);
+    });
+
+    test("cancels the dependents of a conflicting command whose resolved command can't be queued", async () => {
+      conflictResolverMock.resolveAsync.mockResolvedValue(
+        new UserCommand("update", { name: "a" }, { resourceId: "item-1" })
+      );
+      offlineStorageMock.saveAsync
+        .mockResolvedValueOnce(undefined)
+        .mockRejectedValueOnce(new Error("quota"));
+
+      await failAsync(409);
+
+      expect(queueConsumerMock.enqueue).toHaveBeenCalledTimes(1);
+      expect(queueConsumerMock.cancelDependents).toHaveBeenCalledWith(userCommand.meta.ReferenceId);
+    });
+
+    test("holds the dependents of a conflicting command until it is resolved", async () => {
+      conflictResolverMock.resolveAsync.mockResolvedValue(
+        new UserCommand("update", { name: "a" }, { resourceId: "item-1" })
+      );
+
+      await failAsync(409);
+
+      expect(queueConsumerMock.holdDependents).toHaveBeenCalledWith(userCommand.meta.ReferenceId);
+      expect(queueConsumerMock.cancelDependents).not.toHaveBeenCalled();
+    });
+
+    test("drops a conflicting command the resolver resolves to nothing", async () => {
+      conflictResolverMock.resolveAsync.mockResolvedValue(undefined);
+
+      await failAsync(409);
+
+      expect(deadLetterQueueMock.addAsync).not.toHaveBeenCalled();
+      expect(queueConsumerMock.enqueue).toHaveBeenCalledTimes(1);
+      expect(offlineStorageMock.removeAsync).toHaveBeenCalledWith(`test-id-${userCommand.meta.ReferenceId}`);
+      expect(queueConsumerMock.cancelDependents).toHaveBeenCalledWith(userCommand.meta.ReferenceId);
+    });
+
+    test("dead-letters commands that failed otherwise or could not be resolved", async () => {
+      const queueCommand = await failAsync(500);
+
+      expect(conflictResolverMock.resolveAsync).not.toHaveBeenCalled();
+      expect(queueConsumerMock.holdDependents).not.toHaveBeenCalled();
+      expect(deadLetterQueueMock.addAsync).toHaveBeenCalledWith(queueCommand);
+    });
+
+    test("dead-letters conflicting commands the resolver throws for", async () => {
+      conflictResolverMock.resolveAsync.mockRejectedValue(new Error("offline"));
+
+      const queueCommand = await failAsync(409);
+
+      expect(deadLetterQueueMock.addAsync).toHaveBeenCalledWith(queueCommand);
+    });
+
+    test("advances the base version of pending commands of the resource once a command succeeds", async () => {
+      const nextCommand = new UserCommand("update", { name: "b" }, { resourceId: "item-1", baseVersion: '"v1"' });
+      const otherCommand = new UserCommand("update", { name: "c" }, { resourceId: "item-2", baseVersion: '"v1"' });
+      for (const command of [userCommand, nextCommand, otherCommand]) {
+        await orchestrator.handleCommandAsync(command);
+      }
+      offlineStorageMock.saveAsync.mockClear();
+
+      userCommand.onExecute();
+      userCommand.executed(true, new Response(null, { headers: { ETag: '"v2"' } }));
+      const queueCommand = queueConsumerMock.enqueue.mock.calls[0][0];
+      const [[onStatusUpdate]] = queueCommand.addOnStatusUpdate.mock.calls;
+      onStatusUpdate(QueueStatus.Succeeded);
+
+      expect(nextCommand.meta.baseVersion).toBe('"v2"');
+      expect(otherCommand.meta.baseVersion).toBe('"v1"');
+      expect(offlineStorageMock.saveAsync).toHaveBeenCalledTimes(1);
+      expect(offlineStorageMock.saveAsync).toHaveBeenCalledWith(
+        `test-id-${nextCommand.meta.ReferenceId}`,
+        expect.anything()
+      );
+    });
+
+    test("advances the base version of pending commands even if saving them fails", async () => {
+      const nextCommand = new UserCommand("update", { name: "b" }, { resourceId: "item-1", baseVersion: '"v1"' });
+      for (const command of [userCommand, nextCommand]) {
+        await orchestrator.handleCommandAsync(command);
+      }
+      offlineStorageMock.saveAsync.mockRejectedValue(new Error("quota exceeded"));
+
+      userCommand.onExecute();
+      userCommand.executed(true, new Response(null, { headers: { ETag: '"v2"' } }));
+      const [[onStatusUpdate]] = queueConsumerMock.enqueue.mock.calls[0][0].addOnStatusUpdate.mock.calls;
+      onStatusUpdate(QueueStatus.Succeeded);
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(nextCommand.meta.baseVersion).toBe('"v2"');
+      expect(offlineStorageMock.saveAsync).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe("tab coordination", () => {
+    let followerConsumerMock;
+    let leader;
+    let follower;
+
+    beforeEach(async () => {
+      const lockManager = new InMemoryLockManager();
+      const createChannel = (name) => new InMemoryBroadcastChannel(name);
+      const createTab = () => new TabCoordinator(id, { lockManager, createChannel });
+
+      followerConsumerMock = {
+        enqueue: jest.fn(),
+        ensureCanEnqueue: jest.fn(),
+        holdDependents: jest.fn(),
+        cancelDependents: jest.fn(),
+        remove: jest.fn(),
+        stop: jest.fn(),
+        start: jest.fn(),
+      };
+
+      // tabs share the offline storage.
+      leader = new CommandSyncOrchestrator(
+        id, queueConsumerMock, undefined, offlineStorageMock, { tabCoordinator: createTab() }
+      );
+      follower = new CommandSyncOrchestrator(
+        id, followerConsumerMock, undefined, offlineStorageMock, { tabCoordinator: createTab() }
+      );
+
+      await leader.initializeAsync();
+      await follower.initializeAsync();
+      leader.start();
+      follower.start();
+    });
+
+    afterEach(() => {
+      leader.dispose();
+      follower.dispose();
+    });
+
+    test("only the leader loads and consumes the saved commands", () => {
+      expect(leader.tabCoordinator.isLeader).toBe(true);
+      expect(offlineStorageMock.loadEntriesByKeyPrefixAsync).toHaveBeenCalledTimes(1);
+      expect(queueConsumerMock.start).toHaveBeenCalled();
+      expect(followerConsumerMock.start).not.toHaveBeenCalled();
+    });
+
+    test("a follower saves its commands and forwards them to the leader", async () => {
+      const userCommand = new UserCommand("create", { name: "a" }, { resourceId: "res1" });
+
+      await follower.handleCommandAsync(userCommand);
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(offlineStorageMock.saveAsync).toHaveBeenCalledWith(
+        `${id}-${userCommand.meta.ReferenceId}`,
+        expect.anything()
+      );
+      expect(followerConsumerMock.enqueue).not.toHaveBeenCalled();
+
+      const [[queueCommand]] = queueConsumerMock.enqueue.mock.calls;
+      expect(queueCommand.command).toBeInstanceOf(UserCommand);
+      expect(queueCommand.command.payload).toEqual({ name: "a" });
+      expect(queueCommand.command.meta.ReferenceId).toBe(userCommand.meta.ReferenceId);
+      expect(queueCommand.command.meta.idempotencyKey).toBe(userCommand.meta.idempotencyKey);
+    });
+
+    test("a follower's command is executed once completed on the leader", async () => {
+      const userCommand = new UserCommand("create", {}, { resourceId: "res1" });
+      const onExecute = userCommand.onExecute();
+
+      await follower.handleCommandAsync(userCommand);
+      await jest.runOnlyPendingTimersAsync();
+
+      const [[queueCommand]] = queueConsumerMock.enqueue.mock.calls;
+      queueCommand.completed(true);
+      await jest.runOnlyPendingTimersAsync();
+
+      await expect(onExecute).resolves.toBe(true);
+    });
+
+    test("a follower forwards cancelAsync to the leader", async () => {
+      const userCommand = new UserCommand("create", {}, { resourceId: "res1" });
+
+      await follower.handleCommandAsync(userCommand);
+      await jest.runOnlyPendingTimersAsync();
+
+      await expect(follower.cancelAsync(userCommand.meta.ReferenceId)).resolves.toBe(true);
+      await jest.runOnlyPendingTimersAsync();
+
+      const [[queueCommand]] = queueConsumerMock.enqueue.mock.calls;
+      expect(queueCommand.cancel).toHaveBeenCalled();
+      expect(leader.queueCommands.size).toBe(0);
+    });
+
+    test("a follower takes over the saved commands once the leader is disposed", async () => {
+      leader.dispose();
+      await jest.runOnlyPendingTimersAsync();
+
+      expect(follower.tabCoordinator.isLeader).toBe(true);
+      expect(offlineStorageMock.loadEntriesByKeyPrefixAsync).toHaveBeenCalledTimes(2);
+      expect(followerConsumerMock.start).toHaveBeenCalled();
+    });
+  });
+
   test("dispose stops consumer and removes all queue commands", async () => {
     const userCommand1 = { meta: { ReferenceId: "1" } };
     const userCommand2 = {
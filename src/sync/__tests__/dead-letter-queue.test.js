@@ -0,0 +1,117 @@
+import { DeadLetterQueue } from "@wlvyr/common/sync";
+import { QueueCommand } from "@wlvyr/common/async";
+import { UserCommand } from "@wlvyr/common";
+
+describe("DeadLetterQueue", () => {
+  let storageMock;
+  let deadLetterQueue;
+  let stored;
+
+  beforeEach(() => {
+    stored = new Map();
+
+    storageMock = {
+      saveAsync: jest.fn(async (key, value) => {
+        stored.set(key, value);
+      }),
+      removeAsync: jest.fn(async (key) => {
+        stored.delete(key);
+      }),
+      loadAsync: jest.fn(async (key) => stored.get(key) ?? null),
+      loadByKeyPrefixAsync: jest.fn(async (prefix) =>
+        [...stored.entries()]
+          .filter(([key]) => key.startsWith(prefix))
+          .map(([, value]) => value)
+      ),
+    };
+
+    deadLetterQueue = new DeadLetterQueue("dlq-id", storageMock);
+  });
+
+  const createFailedQueueCommand = () => {
+    const userCommand = new UserCommand("TEST", { name: "value" }, { resourceId: "res1" });
+    const queueCommand = new QueueCommand(userCommand);
+
+    queueCommand.queueInfo.attemptNo = 2;
+    queueCommand.queueInfo.lastError = new TypeError("failed to fetch");
+    queueCommand.queueInfo.history = [
+      { startedAt: 1, finishedAt: 2, success: false, error: undefined },
+      { startedAt: 3, finishedAt: 4, success: false, error: new TypeError("failed to fetch") },
+    ];
+
+    return queueCommand;
+  };
+
+  test("throws when id or storage is not provided", () => {
+    expect(() => new DeadLetterQueue(undefined, storageMock)).toThrow();
+    expect(() => new DeadLetterQueue("dlq-id", undefined)).toThrow();
+  });
+
+  test("addAsync saves the command, its last error and attempt history", async () => {
+    const queueCommand = createFailedQueueCommand();
+    const referenceId = queueCommand.command.meta.ReferenceId;
+
+    await deadLetterQueue.addAsync(queueCommand);
+
+    expect(storageMock.saveAsync).toHaveBeenCalledWith(
+      `dead-letter-dlq-id-${referenceId}`,
+      expect.anything()
+    );
+
+    const deadLetter = await deadLetterQueue.getAsync(referenceId);
+
+    expect(deadLetter.referenceId).toBe(referenceId);
+    expect(deadLetter.command.type).toBe("TEST");
+    expect(deadLetter.command.payload).toEqual({ name: "value" });
+    expect(deadLetter.command.meta.uuid).toBe(queueCommand.command.meta.uuid);
+    expect(deadLetter.error).toEqual({ name: "TypeError", message: "failed to fetch" });
+    expect(deadLetter.queueInfo.attemptNo).toBe(2);
+    expect(deadLetter.queueInfo.history).toHaveLength(2);
+    expect(deadLetter.queueInfo.history[1].error).toEqual({
+      name: "TypeError",
+      message: "failed to fetch",
+    });
+  });
+
+  test("listAsync returns all dead letters", async () => {
+    await deadLetterQueue.addAsync(createFailedQueueCommand());
+    await deadLetterQueue.addAsync(createFailedQueueCommand());
+
+    expect(await deadLetterQueue.listAsync()).toHaveLength(2);
+    expect(storageMock.loadByKeyPrefixAsync).toHaveBeenCalledWith("dead-letter-dlq-id-");
+  });
+
+  test("getAsync returns null for an unknown reference", async () => {
+    expect(await deadLetterQueue.getAsync("unknown")).toBeNull();
+  });
+
+  test("removeAsync removes a dead letter", async () => {
+    const queueCommand = createFailedQueueCommand();
+    await deadLetterQueue.addAsync(queueCommand);
+
+    await deadLetterQueue.removeAsync(queueCommand.command.meta.ReferenceId);
+
+    expect(await deadLetterQueue.listAsync()).toHaveLength(0);
+  });
+
+  test("purgeAsync removes all dead letters", async () => {
+    await deadLetterQueue.addAsync(createFailedQueueCommand());
+    await deadLetterQueue.addAsync(createFailedQueueCommand());
+
+    await deadLetterQueue.purgeAsync();
+
+    expect(await deadLetterQueue.listAsync()).toHaveLength(0);
+  });
+
+  test("toUserCommand rebuilds the user command with the same reference", async () => {
+    const queueCommand = createFailedQueueCommand();
+    const deadLetter = await deadLetterQueue.addAsync(queueCommand);
+
+    const userCommand = DeadLetterQueue.toUserCommand(deadLetter);
+
+    expect(userCommand).toBeInstanceOf(UserCommand);
+    expect(userCommand.type).toBe("TEST");
+    expect(userCommand.payload).toEqual({ name: "value" });
+    expect(userCommand.meta.ReferenceId).toBe(queueCommand.command.meta.ReferenceId);
+  });
+});
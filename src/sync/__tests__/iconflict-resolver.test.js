@@ -0,0 +1,99 @@
+import {
+  ClientWinsConflictResolver,
+  IConflictResolver,
+  ServerWinsConflictResolver,
+  ThreeWayMergeConflictResolver,
+  rebaseCommand,
+} from "@wlvyr/common/sync";
+import { UserCommand } from "@wlvyr/common";
+import { ErrorMessages } from "@wlvyr/common/error";
+
+describe("IConflictResolver", () => {
+  it("should throw when not implemented", () => {
+    expect(() => new IConflictResolver().resolveAsync({})).toThrow(
+      ErrorMessages.Exceptions.NotImplemented
+    );
+  });
+});
+
+describe("rebaseCommand", () => {
+  it("should keep the reference and change the idempotency key and base version", () => {
+    const userCommand = new UserCommand("update", { name: "a" }, { resourceId: "item-1", baseVersion: '"v1"' });
+
+    const rebased = rebaseCommand(userCommand, { name: "b" }, '"v2"');
+
+    expect(rebased).toBeInstanceOf(UserCommand);
+    expect(rebased.payload).toEqual({ name: "b" });
+    expect(rebased.meta.ReferenceId).toBe(userCommand.meta.ReferenceId);
+    expect(rebased.meta.idempotencyKey).not.toBe(userCommand.meta.idempotencyKey);
+    expect(rebased.meta.baseVersion).toBe('"v2"');
+    expect(userCommand.meta.baseVersion).toBe('"v1"');
+  });
+});
+
+describe("ServerWinsConflictResolver", () => {
+  it("should drop the command", async () => {
+    const userCommand = new UserCommand("update", { name: "a" }, { resourceId: "item-1" });
+
+    await expect(new ServerWinsConflictResolver().resolveAsync({ userCommand })).resolves.toBeUndefined();
+  });
+});
+
+describe("ClientWinsConflictResolver", () => {
+  it("should send the command again without a base version", async () => {
+    const userCommand = new UserCommand("update", { name: "a" }, { resourceId: "item-1", baseVersion: '"v1"' });
+
+    const resolved = await new ClientWinsConflictResolver().resolveAsync({ userCommand });
+
+    expect(resolved.payload).toEqual({ name: "a" });
+    expect(resolved.meta.baseVersion).toBeUndefined();
+  });
+});
+
+describe("ThreeWayMergeConflictResolver", () => {
+  const base = { name: "a", color: "red", size: 1 };
+  const server = { state: { name: "a", color: "blue", size: 2 }, version: '"v2"' };
+
+  const createResolver = (clientWinsOnConflict = false) =>
+    new ThreeWayMergeConflictResolver(
+      async () => server,
+      async () => base,
+      clientWinsOnConflict
+    );
+
+  it("should throw without its state getters", () => {
+    expect(() => new ThreeWayMergeConflictResolver()).toThrow(TypeError);
+    expect(() => new ThreeWayMergeConflictResolver(async () => server)).toThrow(TypeError);
+  });
+
+  it("should keep fields changed only by the command and the server's value of fields changed on both sides", async () => {
+    const userCommand = new UserCommand("update", { name: "b", color: "green" }, { resourceId: "item-1", isPatch: true });
+
+    const resolved = await createResolver().resolveAsync({ userCommand });
+
+    expect(resolved.payload).toEqual({ name: "b" });
+    expect(resolved.meta.baseVersion).toBe('"v2"');
+  });
+
+  it("should keep the command's value of fields changed on both sides with clientWinsOnConflict", async () => {
+    const userCommand = new UserCommand("update", { name: "b", color: "green" }, { resourceId: "item-1", isPatch: true });
+
+    const resolved = await createResolver(true).resolveAsync({ userCommand });
+
+    expect(resolved.payload).toEqual({ name: "b", color: "green" });
+  });
+
+  it("should send the whole merged state for commands that are not patches", async () => {
+    const userCommand = new UserCommand("replace", { name: "b", color: "red", size: 1 }, { resourceId: "item-1" });
+
+    const resolved = await createResolver().resolveAsync({ userCommand });
+
+    expect(resolved.payload).toEqual({ name: "b", color: "blue", size: 2 });
+  });
+
+  it("should drop commands the server already has the changes of", async () => {
+    const userCommand = new UserCommand("update", { color: "blue" }, { resourceId: "item-1", isPatch: true });
+
+    await expect(createResolver().resolveAsync({ userCommand })).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,49 @@
+import { IIdMapper, PayloadIdMapper } from "@wlvyr/common/sync";
+import { ErrorMessages } from "@wlvyr/common/error";
+
+describe("IIdMapper", () => {
+  it("should throw when not implemented", () => {
+    const idMapper = new IIdMapper();
+
+    expect(() => idMapper.getIdMappingAsync({})).toThrow(ErrorMessages.Exceptions.NotImplemented);
+    expect(() => idMapper.remapPayload({}, { clientId: "a", serverId: "b" })).toThrow(
+      ErrorMessages.Exceptions.NotImplemented
+    );
+  });
+});
+
+describe("PayloadIdMapper", () => {
+  const idMapping = { clientId: "tmp-1", serverId: "srv-1" };
+
+  it("should throw without getIdMappingAsync", () => {
+    expect(() => new PayloadIdMapper()).toThrow(TypeError);
+  });
+
+  it("should get the mapping from the given function", async () => {
+    const getIdMappingAsync = jest.fn(async () => idMapping);
+    const userCommand = { type: "create" };
+
+    await expect(new PayloadIdMapper(getIdMappingAsync).getIdMappingAsync(userCommand)).resolves.toBe(idMapping);
+    expect(getIdMappingAsync).toHaveBeenCalledWith(userCommand);
+  });
+
+  it("should replace the client ID in nested objects and arrays", () => {
+    const idMapper = new PayloadIdMapper(async () => undefined);
+    const payload = { id: "tmp-1", parent: { id: "tmp-1" }, tags: ["a", "tmp-1"], name: "tmp-10" };
+
+    expect(idMapper.remapPayload(payload, idMapping)).toEqual({
+      id: "srv-1",
+      parent: { id: "srv-1" },
+      tags: ["a", "srv-1"],
+      name: "tmp-10",
+    });
+    expect(payload.id).toBe("tmp-1");
+  });
+
+  it("should return the payload itself without references to the client ID", () => {
+    const idMapper = new PayloadIdMapper(async () => undefined);
+    const payload = { id: "other", items: [{ id: "x" }] };
+
+    expect(idMapper.remapPayload(payload, idMapping)).toBe(payload);
+  });
+});
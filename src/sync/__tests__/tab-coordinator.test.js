@@ -0,0 +1,132 @@
+import {
+  InMemoryBroadcastChannel,
+  InMemoryLockManager,
+  TabCoordinator,
+  TabRole,
+} from "@wlvyr/common/sync";
+
+describe("TabCoordinator", () => {
+  let lockManager;
+  let createChannel;
+  let name;
+  let tabs;
+
+  const createTab = () => {
+    const tab = new TabCoordinator(name, { lockManager, createChannel });
+    tabs.push(tab);
+    return tab;
+  };
+
+  beforeEach(() => {
+    lockManager = new InMemoryLockManager();
+    createChannel = (channelName) => new InMemoryBroadcastChannel(channelName);
+    name = `tabs-${crypto.randomUUID()}`;
+    tabs = [];
+  });
+
+  afterEach(() => {
+    tabs.forEach((tab) => tab.stop());
+  });
+
+  test("the first tab leads and the others follow", async () => {
+    const first = createTab();
+    const second = createTab();
+
+    await expect(first.startAsync()).resolves.toBe(TabRole.Leader);
+    await expect(second.startAsync()).resolves.toBe(TabRole.Follower);
+
+    expect(first.isLeader).toBe(true);
+    expect(second.isLeader).toBe(false);
+  });
+
+  test("a follower takes over once the leader stops", async () => {
+    const first = createTab();
+    const second = createTab();
+    const onRoleChange = jest.fn();
+    second.addOnRoleChange(onRoleChange);
+
+    await first.startAsync();
+    await second.startAsync();
+
+    first.stop();
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(first.role).toBe(TabRole.None);
+    expect(second.role).toBe(TabRole.Leader);
+    expect(onRoleChange.mock.calls).toEqual([[TabRole.Follower], [TabRole.Leader]]);
+  });
+
+  test("a stopped follower does not take over", async () => {
+    const first = createTab();
+    const second = createTab();
+    const third = createTab();
+
+    await first.startAsync();
+    await second.startAsync();
+    await third.startAsync();
+
+    second.stop();
+    first.stop();
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(second.role).toBe(TabRole.None);
+    expect(third.role).toBe(TabRole.Leader);
+  });
+
+  test("messages are delivered to the other tabs only", async () => {
+    const first = createTab();
+    const second = createTab();
+    const onFirstMessage = jest.fn();
+    const onSecondMessage = jest.fn();
+    first.addOnMessage(onFirstMessage);
+    second.addOnMessage(onSecondMessage);
+
+    await first.startAsync();
+    await second.startAsync();
+
+    first.postMessage({ type: "ping" });
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(onFirstMessage).not.toHaveBeenCalled();
+    expect(onSecondMessage).toHaveBeenCalledWith({ type: "ping" });
+  });
+
+  test("a stopped tab no longer receives messages", async () => {
+    const first = createTab();
+    const second = createTab();
+    const onMessage = jest.fn();
+    second.addOnMessage(onMessage);
+
+    await first.startAsync();
+    await second.startAsync();
+
+    second.stop();
+    first.postMessage({ type: "ping" });
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(onMessage).not.toHaveBeenCalled();
+  });
+
+  test("InMemoryBroadcastChannel rejects uncloneable messages", () => {
+    const channel = new InMemoryBroadcastChannel(name);
+
+    expect(() => channel.postMessage({ execute: () => {} })).toThrow();
+    channel.close();
+  });
+
+  test("InMemoryLockManager does not wait for a held lock with ifAvailable", async () => {
+    let release;
+    lockManager.request("lock", {}, () => new Promise((resolve) => (release = resolve)));
+
+    await expect(
+      lockManager.request("lock", { ifAvailable: true }, (lock) => lock)
+    ).resolves.toBeNull();
+
+    release();
+    await jest.runOnlyPendingTimersAsync();
+
+    await expect(
+      lockManager.request("lock", { ifAvailable: true }, (lock) => lock?.name)
+    ).resolves.toBe("lock");
+  });
+});
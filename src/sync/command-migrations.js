@@ -0,0 +1,114 @@
+/*---------------------------------------------------------------------------------------------
+ *  Copyright (c) wlvyr. All rights reserved.
+ *  Licensed under the MIT License. See License.txt in the project root for license information.
+ *--------------------------------------------------------------------------------------------*/
+
+import { QueueCommand } from "@/src/async/queue-command.js";
+import { ErrorMessages } from "@/src/error/error-messages.js";
+
+/**
+ * Upgrades a saved command record by one or more schema versions.
+ * @callback CommandMigration
+ * @param {any} record - Record of the version the migration is registered for.
+ * @returns {any | Promise<any>} The record with a higher `schemaVersion`.
+ */
+
+/**
+ * Upgrades saved command records, see QueueCommand.toJSON, to the current schema version
+ * with the migrations registered for the versions they were saved with.
+ */
+export class CommandMigrations {
+  /** @type {Map<number, CommandMigration>} */
+  #migrations = new Map();
+
+  /**
+   * @param {number} [schemaVersion=QueueCommand.schemaVersion] - Version records are upgraded to.
+   */
+  constructor(schemaVersion = QueueCommand.schemaVersion) {
+    this.schemaVersion = schemaVersion;
+
+    // records saved before toJSON existed have the fields of version 1.
+    this.register(0, (record) => ({ ...record, schemaVersion: 1 }));
+  }
+
+  /**
+   * Registers the migration of records saved with the given version, replacing any registered before.
+   * @param {number} fromVersion
+   * @param {CommandMigration} migration
+   * @returns {CommandMigrations} These migrations, for chaining.
+   */
+  register = (fromVersion, migration) => {
+    if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+      throw new TypeError(`fromVersion ${ErrorMessages.Exceptions.ValueNotvalid}`);
+    }
+
+    if (typeof migration !== "function") {
+      throw new TypeError(
+        `${ErrorMessages.Exceptions.ArgumentUndefinedException}, "migration"`
+      );
+    }
+
+    this.#migrations.set(fromVersion, migration);
+    return this;
+  };
+
+  /**
+   * Upgrades a record to the current schema version, one registered migration at a time.
+   * @param {any} record
+   * @returns {Promise<any>} The record itself if already current.
+   * @throws {Error} If a migration is missing, fails or does not increase the version,
+   * or the record was saved with a newer version.
+   */
+  migrateAsync = async (record) => {
+    let version = getSchemaVersion(record);
+
+    while (version < this.schemaVersion) {
+      const migration = this.#migrations.get(version);
+      if (!migration) {
+        throw new Error(
+          `${ErrorMessages.Exceptions.MissingSchemaMigration}, "${version}"`
+        );
+      }
+
+      record = await migration(record);
+
+      const migratedVersion = getSchemaVersion(record);
+      if (!(migratedVersion > version)) {
+        throw new Error(
+          `${ErrorMessages.Exceptions.MissingSchemaMigration}, "${version}"`
+        );
+      }
+
+      version = migratedVersion;
+    }
+
+    if (version > this.schemaVersion) {
+      throw new Error(
+        `${ErrorMessages.Exceptions.UnsupportedSchemaVersion}, "${version}"`
+      );
+    }
+
+    return record;
+  };
+}
+
+/**
+ * Records saved before toJSON existed have no version.
+ * @param {any} record
+ * @returns {number}
+ */
+const getSchemaVersion = (record) => {
+  if (!record || typeof record !== "object") {
+    throw new TypeError(`record ${ErrorMessages.Exceptions.ValueNotvalid}`);
+  }
+
+  const version = record.schemaVersion ?? 0;
+
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(
+      `${ErrorMessages.Exceptions.UnsupportedSchemaVersion}, "${record.schemaVersion}"`
+    );
+  }
+
+  return version;
+};
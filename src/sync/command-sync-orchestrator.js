@@ -5,20 +5,86 @@
 
 import { QueueCommand } from "@/src/async/queue-command.js";
 import { QueueConsumer } from "@/src/async/queue-consumer.js";
-import { QueueStatus } from "@/src/async/queue-status.js";
+import { QueueStatus, isFinalStatus } from "@/src/async/queue-status.js";
 import { UserCommand } from "@/src/common/user-command.js";
 import { IObjectConsolidator } from "@/src/common/iobject-consolidator.js";
 import { IStorage } from "@/src/storage/istorage.js";
+import { CommandMigrations } from "./command-migrations.js";
+import { DeadLetterQueue } from "./dead-letter-queue.js";
+import { IConflictResolver } from "./iconflict-resolver.js";
+import { IIdMapper } from "./iid-mapper.js";
+import { TabCoordinator, TabRole } from "./tab-coordinator.js";
+
+/**
+ * A saved record that could not be migrated or restored, see listQuarantinedAsync.
+ * @typedef {Object} QuarantinedRecord
+ * @property {string} referenceId - The record's storage key without the `${id}-` prefix, the ReferenceId of its command
+ * unless the record was saved with another key.
+ * @property {any} record - The record as saved.
+ * @property {{ name: string, message: string }} error - Why it could not be restored.
+ * @property {number} quarantinedAt - Date.now() when the record was quarantined.
+ */
+
+/**
+ * @typedef {Object} CommandSyncOrchestratorOptions
+ * @property {DeadLetterQueue} [deadLetterQueue] - Keeps commands that exhausted their retries.
+ * @property {IIdMapper} [idMapper] - Remaps pending commands to the server ID of a resource created offline.
+ * @property {TabCoordinator} [tabCoordinator] - Lets only the leader of the tabs sharing the offline storage consume,
+ * the other tabs forward their commands to it.
+ * @property {CommandMigrations} [migrations=new CommandMigrations()] - Upgrades commands saved with an older schema version when loaded.
+ * @property {IConflictResolver} [conflictResolver] - Resolves commands rejected because their resource changed since `meta.baseVersion`,
+ * which are otherwise dead-lettered.
+ */
+
+/** Reason the queue consumer is paused for while IDs are remapped. */
+const idMappingPauseReason = "id-mapping";
+
+/** HTTP statuses of commands rejected because their resource changed since meta.baseVersion. */
+const conflictStatuses = [409, 412];
+
+/**
+ * Enum for the messages between the tabs of a TabCoordinator.
+ * @readonly
+ * @enum {string}
+ */
+const TabMessageType = Object.freeze({
+  // a follower's new command, for the leader to enqueue.
+  Command: "Command",
+  // a follower's cancelAsync, for the leader to apply.
+  Cancel: "Cancel",
+  // a command completed on the leader, for the follower that forwarded it.
+  Completed: "Completed",
+});
 
 /**
  * Orchestrates command execution using the queue and optional persistence.
  */
 export class CommandSyncOrchestrator {
+  /** @type {Set<(idMapping: import("./iid-mapper.js").IdMapping) => void>} */
+  #onIdMappedListeners = new Set();
+
+  #pendingIdMappings = 0;
+
+  /** @type {Set<(conflict: import("./iconflict-resolver.js").Conflict, resolvedCommand: UserCommand | undefined) => void>} */
+  #onConflictListeners = new Set();
+
+  /**
+   * Commands this tab forwarded to the leader tab, by uuid, see tabCoordinator.
+   * @type {Map<string, UserCommand>}
+   */
+  #forwardedCommands = new Map();
+
+  // resolves once the saved commands are loaded, after this tab became the leader.
+  #leading = Promise.resolve();
+
+  #isStarted = false;
+
   /**
    * @param {string} id - Unique identifier for the orchestrator.
    * @param {QueueConsumer} queueConsumer
    * @param {IObjectConsolidator} [commandConsolidator]
    * @param {IStorage} [offlineStorage]
+   * @param {CommandSyncOrchestratorOptions} [options={}]
    *
    * oldparam {{ save: (key: string, q: Object) => void, loadByKeyPrefix: (prefix: string) => Object[], remove: (key: string) => void }} [offlineStorage]
    */
@@ -26,12 +92,22 @@ export class CommandSyncOrchestrator {
     id, // can be a uuid. it's to uniquely identify the orchestrator, maybe for localDB id.
     queueConsumer,
     commandConsolidator = undefined,
-    offlineStorage = undefined
+    offlineStorage = undefined,
+    options = {}
   ) {
     this.id = id;
     this.queueConsumer = queueConsumer;
     this.commandConsolidator = commandConsolidator;
     this.offlineStorage = offlineStorage;
+    /** @type {DeadLetterQueue | undefined} */
+    this.deadLetterQueue = options.deadLetterQueue;
+    /** @type {IIdMapper | undefined} */
+    this.idMapper = options.idMapper;
+    /** @type {TabCoordinator | undefined} */
+    this.tabCoordinator = options.tabCoordinator;
+    this.migrations = options.migrations ?? new CommandMigrations();
+    /** @type {IConflictResolver | undefined} */
+    this.conflictResolver = options.conflictResolver;
 
     /** @type {Set<QueueCommand>} */
     this.queueCommands = new Set();
@@ -40,22 +116,48 @@ export class CommandSyncOrchestrator {
     // string key can only be tied to resource id
     this.patchQueueCommands = new Map();
 
+    /**
+     * Server IDs by client ID, of resources created offline, see idMapper.
+     * @type {Map<string, string>}
+     */
+    this.idMappings = new Map();
+
     this.initialized = false;
   }
 
-  /** Loads existing commands and initializes the orchestrator. */
+  /**
+   * Loads existing commands and initializes the orchestrator.
+   * With a tabCoordinator, commands are only loaded once this tab is the leader.
+   */
   initializeAsync = async () => {
-    await this.#loadCommandsAsync(this.id);
+    if (this.initialized) return;
+
+    if (this.tabCoordinator) {
+      this.tabCoordinator.addOnMessage(this.#onTabMessage);
+      this.tabCoordinator.addOnRoleChange(this.#onTabRoleChange);
+      await this.tabCoordinator.startAsync();
+      await this.#leading;
+    } else {
+      await this.#loadCommandsAsync(this.id);
+    }
+
     this.initialized = true;
   };
 
   /**
    * Handles an incoming user command.
+   * In a follower tab, it is forwarded to the leader tab, and `userCommand.onExecute()`
+   * resolves once the command completed there, without an execution detail.
    * @param {UserCommand} userCommand
    */
   handleCommandAsync = async (userCommand) => {
     this.#ensureInitialized();
 
+    if (this.#isFollower()) {
+      await this.#forwardToLeaderAsync(userCommand);
+      return;
+    }
+
     let queueCommand;
 
     if (!userCommand.meta?.isPatch ||
@@ -65,24 +167,128 @@ export class CommandSyncOrchestrator {
       queueCommand = this.#consolidateCommand(userCommand);
     }
 
-    queueCommand.onComplete().then(async (success) => {
-      await this.#removeQueueCommandAsync(queueCommand);
-    });
+    // e.g. a dependency cycle, before anything is saved.
+    this.queueConsumer.ensureCanEnqueue(queueCommand);
+
+    this.#removeOnComplete(queueCommand);
+    this.#remapIdsOnSuccess(queueCommand);
+    this.#advanceBaseVersionOnSuccess(queueCommand);
+    this.#holdDependentsOnConflict(queueCommand);
 
     await this.offlineStorage?.saveAsync(
       this.#getKey(queueCommand),
-      queueCommand
+      queueCommand.toJSON()
     );
     this.queueCommands.add(queueCommand);
     this.queueConsumer.enqueue(queueCommand);
   };
 
+  /**
+   * Moves a dead-lettered command back into the queue.
+   * @param {string} referenceId
+   * @returns {Promise<boolean>} `false` if there is no such dead letter.
+   */
+  requeueDeadLetterAsync = async (referenceId) => {
+    this.#ensureInitialized();
+
+    const deadLetter = await this.deadLetterQueue?.getAsync(referenceId);
+    if (!deadLetter) {
+      return false;
+    }
+
+    // kept if it can't be queued.
+    await this.handleCommandAsync(DeadLetterQueue.toUserCommand(deadLetter));
+    await this.deadLetterQueue?.removeAsync(referenceId);
+    return true;
+  };
+
+  /**
+   * Cancels a queued or in-flight command and removes it, including its saved data in storage.
+   * @param {string} referenceId - ReferenceId of the command's meta.
+   * @param {any} [reason]
+   * @returns {Promise<boolean>} `false` if there is no such command.
+   */
+  cancelAsync = async (referenceId, reason = undefined) => {
+    if (this.#isFollower()) {
+      return this.#forwardCancel(referenceId);
+    }
+
+    const queueCommand = [...this.queueCommands].find(
+      (queueCommand) => queueCommand.command.meta?.ReferenceId === referenceId
+    );
+
+    if (!queueCommand) {
+      return false;
+    }
+
+    queueCommand.cancel(reason);
+    await this.#removeQueueCommandAsync(queueCommand);
+    return true;
+  };
+
+  /**
+   * Lists the saved records that could not be migrated or restored when loaded.
+   * @returns {Promise<QuarantinedRecord[]>}
+   */
+  listQuarantinedAsync = async () => {
+    const records = await this.offlineStorage?.loadByKeyPrefixAsync(
+      this.#getQuarantineKey("")
+    );
+
+    return /** @type {QuarantinedRecord[]} */ (records ?? []);
+  };
+
+  /**
+   * Removes a quarantined record, e.g. once inspected or fixed and handled again.
+   * @param {string} referenceId
+   */
+  removeQuarantinedAsync = async (referenceId) => {
+    await this.offlineStorage?.removeAsync(this.#getQuarantineKey(referenceId));
+  };
+
+  /**
+   * Listens to client IDs being remapped, e.g. to update local state with the server ID.
+   * @param {(idMapping: import("./iid-mapper.js").IdMapping) => void} listener
+   */
+  addOnIdMapped = (listener) => {
+    this.#onIdMappedListeners.add(listener);
+  };
+
+  /**
+   * @param {(idMapping: import("./iid-mapper.js").IdMapping) => void} listener
+   */
+  removeOnIdMapped = (listener) => {
+    this.#onIdMappedListeners.delete(listener);
+  };
+
+  /**
+   * Listens to conflicts resolved by the conflictResolver, e.g. to refresh local state with the server's.
+   * @param {(conflict: import("./iconflict-resolver.js").Conflict, resolvedCommand: UserCommand | undefined) => void} listener
+   * - `resolvedCommand` is the command enqueued instead, if any.
+   */
+  addOnConflict = (listener) => {
+    this.#onConflictListeners.add(listener);
+  };
+
+  /**
+   * @param {(conflict: import("./iconflict-resolver.js").Conflict, resolvedCommand: UserCommand | undefined) => void} listener
+   */
+  removeOnConflict = (listener) => {
+    this.#onConflictListeners.delete(listener);
+  };
+
   start = () => {
     this.#ensureInitialized();
-    this.queueConsumer.start();
+    this.#isStarted = true;
+
+    // a follower starts consuming once it becomes the leader.
+    if (!this.#isFollower()) {
+      this.queueConsumer.start();
+    }
   };
 
   stop = () => {
+    this.#isStarted = false;
     this.queueConsumer.stop();
   };
 
@@ -90,7 +296,11 @@ export class CommandSyncOrchestrator {
    * Stops sync and removes all actions, including any saved data in storage.
    */
   dispose = () => {
+    this.#isStarted = false;
     this.queueConsumer.stop();
+    this.tabCoordinator?.removeOnMessage(this.#onTabMessage);
+    this.tabCoordinator?.removeOnRoleChange(this.#onTabRoleChange);
+    this.tabCoordinator?.stop();
     this.queueCommands.forEach((queueCommand) =>
       this.#removeQueueCommandAsync(queueCommand)
     ); // this should also handle... this.offlineStorage.removeAllByPrefix(`${id}-`);
@@ -99,21 +309,60 @@ export class CommandSyncOrchestrator {
   };
 
   /**
-   * Loads commands from persistent storage.
+   * Loads commands from persistent storage, migrated to the current schema version.
+   * Records that can't be migrated, restored or enqueued are quarantined.
    * @param {string} id
    */
   #loadCommandsAsync = async (id) => {
-    if (this.initialized) return;
-
-    const data = await this.offlineStorage?.loadByKeyPrefixAsync(`${id}-`);
+    const entries = await this.offlineStorage?.loadEntriesByKeyPrefixAsync(`${id}-`);
 
-    if (!Array.isArray(data)) {
+    if (!Array.isArray(entries)) {
       return;
     }
 
-    data.forEach((obj) => {
-      const queueCommand = Object.create(QueueCommand.prototype);
-      Object.assign(queueCommand, obj);
+    // in creation order, so prerequisites are enqueued before their dependents, see meta.dependsOn.
+    const ordered = [...entries].sort(
+      (a, b) =>
+        (/** @type {any} */ (a.value)?.command?.meta?.timestamp ?? 0) -
+        (/** @type {any} */ (b.value)?.command?.meta?.timestamp ?? 0)
+    );
+
+    for (const { key, value: obj } of ordered) {
+      let queueCommand;
+
+      try {
+        const record = await this.migrations.migrateAsync(obj);
+        queueCommand = QueueCommand.fromJSON(record);
+
+        // so it is only migrated once.
+        if (record !== obj) {
+          await this.offlineStorage?.saveAsync(
+            this.#getKey(queueCommand),
+            queueCommand.toJSON()
+          );
+        }
+      } catch (error) {
+        await this.#quarantineAsync(key, obj, error);
+        continue;
+      }
+
+      // its record was not removed once completed, e.g. the tab closed in between.
+      if (isFinalStatus(queueCommand.queueInfo.status)) {
+        await this.offlineStorage?.removeAsync(key);
+        continue;
+      }
+
+      try {
+        this.queueConsumer.ensureCanEnqueue(queueCommand);
+      } catch (error) {
+        await this.#quarantineAsync(key, obj, error);
+        continue;
+      }
+
+      this.#removeOnComplete(queueCommand);
+      this.#remapIdsOnSuccess(queueCommand);
+      this.#advanceBaseVersionOnSuccess(queueCommand);
+      this.#holdDependentsOnConflict(queueCommand);
 
       this.queueCommands.add(queueCommand);
       this.queueConsumer.enqueue(queueCommand);
@@ -122,18 +371,443 @@ export class CommandSyncOrchestrator {
       if (commandMeta?.isPatch) {
         this.patchQueueCommands.set(commandMeta.resourceId, queueCommand);
       }
+    }
+  };
+
+  /**
+   * Moves a saved record out of the loaded key prefix, so it does not fail every load.
+   * @param {string} key - The record's storage key, which a record that can't be restored may not be derivable from.
+   * @param {any} record
+   * @param {any} error
+   */
+  #quarantineAsync = async (key, record, error) => {
+    const referenceId = key.slice(`${this.id}-`.length);
+
+    /** @type {QuarantinedRecord} */
+    const quarantined = {
+      referenceId,
+      record,
+      error: { name: error?.name, message: error?.message ?? String(error) },
+      quarantinedAt: Date.now(),
+    };
+
+    await this.offlineStorage?.saveAsync(
+      this.#getQuarantineKey(referenceId),
+      quarantined
+    );
+    await this.offlineStorage?.removeAsync(key);
+  };
+
+  /**
+   * Removes the command from orchestration once completed,
+   * moving it into the dead-letter queue if it failed, unless a conflict was resolved.
+   * @param {QueueCommand} queueCommand
+   */
+  #removeOnComplete = (queueCommand) => {
+    queueCommand.onComplete().then(async (success) => {
+      /** @type {{ resolvedCommand: UserCommand | undefined } | undefined} */
+      let resolution = undefined;
+
+      // cancelled and expired commands are not dead-lettered.
+      if (!success && queueCommand.queueInfo.status === QueueStatus.Failed) {
+        resolution = await this.#resolveConflictAsync(queueCommand);
+
+        if (!resolution) {
+          try {
+            await this.deadLetterQueue?.addAsync(queueCommand);
+          } catch {
+            // e.g. storage failed, the command is removed without being dead-lettered.
+          }
+        }
+      }
+
+      await this.#removeQueueCommandAsync(queueCommand)
+        // e.g. storage failed, its saved record is loaded again.
+        .catch(() => {});
+
+      const { ReferenceId, uuid } = queueCommand.command.meta;
+
+      // after removal, it may be saved under the same key.
+      if (resolution?.resolvedCommand) {
+        await this.handleCommandAsync(resolution.resolvedCommand).catch(() => {
+          // e.g. storage failed, the resolved command is dropped along with its dependents.
+          this.queueConsumer.cancelDependents(ReferenceId);
+        });
+      } else if (this.#isResolvableConflict(queueCommand)) {
+        // its dependents were held, see #holdDependentsOnConflict.
+        this.queueConsumer.cancelDependents(ReferenceId);
+      }
+
+      this.tabCoordinator?.postMessage({
+        type: TabMessageType.Completed,
+        uuid,
+        success,
+      });
+      this.#completeForwarded(uuid, success);
+    });
+  };
+
+  /**
+   * @param {QueueCommand} queueCommand - A failed command.
+   * @returns {Promise<{ resolvedCommand: UserCommand | undefined } | undefined>} undefined if the command
+   * did not fail with a conflict, or it could not be resolved.
+   */
+  #resolveConflictAsync = async (queueCommand) => {
+    if (!this.conflictResolver || !this.#isResolvableConflict(queueCommand)) {
+      return undefined;
+    }
+
+    /** @type {import("./iconflict-resolver.js").Conflict} */
+    const conflict = {
+      userCommand: queueCommand.command,
+      failureReason: queueCommand.queueInfo.failureReason,
+    };
+
+    let resolvedCommand;
+    try {
+      resolvedCommand = await this.conflictResolver.resolveAsync(conflict);
+    } catch {
+      return undefined;
+    }
+
+    for (const listener of this.#onConflictListeners) {
+      listener(conflict, resolvedCommand);
+    }
+
+    return { resolvedCommand };
+  };
+
+  /**
+   * Whether the command failed with a conflict the conflictResolver resolves.
+   * @param {QueueCommand} queueCommand
+   * @returns {boolean}
+   */
+  #isResolvableConflict = (queueCommand) => {
+    const { status, failureReason } = queueCommand.queueInfo;
+
+    return (
+      this.conflictResolver !== undefined &&
+      status === QueueStatus.Failed &&
+      conflictStatuses.includes(/** @type {number} */ (failureReason?.status))
+    );
+  };
+
+  /**
+   * Keeps the commands depending on the command waiting if it fails with a conflict,
+   * instead of the consumer cancelling them, as it may be resolved into a command with the same ReferenceId.
+   * @param {QueueCommand} queueCommand
+   */
+  #holdDependentsOnConflict = (queueCommand) => {
+    /** @param {QueueStatus} status */
+    const onStatusUpdate = (status) => {
+      if (!isFinalStatus(status)) {
+        return;
+      }
+
+      queueCommand.removeOnStatusUpdate(onStatusUpdate);
+
+      // before the consumer completes the command and cancels its dependents.
+      if (this.#isResolvableConflict(queueCommand)) {
+        this.queueConsumer.holdDependents(queueCommand.command.meta.ReferenceId);
+      }
+    };
+
+    queueCommand.addOnStatusUpdate(onStatusUpdate);
+  };
+
+  /**
+   * Moves the pending commands of the same resource, made against the same `meta.baseVersion`,
+   * to the version the server responded with once the command succeeds. Otherwise they would conflict with it.
+   * The version is read from the ETag header of the execution detail, e.g. a RestCommandOutcome or Response.
+   * @param {QueueCommand} queueCommand
+   */
+  #advanceBaseVersionOnSuccess = (queueCommand) => {
+    const { meta } = queueCommand.command;
+
+    if (meta?.baseVersion === undefined) {
+      return;
+    }
+
+    /** @param {QueueStatus} status */
+    const onStatusUpdate = (status) => {
+      if (status !== QueueStatus.Succeeded) {
+        return;
+      }
+
+      queueCommand.removeOnStatusUpdate(onStatusUpdate);
+
+      const detail = queueCommand.command.getExecutionDetail?.();
+      const version = detail?.headers?.get?.("ETag") ?? undefined;
+
+      if (version === undefined) {
+        return;
+      }
+
+      /** @type {QueueCommand[]} */
+      const advanced = [];
+
+      for (const pending of this.queueCommands) {
+        const pendingMeta = pending.command.meta;
+
+        if (
+          pending !== queueCommand &&
+          pendingMeta.resourceId === meta.resourceId &&
+          pendingMeta.baseVersion === meta.baseVersion
+        ) {
+          pendingMeta.baseVersion = version;
+          advanced.push(pending);
+        }
+      }
+
+      this.#saveAllAsync(advanced)
+        // e.g. storage failed, the saved copies keep the previous version and conflict once loaded.
+        .catch(() => {});
+    };
+
+    queueCommand.addOnStatusUpdate(onStatusUpdate);
+  };
+
+  /**
+   * Whether another tab is, or may become, the leader, see tabCoordinator.
+   * @returns {boolean}
+   */
+  #isFollower = () =>
+    this.tabCoordinator !== undefined && !this.tabCoordinator.isLeader;
+
+  /**
+   * Takes over the commands saved by every tab, including those a previous leader did not complete.
+   * @param {TabRole} role
+   */
+  #onTabRoleChange = (role) => {
+    if (role !== TabRole.Leader) {
+      return;
+    }
+
+    this.#leading = this.#loadCommandsAsync(this.id).then(() => {
+      if (this.#isStarted) {
+        this.queueConsumer.start();
+      }
+    });
+  };
+
+  /**
+   * @param {any} message
+   */
+  #onTabMessage = async (message) => {
+    if (message?.type === TabMessageType.Completed) {
+      this.#completeForwarded(message.uuid, message.success);
+      return;
+    }
+
+    // the loaded commands may include the forwarded one.
+    await this.#leading;
+
+    if (!this.initialized || this.#isFollower()) {
+      return;
+    }
+
+    const queueCommand = [...this.queueCommands].find(
+      (queueCommand) => queueCommand.command.meta?.uuid === message?.uuid
+    );
+
+    if (message?.type === TabMessageType.Command && !queueCommand) {
+      await this.handleCommandAsync(UserCommand.fromJSON(message.userCommand));
+    } else if (message?.type === TabMessageType.Cancel && queueCommand) {
+      await this.cancelAsync(queueCommand.command.meta.ReferenceId);
+    }
+  };
+
+  /**
+   * Saves the command, so it is loaded by the next leader if the leader tab closes,
+   * and sends it to the leader tab.
+   * @param {UserCommand} userCommand
+   */
+  #forwardToLeaderAsync = async (userCommand) => {
+    const queueCommand = new QueueCommand(userCommand);
+    await this.offlineStorage?.saveAsync(
+      this.#getKey(queueCommand),
+      queueCommand.toJSON()
+    );
+
+    const { uuid } = userCommand.meta;
+    this.#forwardedCommands.set(uuid, userCommand);
+
+    // only data can be sent, the leader tab creates its own UserCommand.
+    this.tabCoordinator?.postMessage({
+      type: TabMessageType.Command,
+      uuid,
+      userCommand: userCommand.toJSON(),
     });
   };
 
+  /**
+   * @param {string} referenceId
+   * @returns {boolean} `false` if this tab forwarded no such command.
+   */
+  #forwardCancel = (referenceId) => {
+    const userCommand = [...this.#forwardedCommands.values()].find(
+      (userCommand) => userCommand.meta.ReferenceId === referenceId
+    );
+
+    if (!userCommand) {
+      return false;
+    }
+
+    // the reason is not sent, it may not be cloneable.
+    this.tabCoordinator?.postMessage({
+      type: TabMessageType.Cancel,
+      uuid: userCommand.meta.uuid,
+    });
+    return true;
+  };
+
+  /**
+   * Executes a forwarded command with the result of the leader tab.
+   * @param {string} uuid
+   * @param {boolean} success
+   */
+  #completeForwarded = (uuid, success) => {
+    this.#forwardedCommands.get(uuid)?.executed(success);
+    this.#forwardedCommands.delete(uuid);
+  };
+
+  /**
+   * Remaps the pending commands once the command succeeds, if it created a resource, see IIdMapper.
+   * The queue consumer is paused meanwhile, so no pending command runs with the client ID.
+   * @param {QueueCommand} queueCommand
+   */
+  #remapIdsOnSuccess = (queueCommand) => {
+    if (!this.idMapper) {
+      return;
+    }
+
+    /** @param {QueueStatus} status */
+    const onStatusUpdate = (status) => {
+      if (status !== QueueStatus.Succeeded) {
+        return;
+      }
+
+      queueCommand.removeOnStatusUpdate(onStatusUpdate);
+
+      // status listeners run before the consumer can start its next command.
+      if (this.#pendingIdMappings++ === 0) {
+        this.queueConsumer.pause(idMappingPauseReason);
+      }
+
+      this.#remapIdsAsync(queueCommand)
+        // e.g. the mapper or storage failed, the pending commands keep what was remapped so far.
+        .catch(() => {})
+        .finally(() => {
+          if (--this.#pendingIdMappings === 0) {
+            this.queueConsumer.resume(idMappingPauseReason);
+          }
+        });
+    };
+
+    queueCommand.addOnStatusUpdate(onStatusUpdate);
+  };
+
+  /**
+   * Rewrites the payload, resourceId and dependsOn of the pending commands
+   * referencing the client ID of the resource the command created, and their saved copies.
+   * @param {QueueCommand} queueCommand - The succeeded command.
+   */
+  #remapIdsAsync = async (queueCommand) => {
+    const idMapper = /** @type {IIdMapper} */ (this.idMapper);
+    const idMapping = await idMapper.getIdMappingAsync(queueCommand.command);
+
+    if (!idMapping) {
+      return;
+    }
+
+    const { clientId, serverId } = idMapping;
+    this.idMappings.set(clientId, serverId);
+
+    /** @type {Map<QueueCommand, string>} - storage keys before remapping */
+    const previousKeys = new Map();
+    /** @type {Map<string, string>} - new ReferenceIds by previous ones */
+    const referenceIds = new Map();
+
+    for (const pending of this.queueCommands) {
+      const { command } = pending;
+      if (pending === queueCommand) {
+        continue;
+      }
+
+      const payload = idMapper.remapPayload(command.payload, idMapping);
+      const isResource = command.meta.resourceId === clientId;
+
+      if (payload === command.payload && !isResource) {
+        continue;
+      }
+
+      previousKeys.set(pending, this.#getKey(pending));
+      command.payload = payload;
+
+      if (isResource) {
+        const previousReferenceId = command.meta.ReferenceId;
+        command.meta.resourceId = serverId;
+        referenceIds.set(previousReferenceId, command.meta.ReferenceId);
+
+        if (this.patchQueueCommands.get(clientId) === pending) {
+          this.patchQueueCommands.delete(clientId);
+          this.patchQueueCommands.set(serverId, pending);
+        }
+      }
+    }
+
+    // the ReferenceId includes the resourceId.
+    for (const pending of referenceIds.size ? this.queueCommands : []) {
+      const { meta } = pending.command;
+
+      if (meta.dependsOn?.some((referenceId) => referenceIds.has(referenceId))) {
+        if (!previousKeys.has(pending)) {
+          previousKeys.set(pending, this.#getKey(pending));
+        }
+
+        meta.dependsOn = meta.dependsOn.map(
+          (referenceId) => referenceIds.get(referenceId) ?? referenceId
+        );
+      }
+    }
+
+    for (const [pending, previousKey] of previousKeys) {
+      const key = this.#getKey(pending);
+
+      if (key !== previousKey) {
+        await this.offlineStorage?.removeAsync(previousKey);
+      }
+      await this.offlineStorage?.saveAsync(key, pending.toJSON());
+    }
+
+    for (const listener of this.#onIdMappedListeners) {
+      listener(idMapping);
+    }
+  };
+
+  /**
+   * Saves commands changed while pending.
+   * @param {QueueCommand[]} queueCommands
+   */
+  #saveAllAsync = async (queueCommands) => {
+    for (const queueCommand of queueCommands) {
+      await this.offlineStorage?.saveAsync(
+        this.#getKey(queueCommand),
+        queueCommand.toJSON()
+      );
+    }
+  };
+
   /**
    * Removes a command from orchestration.
    * @param {QueueCommand} queueCommand
    */
   #removeQueueCommandAsync = async (queueCommand) => {
-    await this.offlineStorage?.removeAsync(this.#getKey(queueCommand));
+    // also if storage fails.
     this.queueCommands.delete(queueCommand);
     this.patchQueueCommands.delete(queueCommand.command.meta?.resourceId);
     this.queueConsumer.remove(queueCommand);
+    await this.offlineStorage?.removeAsync(this.#getKey(queueCommand));
   };
 
   /**
@@ -149,7 +823,7 @@ export class CommandSyncOrchestrator {
   };
 
   /**
-   *
+   * Merges the command into the pending patch of its resource, unless that one is in-flight or completed.
    * @param {UserCommand} userCommand
    * @returns {QueueCommand}
    */
@@ -162,9 +836,13 @@ export class CommandSyncOrchestrator {
     /** @type {QueueCommand | undefined} */
     let queueCommand = undefined;
 
+    const existingStatus = existingQueueCommand?.queueInfo.status;
+
+    // e.g. Initial, Deferred or RetryScheduled, waiting in the queue.
     if (
       existingQueueCommand &&
-      existingQueueCommand.queueInfo.status === QueueStatus.Initial &&
+      existingStatus !== QueueStatus.Processing &&
+      !isFinalStatus(existingStatus) &&
       this.commandConsolidator
     ) {
       const newPayload = this.commandConsolidator.consolidate(
@@ -173,7 +851,14 @@ export class CommandSyncOrchestrator {
       );
 
       this.#removeQueueCommandAsync(existingQueueCommand);
-      queueCommand = new QueueCommand({ ...userCommand, payload: newPayload });
+
+      // a copy, so the caller's command keeps its payload. its execution still resolves the caller's onExecute().
+      const consolidatedCommand = Object.assign(
+        Object.create(Object.getPrototypeOf(userCommand)),
+        userCommand,
+        { payload: newPayload }
+      );
+      queueCommand = new QueueCommand(consolidatedCommand);
     }
 
     queueCommand = queueCommand ?? new QueueCommand(userCommand);
@@ -190,6 +875,15 @@ export class CommandSyncOrchestrator {
     return `${this.id}-${queueCommand.command.meta.ReferenceId}`;
   };
 
+  /**
+   * Quarantined records are kept outside of the `${id}-` prefix of loaded commands.
+   * @param {string} referenceId
+   * @returns {string}
+   */
+  #getQuarantineKey = (referenceId) => {
+    return `quarantine-${this.id}-${referenceId}`;
+  };
+
   #ensureInitialized() {
     if (!this.initialized)
       throw new Error("Initialized. Call initialize() first.");
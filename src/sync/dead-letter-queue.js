@@ -0,0 +1,123 @@
+/*---------------------------------------------------------------------------------------------
+ *  Copyright (c) wlvyr. All rights reserved.
+ *  Licensed under the MIT License. See License.txt in the project root for license information.
+ *--------------------------------------------------------------------------------------------*/
+
+import { QueueCommand } from "@/src/async/queue-command.js";
+import { UserCommand } from "@/src/common/user-command.js";
+import { ErrorMessages } from "@/src/error/error-messages.js";
+import { IStorage } from "@/src/storage/istorage.js";
+
+/**
+ * @typedef {Object} DeadLetter
+ * @property {string} referenceId - ReferenceId of the failed command.
+ * @property {{ schemaVersion: number, type: string, payload: object, meta: object }} command - The failed user command, see UserCommand.toJSON.
+ * @property {object} queueInfo - Queue info of the failed command, including its attempt history, see QueueInfo.toJSON.
+ * @property {any} error - Error of the last failed attempt, if any.
+ * @property {number} deadAt - Date.now() when the command was dead-lettered.
+ */
+
+/**
+ * Keeps commands that exhausted their retries so they can be inspected,
+ * re-enqueued or purged.
+ */
+export class DeadLetterQueue {
+  /**
+   * @param {string} id - Unique identifier of the dead-letter queue, used to namespace its storage keys.
+   * @param {IStorage} storage
+   */
+  constructor(id, storage) {
+    if (!id) {
+      throw new TypeError(
+        `${ErrorMessages.Exceptions.ArgumentUndefinedException}, "id"`
+      );
+    }
+
+    if (!storage) {
+      throw new TypeError(
+        `${ErrorMessages.Exceptions.ArgumentUndefinedException}, "storage"`
+      );
+    }
+
+    this.id = id;
+    this.storage = storage;
+  }
+
+  /**
+   * Moves a failed command into the dead-letter queue.
+   * @param {QueueCommand} queueCommand
+   * @returns {Promise<DeadLetter>}
+   */
+  addAsync = async (queueCommand) => {
+    const { command, queueInfo } = queueCommand.toJSON();
+    const referenceId = queueCommand.command.meta.ReferenceId;
+
+    /** @type {DeadLetter} */
+    const deadLetter = {
+      referenceId,
+      command,
+      queueInfo,
+      error: queueInfo.lastError,
+      deadAt: Date.now(),
+    };
+
+    await this.storage.saveAsync(this.#getKey(referenceId), deadLetter);
+    return deadLetter;
+  };
+
+  /**
+   * Lists all dead-lettered commands.
+   * @returns {Promise<DeadLetter[]>}
+   */
+  listAsync = async () => {
+    const deadLetters = await this.storage.loadByKeyPrefixAsync(
+      this.#getKey("")
+    );
+
+    return /** @type {DeadLetter[]} */ (deadLetters ?? []);
+  };
+
+  /**
+   * Gets a dead-lettered command.
+   * @param {string} referenceId
+   * @returns {Promise<DeadLetter | null>}
+   */
+  getAsync = async (referenceId) => {
+    const deadLetter = await this.storage.loadAsync(this.#getKey(referenceId));
+    return /** @type {DeadLetter | null} */ (deadLetter ?? null);
+  };
+
+  /**
+   * Removes a dead-lettered command.
+   * @param {string} referenceId
+   */
+  removeAsync = async (referenceId) => {
+    await this.storage.removeAsync(this.#getKey(referenceId));
+  };
+
+  /**
+   * Removes all dead-lettered commands.
+   */
+  purgeAsync = async () => {
+    const deadLetters = await this.listAsync();
+
+    for (const { referenceId } of deadLetters) {
+      await this.removeAsync(referenceId);
+    }
+  };
+
+  /**
+   * Rebuilds the user command of a dead letter so it can be re-enqueued.
+   * @param {DeadLetter} deadLetter
+   * @returns {UserCommand}
+   */
+  static toUserCommand = (deadLetter) => UserCommand.fromJSON(deadLetter.command);
+
+  /**
+   * @param {string} referenceId
+   * @returns {string}
+   */
+  #getKey = (referenceId) => {
+    return `dead-letter-${this.id}-${referenceId}`;
+  };
+}
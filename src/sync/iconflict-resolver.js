@@ -0,0 +1,161 @@
+/*---------------------------------------------------------------------------------------------
+ *  Copyright (c) wlvyr. All rights reserved.
+ *  Licensed under the MIT License. See License.txt in the project root for license information.
+ *--------------------------------------------------------------------------------------------*/
+
+import { UserCommand } from "@/src/common/user-command.js";
+import { UserCommandMeta } from "@/src/common/user-command-meta.js";
+import { ErrorMessages } from "@/src/error/error-messages.js";
+
+/**
+ * A command the server rejected with 409 or 412, as its resource changed since `meta.baseVersion`.
+ * @typedef {Object} Conflict
+ * @property {UserCommand} userCommand - The rejected command.
+ * @property {import("@/src/async/queue-info.js").FailureReason | undefined} failureReason - e.g. with the response as detail.
+ */
+
+/**
+ * The current state of a resource on the server.
+ * @typedef {Object} ServerState
+ * @property {Record<string, any>} state
+ * @property {string | undefined} version - e.g. its ETag, sent as If-Match by the merged command.
+ */
+
+/**
+ * Interface-like base class for resolving commands rejected because their resource changed on the server.
+ * Subclasses must implement `resolveAsync`.
+ */
+export class IConflictResolver {
+  /**
+   * Resolves a conflict, e.g. by merging the command with the server's changes.
+   * @abstract
+   * @param {Conflict} conflict
+   * @returns {Promise<UserCommand | undefined>} A command to enqueue instead, see rebaseCommand, or undefined to drop it.
+   * @throws {Error} If the method is not implemented by subclass.
+   */
+  resolveAsync(conflict) {
+    throw new Error(ErrorMessages.Exceptions.NotImplemented);
+  }
+}
+
+/**
+ * Keeps the server's changes, the rejected command is dropped.
+ */
+export class ServerWinsConflictResolver extends IConflictResolver {
+  /**
+   * @param {Conflict} conflict
+   * @returns {Promise<UserCommand | undefined>}
+   */
+  async resolveAsync(conflict) {
+    return undefined;
+  }
+}
+
+/**
+ * Sends the rejected command again without If-Match, overwriting the server's changes.
+ */
+export class ClientWinsConflictResolver extends IConflictResolver {
+  /**
+   * @param {Conflict} conflict
+   * @returns {Promise<UserCommand | undefined>}
+   */
+  async resolveAsync({ userCommand }) {
+    return rebaseCommand(userCommand, userCommand.payload, undefined);
+  }
+}
+
+/**
+ * Merges the rejected command's fields with the server's changes since the state it was made against.
+ * Fields changed only by the command are sent again, fields changed on both sides keep the server's value
+ * unless `clientWinsOnConflict`. Patch commands, see `meta.isPatch`, only send the changed fields,
+ * others the whole merged state.
+ */
+export class ThreeWayMergeConflictResolver extends IConflictResolver {
+  /**
+   * @param {(userCommand: UserCommand) => Promise<ServerState>} getServerStateAsync - e.g. a GET of the resource.
+   * @param {(userCommand: UserCommand) => Promise<Record<string, any>>} getBaseStateAsync - State the command was made against,
+   * e.g. from a local cache by `meta.baseVersion`.
+   * @param {boolean} [clientWinsOnConflict=false]
+   */
+  constructor(getServerStateAsync, getBaseStateAsync, clientWinsOnConflict = false) {
+    super();
+
+    if (typeof getServerStateAsync !== "function") {
+      throw new TypeError(
+        `${ErrorMessages.Exceptions.ArgumentUndefinedException}, "getServerStateAsync"`
+      );
+    }
+
+    if (typeof getBaseStateAsync !== "function") {
+      throw new TypeError(
+        `${ErrorMessages.Exceptions.ArgumentUndefinedException}, "getBaseStateAsync"`
+      );
+    }
+
+    this.serverStateGetter = getServerStateAsync;
+    this.baseStateGetter = getBaseStateAsync;
+    this.clientWinsOnConflict = clientWinsOnConflict;
+  }
+
+  /**
+   * @param {Conflict} conflict
+   * @returns {Promise<UserCommand | undefined>} undefined if the command changes nothing the server doesn't already have.
+   */
+  async resolveAsync({ userCommand }) {
+    const [{ state = {}, version }, base = {}] = await Promise.all([
+      this.serverStateGetter(userCommand),
+      this.baseStateGetter(userCommand),
+    ]);
+
+    /** @type {Record<string, any>} */
+    const changes = {};
+
+    for (const [field, value] of Object.entries(userCommand.payload ?? {})) {
+      const changedByClient = !isEqual(value, base[field]);
+      const changedByServer = !isEqual(state[field], base[field]);
+
+      if (!changedByClient || isEqual(value, state[field])) {
+        continue;
+      }
+
+      if (changedByServer && !this.clientWinsOnConflict) {
+        continue;
+      }
+
+      changes[field] = value;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return undefined;
+    }
+
+    const payload = userCommand.meta.isPatch ? changes : { ...state, ...changes };
+    return rebaseCommand(userCommand, payload, version);
+  }
+}
+
+/**
+ * Creates the command to send instead of a rejected one, against the given server version.
+ * It keeps the ReferenceId, and gets a new idempotency key as its request differs.
+ * @param {UserCommand} userCommand
+ * @param {object} payload
+ * @param {string | undefined} baseVersion - sent as If-Match, none to overwrite the server's changes.
+ * @returns {UserCommand}
+ */
+export const rebaseCommand = (userCommand, payload, baseVersion) => {
+  const meta = UserCommandMeta.fromJSON({
+    ...userCommand.meta.toJSON(),
+    idempotencyKey: crypto.randomUUID(),
+    baseVersion,
+  });
+
+  return new UserCommand(userCommand.type, payload, meta);
+};
+
+/**
+ * Field values are data, e.g. parsed from JSON.
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+const isEqual = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
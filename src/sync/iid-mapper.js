@@ -0,0 +1,112 @@
+/*---------------------------------------------------------------------------------------------
+ *  Copyright (c) wlvyr. All rights reserved.
+ *  Licensed under the MIT License. See License.txt in the project root for license information.
+ *--------------------------------------------------------------------------------------------*/
+
+import { UserCommand } from "@/src/common/user-command.js";
+import { ErrorMessages } from "@/src/error/error-messages.js";
+
+/**
+ * @typedef {Object} IdMapping
+ * @property {string} clientId - ID given to a resource created offline.
+ * @property {string} serverId - ID assigned by the server when the resource was created.
+ */
+
+/**
+ * Interface-like base class for mapping client IDs of resources created offline to server IDs.
+ * Subclasses must implement `getIdMappingAsync` and `remapPayload`.
+ */
+export class IIdMapper {
+  /**
+   * Returns the IDs of the resource a succeeded command created.
+   * @abstract
+   * @param {UserCommand} userCommand - e.g. reads the server ID from `userCommand.getExecutionDetail()`.
+   * @returns {Promise<IdMapping | undefined>} undefined if the command did not create a resource.
+   * @throws {Error} If the method is not implemented by subclass.
+   */
+  getIdMappingAsync(userCommand) {
+    throw new Error(ErrorMessages.Exceptions.NotImplemented);
+  }
+
+  /**
+   * Replaces references to the client ID in a pending command's payload.
+   * @abstract
+   * @param {Object} payload
+   * @param {IdMapping} idMapping
+   * @returns {Object} The payload itself if it has no references, otherwise a remapped copy.
+   * @throws {Error} If the method is not implemented by subclass.
+   */
+  remapPayload(payload, idMapping) {
+    throw new Error(ErrorMessages.Exceptions.NotImplemented);
+  }
+}
+
+/**
+ * Replaces every payload value equal to the client ID, in nested objects and arrays too.
+ * Client IDs should be unique, e.g. a uuid, so no unrelated value is replaced.
+ */
+export class PayloadIdMapper extends IIdMapper {
+  /**
+   * @param {(userCommand: UserCommand) => Promise<IdMapping | undefined>} getIdMappingAsync
+   */
+  constructor(getIdMappingAsync) {
+    super();
+
+    if (typeof getIdMappingAsync !== "function") {
+      throw new TypeError(
+        `${ErrorMessages.Exceptions.ArgumentUndefinedException}, "getIdMappingAsync"`
+      );
+    }
+
+    this.idMappingGetter = getIdMappingAsync;
+  }
+
+  /**
+   * @param {UserCommand} userCommand
+   * @returns {Promise<IdMapping | undefined>}
+   */
+  getIdMappingAsync(userCommand) {
+    return this.idMappingGetter(userCommand);
+  }
+
+  /**
+   * @param {Object} payload
+   * @param {IdMapping} idMapping
+   * @returns {Object}
+   */
+  remapPayload(payload, { clientId, serverId }) {
+    return replaceValue(payload, clientId, serverId);
+  }
+}
+
+/**
+ * @param {any} value
+ * @param {string} from
+ * @param {string} to
+ * @returns {any} The value itself if nothing was replaced.
+ */
+const replaceValue = (value, from, to) => {
+  if (value === from) {
+    return to;
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.map((item) => replaceValue(item, from, to));
+    return items.some((item, i) => item !== value[i]) ? items : value;
+  }
+
+  if (value && typeof value === "object" && value.constructor === Object) {
+    let changed = false;
+    /** @type {Record<string, any>} */
+    const entries = {};
+
+    for (const [key, item] of Object.entries(value)) {
+      entries[key] = replaceValue(item, from, to);
+      changed ||= entries[key] !== item;
+    }
+
+    return changed ? entries : value;
+  }
+
+  return value;
+};
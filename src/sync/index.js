@@ -3,4 +3,20 @@
  *  Licensed under the MIT License. See License.txt in the project root for license information.
  *--------------------------------------------------------------------------------------------*/
 
-export { CommandSyncOrchestrator } from "./command-sync-orchestrator.js"
\ No newline at end of file
+export { CommandSyncOrchestrator } from "./command-sync-orchestrator.js"
+export { CommandMigrations } from "./command-migrations.js"
+export { DeadLetterQueue } from "./dead-letter-queue.js"
+export {
+  IConflictResolver,
+  ServerWinsConflictResolver,
+  ClientWinsConflictResolver,
+  ThreeWayMergeConflictResolver,
+  rebaseCommand,
+} from "./iconflict-resolver.js"
+export { IIdMapper, PayloadIdMapper } from "./iid-mapper.js"
+export {
+  TabCoordinator,
+  TabRole,
+  InMemoryLockManager,
+  InMemoryBroadcastChannel,
+} from "./tab-coordinator.js"
\ No newline at end of file
@@ -0,0 +1,342 @@
+/*---------------------------------------------------------------------------------------------
+ *  Copyright (c) wlvyr. All rights reserved.
+ *  Licensed under the MIT License. See License.txt in the project root for license information.
+ *--------------------------------------------------------------------------------------------*/
+
+/**
+ * Enum for the role of a tab among the tabs sharing a coordinator name.
+ * @readonly
+ * @enum {string}
+ */
+export const TabRole = Object.freeze({
+  // not started, or stopped.
+  None: "None",
+  Leader: "Leader",
+  // another tab is the leader, this one takes over once it closes.
+  Follower: "Follower",
+});
+
+/**
+ * Subset of the Web Locks API LockManager, see `navigator.locks`.
+ * @typedef {Object} TabLockManager
+ * @property {(name: string, options: { ifAvailable?: boolean, signal?: AbortSignal }, callback: (lock: any) => any) => Promise<any>} request
+ */
+
+/**
+ * Subset of BroadcastChannel, delivering messages to the other tabs' channels of the same name.
+ * @typedef {Object} TabChannel
+ * @property {(message: any) => void} postMessage
+ * @property {((event: any) => void) | null} onmessage
+ * @property {() => void} close
+ */
+
+/**
+ * @typedef {Object} TabCoordinatorOptions
+ * @property {TabLockManager} [lockManager=navigator.locks] - Falls back to an InMemoryLockManager shared by the page.
+ * @property {(name: string) => TabChannel} [createChannel] - Creates a BroadcastChannel,
+ * or an InMemoryBroadcastChannel where unavailable.
+ */
+
+/**
+ * Fallback for the Web Locks API where it is unavailable, e.g. tests.
+ * Only coordinates within the page, so every tab leads its own.
+ */
+export class InMemoryLockManager {
+  /** @type {Map<string, { grant: () => void }[]>} */
+  #waiting = new Map();
+
+  /** @type {Set<string>} */
+  #held = new Set();
+
+  /**
+   * Requests an exclusive lock, released once the callback's promise settles.
+   * @param {string} name
+   * @param {{ ifAvailable?: boolean, signal?: AbortSignal }} options - with `ifAvailable`, the callback is given `null`
+   * instead of waiting for a held lock.
+   * @param {(lock: { name: string } | null) => any} callback
+   * @returns {Promise<any>} The callback's result, rejects if the signal aborts while waiting.
+   */
+  request = (name, options, callback) =>
+    new Promise((resolve, reject) => {
+      const grant = () => {
+        this.#held.add(name);
+
+        Promise.resolve()
+          .then(() => callback({ name }))
+          .then(resolve, reject)
+          .finally(() => this.#release(name));
+      };
+
+      if (!this.#held.has(name)) {
+        grant();
+        return;
+      }
+
+      if (options.ifAvailable) {
+        Promise.resolve()
+          .then(() => callback(null))
+          .then(resolve, reject);
+        return;
+      }
+
+      if (options.signal?.aborted) {
+        reject(options.signal.reason);
+        return;
+      }
+
+      const waiting = { grant };
+      this.#waiting.set(name, [...(this.#waiting.get(name) ?? []), waiting]);
+
+      options.signal?.addEventListener("abort", () => {
+        const queue = this.#waiting.get(name) ?? [];
+        if (queue.includes(waiting)) {
+          this.#waiting.set(name, queue.filter((item) => item !== waiting));
+          reject(options.signal?.reason);
+        }
+      });
+    });
+
+  /**
+   * @param {string} name
+   */
+  #release = (name) => {
+    this.#held.delete(name);
+
+    const [next, ...rest] = this.#waiting.get(name) ?? [];
+    this.#waiting.set(name, rest);
+    next?.grant();
+  };
+}
+
+/**
+ * Fallback for BroadcastChannel where it is unavailable, e.g. tests.
+ * Delivers structured clones of messages to the other open channels of the same name within the page.
+ */
+export class InMemoryBroadcastChannel {
+  /** @type {Map<string, Set<InMemoryBroadcastChannel>>} */
+  static #channels = new Map();
+
+  /**
+   * @param {string} name
+   */
+  constructor(name) {
+    this.name = name;
+
+    /** @type {((event: any) => void) | null} */
+    this.onmessage = null;
+
+    const channels = InMemoryBroadcastChannel.#channels.get(name) ?? new Set();
+    channels.add(this);
+    InMemoryBroadcastChannel.#channels.set(name, channels);
+  }
+
+  /**
+   * @param {any} message
+   */
+  postMessage = (message) => {
+    // throws on uncloneable messages, e.g. functions, like BroadcastChannel.
+    const data = structuredClone(message);
+    const channels = [...(InMemoryBroadcastChannel.#channels.get(this.name) ?? [])];
+
+    // delivered asynchronously, like BroadcastChannel.
+    Promise.resolve().then(() => {
+      for (const channel of channels) {
+        if (channel !== this) {
+          channel.onmessage?.({ data });
+        }
+      }
+    });
+  };
+
+  close = () => {
+    InMemoryBroadcastChannel.#channels.get(this.name)?.delete(this);
+  };
+}
+
+const sharedLockManager = new InMemoryLockManager();
+
+/**
+ * @param {string} name
+ * @returns {TabChannel}
+ */
+const createBroadcastChannel = (name) =>
+  typeof BroadcastChannel === "function"
+    ? new BroadcastChannel(name)
+    : new InMemoryBroadcastChannel(name);
+
+/**
+ * Elects one leader among the tabs using the same name, with a Web Lock held while leading,
+ * and passes messages between them with a BroadcastChannel.
+ * When the leader's tab closes, its lock is released and a follower takes over.
+ */
+export class TabCoordinator {
+  /** @type {Set<(role: TabRole) => void>} */
+  #onRoleChangeListeners = new Set();
+
+  /** @type {Set<(message: any) => void>} */
+  #onMessageListeners = new Set();
+
+  /** @type {TabChannel | undefined} */
+  #channel = undefined;
+
+  /** @type {AbortController | undefined} */
+  #abortController = undefined;
+
+  /** @type {(() => void) | undefined} */
+  #releaseLock = undefined;
+
+  /**
+   * @param {string} name - Shared by the coordinating tabs, e.g. the orchestrator's id.
+   * @param {TabCoordinatorOptions} [options={}]
+   */
+  constructor(
+    name,
+    {
+      lockManager = globalThis.navigator?.locks ?? sharedLockManager,
+      createChannel = createBroadcastChannel,
+    } = {}
+  ) {
+    this.name = name;
+    this.lockManager = lockManager;
+    this.createChannel = createChannel;
+
+    /** @type {TabRole} */
+    this.role = TabRole.None;
+  }
+
+  get isLeader() {
+    return this.role === TabRole.Leader;
+  }
+
+  /**
+   * Joins the tabs, leading if no other tab does, otherwise following until leadership is acquired.
+   * @returns {Promise<TabRole>} The role once known.
+   */
+  startAsync = async () => {
+    if (this.#channel) {
+      return this.role;
+    }
+
+    this.#channel = this.createChannel(this.name);
+    this.#channel.onmessage = ({ data }) => {
+      for (const listener of this.#onMessageListeners) {
+        listener(data);
+      }
+    };
+
+    const abortController = new AbortController();
+    this.#abortController = abortController;
+
+    const isLeader = await this.#requestLeadershipAsync(abortController, {
+      ifAvailable: true,
+    });
+
+    if (!isLeader && !abortController.signal.aborted) {
+      this.#setRole(TabRole.Follower);
+      this.#requestLeadershipAsync(abortController, {
+        signal: abortController.signal,
+      });
+    }
+
+    return this.role;
+  };
+
+  /** Leaves the tabs, releasing leadership to another tab. */
+  stop = () => {
+    this.#abortController?.abort();
+    this.#abortController = undefined;
+
+    this.#releaseLock?.();
+    this.#releaseLock = undefined;
+
+    this.#channel?.close();
+    this.#channel = undefined;
+
+    this.#setRole(TabRole.None);
+  };
+
+  /**
+   * Sends a message to the other tabs, not to this one.
+   * @param {any} message - Must be structured-cloneable.
+   */
+  postMessage = (message) => {
+    this.#channel?.postMessage(message);
+  };
+
+  /**
+   * Listens to messages of the other tabs.
+   * @param {(message: any) => void} listener
+   */
+  addOnMessage = (listener) => {
+    this.#onMessageListeners.add(listener);
+  };
+
+  /**
+   * @param {(message: any) => void} listener
+   */
+  removeOnMessage = (listener) => {
+    this.#onMessageListeners.delete(listener);
+  };
+
+  /**
+   * Listens to this tab's role changes, e.g. to start consuming once leading.
+   * @param {(role: TabRole) => void} listener
+   */
+  addOnRoleChange = (listener) => {
+    this.#onRoleChangeListeners.add(listener);
+  };
+
+  /**
+   * @param {(role: TabRole) => void} listener
+   */
+  removeOnRoleChange = (listener) => {
+    this.#onRoleChangeListeners.delete(listener);
+  };
+
+  /**
+   * Requests the leadership lock, held until stopped or the tab closes.
+   * @param {AbortController} abortController - Aborted when stopped.
+   * @param {{ ifAvailable?: boolean, signal?: AbortSignal }} options
+   * @returns {Promise<boolean>} Whether leadership was acquired, `false` if unavailable or aborted.
+   */
+  #requestLeadershipAsync = (abortController, options) =>
+    new Promise((resolve) => {
+      this.lockManager
+        .request(`${this.name}-leader`, options, (lock) => {
+          if (!lock) {
+            resolve(false);
+            return;
+          }
+
+          // stopped while the lock was being granted.
+          if (abortController.signal.aborted) {
+            resolve(false);
+            return;
+          }
+
+          /** @type {Promise<void>} */
+          const held = new Promise((release) => {
+            this.#releaseLock = release;
+          });
+
+          this.#setRole(TabRole.Leader);
+          resolve(true);
+          return held;
+        })
+        .catch(() => resolve(false));
+    });
+
+  /**
+   * @param {TabRole} role
+   */
+  #setRole = (role) => {
+    if (this.role === role) {
+      return;
+    }
+
+    this.role = role;
+    for (const listener of this.#onRoleChangeListeners) {
+      listener(role);
+    }
+  };
+}